@@ -0,0 +1,135 @@
+/**
+ * Audit Log
+ * Append-only record of registry changes in ~/.clawdbot/persona-audit.jsonl
+ *
+ * Each line is one event:
+ * { timestamp, actor, action, name, from, to, ...details }
+ *
+ * - action: register, unregister, restore, update, rename, status, add-key, remove-key
+ * - from / to: the values before and after (null when there was nothing), never secret values
+ * - actor: GOC_PERSONA_ACTOR if set (e.g. a CI job or bot name), otherwise the OS user
+ *
+ * persona-registry.cjs appends the events of a change while it still holds the registry lock,
+ * so the log is in the same order as the changes. Nothing here rewrites or trims the file.
+ * Events keep the name the persona had at the time; readEvents follows renames to find them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseLimit } = require('./settings.cjs');
+
+const AUDIT_LOG_PATH = path.join(process.env.HOME || process.env.USERPROFILE, '.clawdbot', 'persona-audit.jsonl');
+
+// --since shorthand: 30m, 12h, 7d, 2w
+const DURATION_UNITS_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Work out who is making a change
+ * @returns {string}
+ */
+function getActor() {
+  if (process.env.GOC_PERSONA_ACTOR) {
+    return process.env.GOC_PERSONA_ACTOR;
+  }
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+/**
+ * Append events to the log, stamped with the time and actor
+ * @param {Array<Object>} events - { action, name, from, to, ...details }
+ * @returns {boolean} Whether they were written (a failure is reported, the change itself stands)
+ */
+function appendEvents(events) {
+  if (events.length === 0) {
+    return true;
+  }
+  const timestamp = new Date().toISOString();
+  const actor = getActor();
+  const lines = events.map(event => JSON.stringify({ timestamp, actor, ...event }) + '\n').join('');
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+    fs.appendFileSync(AUDIT_LOG_PATH, lines, { mode: 0o600 });
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  Could not write the audit log ${AUDIT_LOG_PATH}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Parse a --since value: a duration back from now (30m, 12h, 7d, 2w) or a date
+ * @param {string} value - Duration or date (2026-01-30, 2026-01-30T12:00:00Z)
+ * @returns {Date|null} The cut-off, or null if the value can't be read
+ */
+function parseSince(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([mhdw])$/i);
+  if (match) {
+    return new Date(Date.now() - Number(match[1]) * DURATION_UNITS_MS[match[2].toLowerCase()]);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read events, oldest first; unreadable lines are skipped
+ * @param {Object} [options] - Filters
+ * @param {string} [options.name] - Only events for this persona, including those recorded under
+ *   the names it had before it was renamed, and renames away from it
+ * @param {Date} [options.since] - Only events at or after this time
+ * @param {number} [options.limit] - Only the newest N matching events (a positive integer)
+ * @returns {{events: Array<Object>, skipped: number}}
+ * @throws {Error} If limit is not a positive integer
+ */
+function readEvents({ name, since, limit } = {}) {
+  const newest = parseLimit(limit);
+  if (newest.error) {
+    throw new Error(newest.error);
+  }
+  if (!fs.existsSync(AUDIT_LOG_PATH)) {
+    return { events: [], skipped: 0 };
+  }
+  let events = [];
+  let skipped = 0;
+  fs.readFileSync(AUDIT_LOG_PATH, 'utf8').split('\n').filter(line => line.trim()).forEach(line => {
+    try {
+      const event = JSON.parse(line);
+      if (event && typeof event.action === 'string' && typeof event.timestamp === 'string') {
+        events.push(event);
+        return;
+      }
+    } catch {
+      // Counted below
+    }
+    skipped++;
+  });
+
+  if (name) {
+    // Walk back from the newest event, switching to the previous name at each rename into the current one
+    let current = name;
+    events = events.reverse().filter(event => {
+      const matches = event.name === current || event.previousName === name;
+      if (event.action === 'rename' && event.name === current && typeof event.previousName === 'string') {
+        current = event.previousName;
+      }
+      return matches;
+    }).reverse();
+  }
+  events = events.filter(event => !since || new Date(event.timestamp) >= since);
+  if (newest.limit) {
+    events = events.slice(-newest.limit);
+  }
+  return { events, skipped };
+}
+
+module.exports = {
+  appendEvents,
+  readEvents,
+  parseSince,
+  getActor,
+  AUDIT_LOG_PATH
+};
@@ -1,54 +1,449 @@
 /**
- * Config Schema Generator
- * Generates config.yaml for personas with model, skills, and settings
+ * Config Schema
+ * Defines, generates and validates config.yaml for personas with model, skills, and settings
  */
 
 const fs = require('fs');
 const path = require('path');
+const yaml = require('./yaml.cjs');
+const { renderPack, mergeConfig, DEFAULT_PACK } = require('./template-packs.cjs');
+const { getSetting, getPersonaPath } = require('./settings.cjs');
+const { snowflakeProblem, CHANNEL_ROLES, PERMISSIONS, PERMISSION_SETS } = require('./discord.cjs');
+const { report } = require('./progress.cjs');
 
-const DEFAULT_CONFIG = `# Persona Configuration for {name}
+const TONES = ['neutral', 'friendly', 'formal', 'casual', 'playful', 'professional', 'enthusiastic', 'serious', 'sarcastic', 'empathetic'];
+const VERBOSITY_LEVELS = ['low', 'medium', 'high'];
 
-# Default model for this persona
-defaultModel: {model}
+/**
+ * Schema for config.yaml. Each field has a type and optional constraints:
+ * enum, minimum/maximum (numbers), pattern (strings), items (arrays), properties (objects),
+ * check (a function returning what is wrong with the value, or null) and
+ * deprecated (a hint, given as a warning when the field is used).
+ * Sections marked optional are left out of newly generated configs.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    defaultModel: {
+      type: 'string',
+      required: true,
+      pattern: /^[\w.-]+(\/[\w.:-]+)*$/,
+      patternHint: 'a model id such as "provider/model-name"',
+      comment: 'Default model for this persona'
+    },
+    skills: {
+      type: 'array',
+      items: { type: 'string', pattern: /^[\w.@/-]+$/, patternHint: 'a skill name' },
+      default: [],
+      comment: 'Skills available to this persona (add skill names here)'
+    },
+    personality: {
+      type: 'object',
+      comment: 'Personality settings',
+      properties: {
+        tone: { type: 'string', enum: TONES, default: 'neutral' },
+        verbosity: { type: 'string', enum: VERBOSITY_LEVELS, default: 'medium' },
+        creativity: { type: 'number', minimum: 0, maximum: 1, default: 0.7 }
+      }
+    },
+    memory: {
+      type: 'object',
+      comment: 'Memory settings',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        maxEntries: { type: 'integer', minimum: 1, maximum: 100000, default: 100 }
+      }
+    },
+    modelSettings: {
+      type: 'object',
+      comment: 'Model-specific settings',
+      properties: {
+        temperature: { type: 'number', minimum: 0, maximum: 2, default: 0.7 },
+        maxTokens: { type: 'integer', minimum: 1, maximum: 1000000, default: 4096 }
+      }
+    },
+    discord: {
+      type: 'object',
+      optional: true,
+      comment: 'Discord settings (the bot token is kept in the vault, not here)',
+      properties: {
+        applicationId: { type: 'string', check: snowflakeProblem },
+        guildId: { type: 'string', check: snowflakeProblem },
+        channels: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', required: true, check: snowflakeProblem },
+              role: { type: 'string', required: true, enum: CHANNEL_ROLES },
+              name: { type: 'string' }
+            }
+          }
+        },
+        channelIds: {
+          type: 'array',
+          deprecated: 'list them under discord.channels with role: interaction',
+          items: { type: 'string', check: snowflakeProblem }
+        },
+        permissions: {
+          type: 'array',
+          items: {
+            type: 'string',
+            check: value => (PERMISSION_SETS[value] || PERMISSIONS[value] !== undefined
+              ? null
+              : 'must be a permission set or permission name (see discord-invite --list)')
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build the default config object from the schema defaults
+ * @param {string} model - Default model
+ * @returns {Object} Config data
+ */
+function buildDefaultConfig(model = getSetting('defaultModel')) {
+  const config = {};
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA.properties)) {
+    if (field.optional) {
+      continue;
+    }
+    if (field.type === 'object') {
+      config[key] = {};
+      for (const [childKey, child] of Object.entries(field.properties)) {
+        config[key][childKey] = child.default;
+      }
+    } else if (field.default !== undefined) {
+      config[key] = Array.isArray(field.default) ? [...field.default] : field.default;
+    }
+  }
+  config.defaultModel = model;
+  return config;
+}
+
+/**
+ * Render a config object as config.yaml text, keeping the standard header and section comments
+ * @param {string} name - Persona name
+ * @param {Object} config - Config data
+ * @returns {string} YAML text
+ */
+function renderConfig(name, config) {
+  let output = `# Persona Configuration for ${name}\n`;
+  const known = Object.keys(CONFIG_SCHEMA.properties);
+  const ordered = [...known.filter(key => key in config), ...Object.keys(config).filter(key => !known.includes(key))];
+
+  for (const key of ordered) {
+    const comment = CONFIG_SCHEMA.properties[key]?.comment;
+    output += '\n';
+    if (comment) {
+      output += `# ${comment}\n`;
+    }
+    output += yaml.stringify({ [key]: config[key] });
+  }
+  return output;
+}
+
+/**
+ * Get the config.yaml path for a persona folder
+ * @param {string} personaPath - Local path to persona
+ * @returns {string}
+ */
+function getConfigPath(personaPath) {
+  return path.join(personaPath, 'config.yaml');
+}
+
+/**
+ * Read and parse a persona's config.yaml
+ * @param {string} personaPath - Local path to persona
+ * @returns {Object} Parsed config data
+ */
+function readConfig(personaPath) {
+  return yaml.parse(fs.readFileSync(getConfigPath(personaPath), 'utf8')) || {};
+}
+
+/**
+ * Stringify with object keys sorted, to compare values regardless of key order
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function _canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(_canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${_canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Rewrite only the top-level keys of config.yaml text that changed, keeping comments,
+ * key order and formatting everywhere else. Changed keys are re-rendered in full
+ * (comments inside them are lost); new keys are appended.
+ * @param {string} text - Current config.yaml text
+ * @param {Object} config - New config data
+ * @returns {string|null} Patched text, or null if the text can't be patched safely
+ */
+function _patchConfig(text, config) {
+  let current;
+  let lines;
+  try {
+    ({ data: current, lines } = yaml.parseDocument(text));
+  } catch {
+    return null;
+  }
+  if (!current || typeof current !== 'object' || Array.isArray(current)) {
+    return null;
+  }
+
+  const source = text.replace(/\n$/, '').split('\n');
+  const keys = Object.keys(current);
+  if (keys.some(key => !lines[key])) {
+    return null;
+  }
+  const starts = keys.map(key => ({ key, start: lines[key] - 1 })).sort((a, b) => a.start - b.start);
+  // A block runs to the next top-level key; comments and blank lines just before that key belong to it
+  const isFiller = line => !line.trim() || line.trim().startsWith('#');
+  const blocks = starts.map(({ key, start }, i) => {
+    let end = i + 1 < starts.length ? starts[i + 1].start : source.length;
+    while (end - 1 > start && isFiller(source[end - 1])) {
+      end--;
+    }
+    return { key, start, end };
+  });
+
+  const output = [];
+  let position = 0;
+  for (const { key, start, end } of blocks) {
+    output.push(...source.slice(position, start));
+    if (!(key in config)) {
+      // Removed: drop the block and the comment lines directly above it
+      while (output.length > 0 && output[output.length - 1].trim().startsWith('#')) {
+        output.pop();
+      }
+    } else if (_canonical(current[key]) === _canonical(config[key])) {
+      output.push(...source.slice(start, end));
+    } else {
+      output.push(...yaml.stringify({ [key]: config[key] }).replace(/\n$/, '').split('\n'));
+    }
+    position = end;
+  }
+  output.push(...source.slice(position));
+
+  Object.keys(config).filter(key => !(key in current)).forEach(key => {
+    const comment = CONFIG_SCHEMA.properties[key]?.comment;
+    output.push('', ...(comment ? [`# ${comment}`] : []), ...yaml.stringify({ [key]: config[key] }).replace(/\n$/, '').split('\n'));
+  });
+
+  const patched = output.join('\n') + '\n';
+  try {
+    return _canonical(yaml.parse(patched)) === _canonical(config) ? patched : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a persona's config.yaml. An existing file is patched: only the top-level keys that
+ * changed are rewritten, so comments and key order elsewhere are kept. If it can't be
+ * patched (e.g. it no longer parses), it is regenerated with a warning.
+ * @param {string} personaPath - Local path to persona
+ * @param {string} name - Persona name (used in the header of a new file)
+ * @param {Object} config - Config data
+ * @returns {string} Path written
+ */
+function writeConfig(personaPath, name, config) {
+  const configPath = getConfigPath(personaPath);
+  let text = null;
+  if (fs.existsSync(configPath)) {
+    text = _patchConfig(fs.readFileSync(configPath, 'utf8'), config);
+    if (text === null) {
+      report(`⚠️  ${configPath} could not be updated in place; it was regenerated and its comments were not kept`, 'warn');
+    }
+  }
+  fs.writeFileSync(configPath, text ?? renderConfig(name, config));
+  return configPath;
+}
+
+/**
+ * Describe the type of a parsed value for error messages
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function _typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
 
-# Skills available to this persona (add skill names here)
-skills: []
+/**
+ * Validate a value against a schema field, collecting errors
+ * @param {*} value - Value to check
+ * @param {Object} field - Schema field
+ * @param {string} fieldPath - Dotted path of the value
+ * @param {Object} ctx - { errors, warnings, lines }
+ */
+function _validateField(value, field, fieldPath, ctx) {
+  const line = ctx.lines[fieldPath] || null;
+  const fail = (message) => ctx.errors.push({ path: fieldPath, line, message: `${fieldPath} ${message}` });
+  const actual = _typeOf(value);
 
-# Personality settings
-personality:
-  tone: neutral
-  verbosity: medium
-  creativity: 0.7
+  const typeOk = field.type === actual
+    || (field.type === 'number' && actual === 'integer');
+  if (!typeOk) {
+    fail(`must be ${field.type === 'integer' || field.type === 'array' || field.type === 'object' ? 'an' : 'a'} ${field.type}, got ${actual}`);
+    return;
+  }
 
-# Memory settings
-memory:
-  enabled: true
-  maxEntries: 100
+  if (field.enum && !field.enum.includes(value)) {
+    fail(`must be one of: ${field.enum.join(', ')} (got "${value}")`);
+  }
+  if (field.minimum !== undefined && value < field.minimum) {
+    fail(`must be >= ${field.minimum} (got ${value})`);
+  }
+  if (field.maximum !== undefined && value > field.maximum) {
+    fail(`must be <= ${field.maximum} (got ${value})`);
+  }
+  if (field.pattern && !field.pattern.test(value)) {
+    fail(`must be ${field.patternHint || `a string matching ${field.pattern}`} (got "${value}")`);
+  }
+  const problem = field.check && field.check(value);
+  if (problem) {
+    fail(`${problem} (got "${value}")`);
+  }
 
-# Model-specific settings
-modelSettings:
-  temperature: 0.7
-  maxTokens: 4096
-`;
+  if (field.type === 'array' && field.items) {
+    value.forEach((item, i) => _validateField(item, field.items, `${fieldPath}[${i}]`, ctx));
+  }
+
+  if (field.type === 'object' && field.properties) {
+    _validateObject(value, field, fieldPath, ctx);
+  }
+}
+
+/**
+ * Validate the properties of an object against a schema field
+ * @param {Object} value - Object to check
+ * @param {Object} field - Schema field with properties
+ * @param {string} fieldPath - Dotted path of the object ('' for the root)
+ * @param {Object} ctx - { errors, warnings, lines }
+ */
+function _validateObject(value, field, fieldPath, ctx) {
+  const join = (key) => (fieldPath ? `${fieldPath}.${key}` : key);
+
+  for (const [key, child] of Object.entries(field.properties)) {
+    if (value[key] === undefined) {
+      if (child.required) {
+        ctx.errors.push({ path: join(key), line: ctx.lines[fieldPath] || null, message: `${join(key)} is required` });
+      }
+      continue;
+    }
+    if (child.deprecated) {
+      ctx.warnings.push({ path: join(key), line: ctx.lines[join(key)] || null, message: `${join(key)} is deprecated; ${child.deprecated}` });
+    }
+    _validateField(value[key], child, join(key), ctx);
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!field.properties[key]) {
+      ctx.warnings.push({ path: join(key), line: ctx.lines[join(key)] || null, message: `${join(key)} is not a known setting` });
+    }
+  }
+}
+
+/**
+ * Validate parsed config data against the schema
+ * @param {Object} config - Parsed config data
+ * @param {Object} [lines] - Map of value paths to line numbers
+ * @returns {{valid: boolean, errors: Array, warnings: Array}}
+ */
+function validateConfig(config, lines = {}) {
+  const ctx = { errors: [], warnings: [], lines };
+
+  if (_typeOf(config) !== 'object') {
+    ctx.errors.push({ path: '', line: 1, message: `config must be a mapping, got ${_typeOf(config)}` });
+  } else {
+    _validateObject(config, CONFIG_SCHEMA, '', ctx);
+  }
+
+  return { valid: ctx.errors.length === 0, errors: ctx.errors, warnings: ctx.warnings };
+}
+
+/**
+ * Parse and validate a persona's config.yaml
+ * @param {string} personaPath - Local path to persona
+ * @returns {{valid: boolean, errors: Array, warnings: Array, configPath: string}}
+ */
+function validateConfigFile(personaPath) {
+  const configPath = getConfigPath(personaPath);
+
+  if (!fs.existsSync(configPath)) {
+    return { valid: false, errors: [{ path: '', line: null, message: `config.yaml not found at ${configPath}` }], warnings: [], configPath };
+  }
+
+  let document;
+  try {
+    document = yaml.parseDocument(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [{ path: '', line: error.line || null, message: `YAML syntax error: ${error.message.replace(/^line \d+: /, '')}` }],
+      warnings: [],
+      configPath
+    };
+  }
+
+  return { ...validateConfig(document.data, document.lines), configPath };
+}
+
+/**
+ * Plans the config.yaml file for a persona without writing it
+ * @param {string} name - Persona name
+ * @param {string} model - Default model
+ * @param {Object} [options] - Template options
+ * @param {string} [options.template] - Template pack whose config.yaml overrides the defaults
+ * @param {Object} [options.vars] - Extra {var} values for the pack
+ * @param {Object} [options.config] - Config overrides applied on top of the pack's
+ * @returns {{path: string, content: string}}
+ */
+function planConfig(name, model = getSetting('defaultModel'), options = {}) {
+  const pack = renderPack(options.template || DEFAULT_PACK, { ...options.vars, name, model });
+  const config = mergeConfig(mergeConfig(buildDefaultConfig(model), pack.config), options.config || {});
+  return {
+    path: getConfigPath(getPersonaPath(name)),
+    content: renderConfig(name, config)
+  };
+}
 
 /**
  * Generates the config.yaml file for a persona
  * @param {string} name - Persona name
  * @param {string} model - Default model
- * @returns {Promise<void>}
- */
-async function createConfig(name, model = 'minimax/MiniMax-M2.1') {
-  const basePath = process.env.HOME || process.env.USERPROFILE;
-  const configPath = path.join(basePath, 'personas', name, 'config.yaml');
-  
-  const configContent = DEFAULT_CONFIG
-    .replace(/{name}/g, name)
-    .replace(/{model}/g, model);
-  
-  fs.writeFileSync(configPath, configContent);
-  console.log(`Created: ${configPath}`);
-  
-  return configPath;
+ * @param {Object} [options] - Template options
+ * @param {string} [options.template] - Template pack whose config.yaml overrides the defaults
+ * @param {Object} [options.vars] - Extra {var} values for the pack
+ * @returns {Promise<string>} Config path
+ */
+async function createConfig(name, model = getSetting('defaultModel'), options = {}) {
+  const plan = planConfig(name, model, options);
+  fs.writeFileSync(plan.path, plan.content);
+  report(`Created: ${plan.path}`);
+
+  return plan.path;
 }
 
-module.exports = { createConfig };
+module.exports = {
+  createConfig,
+  planConfig,
+  buildDefaultConfig,
+  renderConfig,
+  readConfig,
+  writeConfig,
+  getConfigPath,
+  validateConfig,
+  validateConfigFile,
+  CONFIG_SCHEMA
+};
@@ -0,0 +1,240 @@
+/**
+ * Discord
+ * Snowflake validation, permission bitfields and OAuth2 invite URLs, all offline
+ *
+ * The config.yaml discord block:
+ *   discord:
+ *     applicationId: "..."      # the bot's application (client) ID
+ *     guildId: "..."            # server the bot is invited to
+ *     channels:
+ *       - { id: "...", role: interaction }   # interaction, log or admin
+ *     permissions: [essential, recommended, manage-webhooks]
+ * permissions lists permission sets and/or single permissions for the invite
+ * (default: essential).
+ */
+
+// 2015-01-01T00:00:00Z, the start of Discord snowflake timestamps
+const DISCORD_EPOCH = 1420070400000n;
+
+const CHANNEL_ROLES = ['interaction', 'log', 'admin'];
+
+const INVITE_BASE_URL = 'https://discord.com/oauth2/authorize';
+const INVITE_SCOPES = ['bot', 'applications.commands'];
+
+// Permission name -> bit (https://discord.com/developers/docs/topics/permissions)
+const PERMISSIONS = {
+  'create-instant-invite': 0,
+  'kick-members': 1,
+  'ban-members': 2,
+  'administrator': 3,
+  'manage-channels': 4,
+  'manage-server': 5,
+  'add-reactions': 6,
+  'view-audit-log': 7,
+  'priority-speaker': 8,
+  'video': 9,
+  'view-channels': 10,
+  'send-messages': 11,
+  'send-tts-messages': 12,
+  'manage-messages': 13,
+  'embed-links': 14,
+  'attach-files': 15,
+  'read-message-history': 16,
+  'mention-everyone': 17,
+  'use-external-emojis': 18,
+  'view-server-insights': 19,
+  'connect': 20,
+  'speak': 21,
+  'mute-members': 22,
+  'deafen-members': 23,
+  'move-members': 24,
+  'use-voice-activity': 25,
+  'change-nickname': 26,
+  'manage-nicknames': 27,
+  'manage-roles': 28,
+  'manage-webhooks': 29,
+  'manage-expressions': 30,
+  'use-slash-commands': 31,
+  'request-to-speak': 32,
+  'manage-events': 33,
+  'manage-threads': 34,
+  'create-public-threads': 35,
+  'create-private-threads': 36,
+  'use-external-stickers': 37,
+  'send-messages-in-threads': 38,
+  'use-activities': 39,
+  'moderate-members': 40,
+  'use-soundboard': 42,
+  'create-expressions': 43,
+  'create-events': 44,
+  'use-external-sounds': 45,
+  'send-voice-messages': 46,
+  'create-polls': 49,
+  'use-external-apps': 50,
+  'pin-messages': 51,
+  'bypass-slowmode': 52
+};
+
+// Named sets, matching the lists in setup-guide.md
+const PERMISSION_SETS = {
+  essential: {
+    description: 'Read and answer in channels and threads',
+    permissions: [
+      'view-channels', 'send-messages', 'manage-messages', 'embed-links', 'attach-files',
+      'read-message-history', 'add-reactions', 'use-slash-commands', 'mention-everyone',
+      'manage-threads', 'create-public-threads', 'create-private-threads',
+      'send-messages-in-threads', 'pin-messages', 'manage-webhooks'
+    ]
+  },
+  recommended: {
+    description: 'Polls, TTS, external emojis and stickers',
+    permissions: ['create-polls', 'bypass-slowmode', 'send-tts-messages', 'use-external-emojis', 'use-external-stickers']
+  },
+  voice: {
+    description: 'Join and moderate voice channels',
+    permissions: [
+      'connect', 'speak', 'video', 'mute-members', 'deafen-members', 'move-members',
+      'use-voice-activity', 'priority-speaker', 'request-to-speak'
+    ]
+  },
+  admin: {
+    description: 'Server management, for admin bots',
+    permissions: [
+      'view-audit-log', 'manage-server', 'manage-roles', 'manage-channels', 'manage-events',
+      'create-events', 'moderate-members', 'change-nickname', 'manage-nicknames',
+      'manage-expressions', 'create-expressions'
+    ]
+  }
+};
+
+const DEFAULT_PERMISSIONS = ['essential'];
+
+/**
+ * Check a Discord ID (snowflake)
+ * @param {*} id - ID to check
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+function snowflakeProblem(id) {
+  if (typeof id !== 'string' || !/^\d{17,20}$/.test(id)) {
+    return 'must be a Discord ID (17-20 digits, as a quoted string)';
+  }
+  const timestamp = (BigInt(id) >> 22n) + DISCORD_EPOCH;
+  // Allow a day of clock skew
+  if (timestamp > BigInt(Date.now() + 86400000)) {
+    return 'is not a valid Discord ID (its timestamp is in the future)';
+  }
+  return null;
+}
+
+/**
+ * Tell whether a value is a valid Discord ID
+ * @param {*} id - ID to check
+ * @returns {boolean}
+ */
+function isSnowflake(id) {
+  return snowflakeProblem(id) === null;
+}
+
+/**
+ * Read the application ID from a bot token; its first part is the bot's user ID in base64
+ * @param {string} token - Bot token
+ * @returns {string|null}
+ */
+function applicationIdFromToken(token) {
+  const [encoded] = String(token || '').split('.');
+  try {
+    const id = Buffer.from(encoded, 'base64').toString('utf8');
+    return isSnowflake(id) ? id : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Expand permission set and permission names
+ * @param {Array<string>} names - Set names and/or permission names
+ * @returns {Array<string>} Permission names, in bit order
+ * @throws {Error} If a name is neither a set nor a permission
+ */
+function resolvePermissions(names) {
+  const resolved = new Set();
+  names.forEach(name => {
+    if (PERMISSION_SETS[name]) {
+      PERMISSION_SETS[name].permissions.forEach(permission => resolved.add(permission));
+    } else if (PERMISSIONS[name] !== undefined) {
+      resolved.add(name);
+    } else {
+      throw new Error(`Unknown permission or set "${name}". Sets: ${Object.keys(PERMISSION_SETS).join(', ')}`);
+    }
+  });
+  return [...resolved].sort((a, b) => PERMISSIONS[a] - PERMISSIONS[b]);
+}
+
+/**
+ * Compute the permission integer for a list of permissions
+ * @param {Array<string>} permissions - Permission names
+ * @returns {string} Decimal bitfield (a string, since it can exceed 2^53)
+ */
+function permissionBitfield(permissions) {
+  return permissions
+    .reduce((bits, permission) => bits | (1n << BigInt(PERMISSIONS[permission])), 0n)
+    .toString();
+}
+
+/**
+ * Get the channels of a discord block, with legacy channelIds as interaction channels
+ * @param {Object} [discord] - discord block from config.yaml
+ * @returns {Array<{id: string, role: string, name?: string}>}
+ */
+function getChannels(discord = {}) {
+  const channels = Array.isArray(discord.channels) ? discord.channels : [];
+  const legacy = (Array.isArray(discord.channelIds) ? discord.channelIds : [])
+    .filter(id => !channels.some(channel => channel.id === id))
+    .map(id => ({ id: String(id), role: 'interaction' }));
+  return [...channels, ...legacy];
+}
+
+/**
+ * Build the OAuth2 invite for a bot
+ * @param {Object} options - Invite options
+ * @param {string} options.applicationId - Bot application (client) ID
+ * @param {string} [options.guildId] - Preselect this server
+ * @param {Array<string>} [options.permissions] - Set and permission names (default: essential)
+ * @param {Array<string>} [options.without] - Permission names to leave out
+ * @returns {{url: string, bitfield: string, permissions: Array<string>}}
+ * @throws {Error} If an ID or permission name is invalid
+ */
+function buildInvite({ applicationId, guildId, permissions = DEFAULT_PERMISSIONS, without = [] }) {
+  const idProblem = snowflakeProblem(applicationId);
+  if (idProblem) {
+    throw new Error(`applicationId ${idProblem}`);
+  }
+  if (guildId && snowflakeProblem(guildId)) {
+    throw new Error(`guildId ${snowflakeProblem(guildId)}`);
+  }
+
+  const excluded = new Set(resolvePermissions(without));
+  const granted = resolvePermissions(permissions).filter(permission => !excluded.has(permission));
+  const bitfield = permissionBitfield(granted);
+
+  const params = new URLSearchParams({ client_id: applicationId, permissions: bitfield, scope: INVITE_SCOPES.join(' ') });
+  if (guildId) {
+    params.set('guild_id', guildId);
+    params.set('disable_guild_select', 'true');
+  }
+  return { url: `${INVITE_BASE_URL}?${params.toString().replace(/\+/g, '%20')}`, bitfield, permissions: granted };
+}
+
+module.exports = {
+  buildInvite,
+  resolvePermissions,
+  permissionBitfield,
+  getChannels,
+  snowflakeProblem,
+  isSnowflake,
+  applicationIdFromToken,
+  PERMISSIONS,
+  PERMISSION_SETS,
+  DEFAULT_PERMISSIONS,
+  CHANNEL_ROLES
+};
@@ -0,0 +1,275 @@
+/**
+ * Persona Doctor
+ * Reconciles the registry with persona folders on disk and their git remotes
+ *
+ * diagnose() only reads; repair() applies the fixes that cannot lose data:
+ * registering folders, repointing entries, recreating missing files from the
+ * default template pack, adding a missing origin and syncing the recorded repo.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const registry = require('./persona-registry.cjs');
+const hooks = require('./hooks.cjs');
+const { planPersonaFiles } = require('./persona-generator.cjs');
+const { planConfig } = require('./config-schema.cjs');
+const { getProvider, normalizeProviderConfig } = require('./repo-providers.cjs');
+const { getSetting, getPersonaPath, getRepoName } = require('./settings.cjs');
+
+const REQUIRED_FILES = ['IDENTITY.md', 'SOUL.md', 'config.yaml'];
+
+/**
+ * Get the origin URL of a git repo
+ * @param {string} personaPath - Persona directory
+ * @returns {string|null} Origin URL, or null if not a repo or no origin
+ */
+function _getOrigin(personaPath) {
+  try {
+    return execFileSync('git', ['remote', 'get-url', 'origin'], { cwd: personaPath, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a directory is the top of a git repo
+ * @param {string} personaPath - Persona directory
+ * @returns {boolean}
+ */
+function _isGitRepo(personaPath) {
+  return fs.existsSync(path.join(personaPath, '.git'));
+}
+
+/**
+ * Extract "owner/repo" from a remote URL or bare repo path
+ * @param {string} url - e.g. https://github.com/org/repo.git, git@github.com:org/repo.git, /srv/org/repo.git
+ * @returns {string|null}
+ */
+function _repoFromUrl(url) {
+  const parts = url.replace(/\/+$/, '').replace(/\.git$/, '').split(/[/:\\]/).filter(Boolean);
+  return parts.length >= 2 ? parts.slice(-2).join('/') : null;
+}
+
+/**
+ * Check whether a remote URL is a local filesystem path
+ * @param {string} url - Remote URL
+ * @returns {boolean}
+ */
+function _isLocalPath(url) {
+  return path.isAbsolute(url) && !url.includes('://');
+}
+
+/**
+ * List persona folders under the personas root (non-hidden directories)
+ * @param {string} root - Personas root
+ * @returns {Array<{name: string, path: string}>}
+ */
+function _scanRoot(root) {
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => ({ name: entry.name, path: path.join(root, entry.name) }));
+}
+
+/**
+ * Build an issue record
+ * @param {string} code - Issue code
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} name - Persona name
+ * @param {string} message - Human-readable description
+ * @param {Object} [fix] - { description, data } when the issue can be repaired
+ * @param {string} [hint] - What to do by hand when it cannot
+ * @returns {Object}
+ */
+function _issue(code, severity, name, message, fix, hint) {
+  return {
+    code,
+    severity,
+    name,
+    message,
+    fixable: Boolean(fix),
+    ...(fix && { fix: fix.description, data: fix.data }),
+    ...(!fix && hint && { hint })
+  };
+}
+
+/**
+ * Check files and git state of one persona folder
+ * @param {string} name - Persona name
+ * @param {string} personaPath - Persona directory
+ * @param {Object|null} entry - Registry entry (null if unregistered)
+ * @returns {Array<Object>} Issues
+ */
+function _checkFolder(name, personaPath, entry) {
+  const issues = [];
+
+  REQUIRED_FILES
+    .filter(file => !fs.existsSync(path.join(personaPath, file)))
+    .forEach(file => issues.push(_issue('missing-file', 'error', name, `${file} is missing`, {
+      description: `recreate ${file} from the default template`,
+      data: { personaPath, file }
+    })));
+
+  if (!_isGitRepo(personaPath)) {
+    issues.push(_issue('not-a-repo', 'warning', name, 'folder is not a git repo', undefined,
+      'run "git init" and commit, or recreate it with create-persona'));
+    return issues;
+  }
+
+  const origin = _getOrigin(personaPath);
+  if (!origin) {
+    const fix = entry && {
+      description: `add origin for ${entry.repo}`,
+      data: { personaPath }
+    };
+    issues.push(_issue('no-origin', 'warning', name, 'git repo has no origin remote', fix, 'register the persona first'));
+    return issues;
+  }
+
+  if (entry) {
+    const originRepo = _repoFromUrl(origin);
+    if (originRepo && originRepo !== entry.repo) {
+      issues.push(_issue('repo-mismatch', 'warning', name, `origin points to ${originRepo} but the registry records ${entry.repo}`, {
+        description: `record ${originRepo} in the registry`,
+        data: { repo: originRepo, remoteUrl: origin }
+      }));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Scan the personas root and the registry for drift
+ * @returns {{root: string, checked: number, issues: Array<Object>}}
+ *   Each issue is { code, severity, name, message, fixable, fix?, data?, hint? }
+ */
+function diagnose() {
+  const root = getSetting('personasRoot');
+  const issues = [];
+  const entries = Object.fromEntries(registry.list().map(({ name }) => [name, registry.get(name)]));
+  const registeredPaths = new Set(Object.values(entries).map(entry => path.resolve(entry.path)));
+
+  // Registered personas
+  for (const [name, entry] of Object.entries(entries)) {
+    if (!fs.existsSync(entry.path)) {
+      const candidate = getPersonaPath(name);
+      const fix = path.resolve(candidate) !== path.resolve(entry.path) && fs.existsSync(candidate) && {
+        description: `point the entry at ${candidate}`,
+        data: { path: candidate }
+      };
+      issues.push(_issue('dangling-entry', 'error', name, `registered path ${entry.path} does not exist`, fix || undefined,
+        `restore the folder, re-register it with --path, or remove it with --unregister ${name}`));
+      continue;
+    }
+
+    const expectedRepo = getRepoName(name);
+    if (entry.repo && entry.repo.split('/').pop() !== expectedRepo) {
+      issues.push(_issue('repo-name-mismatch', 'warning', name, `repo ${entry.repo} does not match the expected name ${expectedRepo}`,
+        undefined, 'check the repoPrefix setting or re-register with --repo'));
+    }
+
+    issues.push(..._checkFolder(name, entry.path, entry));
+  }
+
+  // Folders on disk that nothing points at
+  const folders = _scanRoot(root);
+  for (const folder of folders) {
+    if (registeredPaths.has(path.resolve(folder.path))) {
+      continue;
+    }
+    if (entries[folder.name]) {
+      issues.push(_issue('unregistered-folder', 'warning', folder.name, `${folder.path} is not registered; "${folder.name}" is registered at ${entries[folder.name].path}`,
+        undefined, 'remove the duplicate folder or register it under another name'));
+    } else {
+      const origin = _isGitRepo(folder.path) ? _getOrigin(folder.path) : null;
+      issues.push(_issue('unregistered-folder', 'warning', folder.name, `${folder.path} is not registered`, {
+        description: 'register it',
+        data: { path: folder.path, origin }
+      }));
+      issues.push(..._checkFolder(folder.name, folder.path, null));
+    }
+  }
+
+  return { root, checked: new Set([...Object.keys(entries), ...folders.map(folder => folder.name)]).size, issues };
+}
+
+/**
+ * Apply the fix for one issue
+ * @param {Object} issue - Fixable issue from diagnose()
+ */
+function _applyFix(issue) {
+  const { name, data } = issue;
+
+  switch (issue.code) {
+    case 'unregistered-folder': {
+      let repo = `${getSetting('githubOrg')}/${getRepoName(name)}`;
+      let provider = { type: getSetting('provider') };
+      const details = {};
+      if (data.origin) {
+        repo = _repoFromUrl(data.origin) || repo;
+        details.remoteUrl = data.origin;
+        if (_isLocalPath(data.origin)) {
+          provider = { type: 'local', path: path.dirname(path.dirname(data.origin)) };
+        }
+      }
+      // A stray folder may come from anywhere, so its own hooks don't run while it is registered
+      hooks.withoutPersonaHooks(() => registry.register(name, repo, data.path, { provider, ...details }));
+      break;
+    }
+    case 'dangling-entry':
+      registry.update(name, { path: data.path });
+      break;
+    case 'missing-file': {
+      const target = path.join(data.personaPath, data.file);
+      let content;
+      if (data.file === 'config.yaml') {
+        content = planConfig(name, getSetting('defaultModel')).content;
+      } else {
+        const plan = planPersonaFiles(name);
+        content = plan.files.find(file => path.relative(plan.personaPath, file.path) === data.file).content;
+      }
+      // Never overwrite a file created since diagnose() ran
+      fs.writeFileSync(target, content, { flag: 'wx' });
+      break;
+    }
+    case 'no-origin': {
+      const entry = registry.get(name);
+      const { type, settings } = normalizeProviderConfig(entry.provider);
+      const [owner, repoName] = entry.repo.split('/');
+      const { cloneUrl } = getProvider(type).describe({ repoName, owner, settings });
+      execFileSync('git', ['remote', 'add', 'origin', cloneUrl], { cwd: data.personaPath, stdio: 'ignore' });
+      break;
+    }
+    case 'repo-mismatch':
+      registry.update(name, { repo: data.repo, remoteUrl: data.remoteUrl });
+      break;
+    default:
+      throw new Error(`No fix for issue "${issue.code}"`);
+  }
+}
+
+/**
+ * Repair the fixable issues from a diagnosis
+ * @param {Array<Object>} issues - Issues from diagnose()
+ * @returns {Array<{issue: Object, success: boolean, error?: string}>}
+ */
+function repair(issues) {
+  return issues.filter(issue => issue.fixable).map(issue => {
+    try {
+      _applyFix(issue);
+      return { issue, success: true };
+    } catch (error) {
+      return { issue, success: false, error: error.message };
+    }
+  });
+}
+
+module.exports = {
+  diagnose,
+  repair,
+  REQUIRED_FILES
+};
@@ -0,0 +1,161 @@
+/**
+ * Errors
+ * Typed errors for the core API. Each has a stable code (used in --json output) and a process exit code:
+ *
+ *   code               exit  meaning
+ *   failed             1     the operation ran and failed (also any error not listed here)
+ *   invalid            2     bad arguments or invalid config
+ *   not-found          3     persona, key or file does not exist
+ *   conflict           4     target already exists or is in the way
+ *   registry-corrupt   5     registry unreadable and no backup to restore
+ *   registry-locked    5     another run holds the registry lock
+ */
+
+/**
+ * Base class for expected failures
+ */
+class PersonaError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} [options] - { hint: what to try next, details: extra data for --json }
+   */
+  constructor(message, { hint, details } = {}) {
+    super(message);
+    this.name = 'PersonaError';
+    this.code = 'failed';
+    this.exitCode = 1;
+    if (hint) {
+      this.hint = hint;
+    }
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+/**
+ * Bad arguments or invalid config
+ */
+class ValidationError extends PersonaError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.code = 'invalid';
+    this.exitCode = 2;
+  }
+}
+
+/**
+ * A persona or something it refers to does not exist
+ */
+class NotFoundError extends PersonaError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+    this.code = 'not-found';
+    this.exitCode = 3;
+  }
+}
+
+/**
+ * The target already exists or is in the way
+ */
+class ConflictError extends PersonaError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConflictError';
+    this.code = 'conflict';
+    this.exitCode = 4;
+  }
+}
+
+/**
+ * The registry file cannot be parsed and no backup could be restored
+ */
+class RegistryCorruptError extends PersonaError {
+  constructor(message, quarantinePath) {
+    super(message, { details: { quarantinePath } });
+    this.name = 'RegistryCorruptError';
+    this.code = 'registry-corrupt';
+    this.exitCode = 5;
+    this.quarantinePath = quarantinePath;
+  }
+}
+
+/**
+ * Another process holds the registry lock for too long
+ */
+class RegistryLockError extends PersonaError {
+  constructor(message) {
+    super(message);
+    this.name = 'RegistryLockError';
+    this.code = 'registry-locked';
+    this.exitCode = 5;
+  }
+}
+
+/**
+ * Error for a missing persona, with the usual hint
+ * @param {string} name - Persona name
+ * @returns {NotFoundError}
+ */
+function personaNotFound(name) {
+  return new NotFoundError(`Persona "${name}" not found`, {
+    hint: 'Use --list to see registered personas.',
+    details: { name }
+  });
+}
+
+/**
+ * Turn a { success, error } result from the older modules into data or a thrown error
+ * @param {Object} result - Result with success and error
+ * @param {Function} [ErrorClass] - Error to throw on failure (default: PersonaError)
+ * @returns {Object} The result without its success flag
+ * @throws {PersonaError}
+ */
+function unwrap(result, ErrorClass = PersonaError) {
+  const { success, error, ...data } = result;
+  if (!success) {
+    throw new ErrorClass(error);
+  }
+  return data;
+}
+
+/**
+ * Describe any error in the stable --json shape
+ * @param {Error} error - Error thrown by a command
+ * @returns {{code: string, message: string, hint?: string, details?: Object}}
+ */
+function describeError(error) {
+  if (!(error instanceof PersonaError)) {
+    return { code: 'failed', message: error?.message || String(error) };
+  }
+  return {
+    code: error.code,
+    message: error.message,
+    ...(error.hint && { hint: error.hint }),
+    ...(error.details && { details: error.details })
+  };
+}
+
+/**
+ * Exit code for an error
+ * @param {Error} error - Error thrown by a command
+ * @returns {number}
+ */
+function exitCodeFor(error) {
+  return error instanceof PersonaError ? error.exitCode : 1;
+}
+
+module.exports = {
+  PersonaError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  RegistryCorruptError,
+  RegistryLockError,
+  personaNotFound,
+  unwrap,
+  describeError,
+  exitCodeFor
+};
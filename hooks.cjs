@@ -0,0 +1,233 @@
+/**
+ * Hooks
+ * Runs user scripts on persona lifecycle events
+ *
+ * A hook is a file in ~/.clawdbot/hooks/ (all personas) or in a persona's own hooks/ folder,
+ * named after its event, optionally with a suffix: post-create, post-create.sh, post-create.10-notify.js.
+ * Global hooks run first, then the persona's; each group in file name order.
+ *
+ * - .js, .cjs and .mjs files are loaded in a separate Node process; their export (default export
+ *   for ES modules) must be a function. It receives the event and may return a promise; throwing fails the hook.
+ * - Any other file must be executable. It receives the event as JSON on stdin; a non-zero exit fails the hook.
+ *
+ * The event is { event, name, path, timestamp, data }. Scripts also get GOC_PERSONA_HOOK (the event),
+ * GOC_PERSONA_NAME and GOC_PERSONA_PATH in their environment. Hook output goes to stderr.
+ *
+ * A failing pre-* hook stops the remaining hooks and aborts the operation. Other hooks run after the
+ * change was made, so a failure is only reported. Commands run from inside a hook don't fire hooks again.
+ *
+ * Persona hooks are code that came with a persona folder, so they only run when the allowPersonaHooks
+ * setting is "true" (GOC_PERSONA_ALLOW_HOOKS, or --allow-persona-hooks for one command), and never
+ * for a folder that was just imported or registered (import-persona, register, doctor --fix): callers
+ * wrap those steps in withoutPersonaHooks(). Any hook file that isn't owned by the current
+ * user, or is writable by group or others, is not run and counts as a failed hook.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { getSetting } = require('./settings.cjs');
+
+const GLOBAL_HOOKS_DIR = path.join(process.env.HOME || process.env.USERPROFILE, '.clawdbot', 'hooks');
+const PERSONA_HOOKS_DIR = 'hooks';
+
+const HOOK_TIMEOUT_MS = 60000;
+
+// Event -> when it fires
+const HOOK_EVENTS = {
+  'pre-create': 'Before create-persona, clone-persona or import-persona --format makes any change (global hooks only)',
+  'post-create': 'After a persona was created, before setup',
+  'post-register': 'After a registry entry was added or replaced',
+  'on-status-change': 'After a persona\'s status changed',
+  'on-key-added': 'After a key was stored or rotated (the value is not included)',
+  'pre-delete': 'Before delete-persona changes anything',
+  'post-delete': 'After a persona was deleted or archived (global hooks only)'
+};
+
+const JS_EXTENSIONS = ['.js', '.cjs', '.mjs'];
+
+// Set while a folder that was just imported or registered is being set up
+let personaHooksSuspended = false;
+
+// Loads a JS hook in its own process: argv[1] is the hook file, the event comes on stdin
+const JS_RUNNER = `
+const { pathToFileURL } = require('url');
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; }).on('end', async () => {
+  try {
+    const hook = (await import(pathToFileURL(process.argv[1]).href)).default;
+    if (typeof hook !== 'function') {
+      throw new Error('hook module must export a function');
+    }
+    await hook(JSON.parse(input));
+  } catch (error) {
+    console.error(error && error.message ? error.message : error);
+    process.exit(1);
+  }
+});
+`;
+
+/**
+ * Find the hook files for an event
+ * @param {string} event - Event name
+ * @param {string} [personaPath] - Persona folder, to include its hooks/
+ * @returns {Array<string>} Hook file paths, in run order
+ */
+function findHooks(event, personaPath) {
+  const dirs = [GLOBAL_HOOKS_DIR, personaPath && path.join(personaPath, PERSONA_HOOKS_DIR)].filter(Boolean);
+  return dirs.flatMap(dir => {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && (entry.name === event || entry.name.startsWith(`${event}.`)))
+      .map(entry => entry.name)
+      .sort()
+      .map(name => path.join(dir, name));
+  });
+}
+
+/**
+ * Check whether persona hooks may run
+ * @returns {boolean}
+ */
+function personaHooksAllowed() {
+  return !personaHooksSuspended && getSetting('allowPersonaHooks') === 'true';
+}
+
+/**
+ * Run a step with persona hooks switched off, e.g. registering a folder that came from elsewhere
+ * @param {Function} fn - Step to run (synchronous)
+ * @returns {*} What fn returned
+ */
+function withoutPersonaHooks(fn) {
+  const previous = personaHooksSuspended;
+  personaHooksSuspended = true;
+  try {
+    return fn();
+  } finally {
+    personaHooksSuspended = previous;
+  }
+}
+
+/**
+ * Check that a hook file is safe to run: owned by the current user and not writable by others
+ * @param {string} hookPath - Hook file
+ * @returns {string|null} Why it must not run, or null if it may
+ */
+function checkHookFile(hookPath) {
+  let stats;
+  try {
+    stats = fs.statSync(hookPath);
+  } catch (error) {
+    return error.message;
+  }
+  if (process.getuid && stats.uid !== process.getuid()) {
+    return 'is not owned by you; not run';
+  }
+  if (stats.mode & 0o022) {
+    return 'is writable by group or others (chmod go-w it); not run';
+  }
+  return null;
+}
+
+/**
+ * Run one hook file
+ * @param {string} hookPath - Hook file
+ * @param {Object} payload - Event payload
+ * @returns {string|null} What went wrong, or null if the hook succeeded
+ */
+function _runHook(hookPath, payload) {
+  const isModule = JS_EXTENSIONS.includes(path.extname(hookPath));
+  const [command, args] = isModule ? [process.execPath, ['-e', JS_RUNNER, hookPath]] : [hookPath, []];
+  try {
+    execFileSync(command, args, {
+      cwd: payload.path && fs.existsSync(payload.path) ? payload.path : undefined,
+      input: JSON.stringify(payload),
+      stdio: ['pipe', 2, 2],
+      timeout: HOOK_TIMEOUT_MS,
+      env: {
+        ...process.env,
+        GOC_PERSONA_HOOK: payload.event,
+        GOC_PERSONA_NAME: payload.name,
+        GOC_PERSONA_PATH: payload.path || ''
+      }
+    });
+    return null;
+  } catch (error) {
+    if (error.code === 'EACCES') {
+      return 'is not executable (chmod +x it)';
+    }
+    if (error.code === 'ETIMEDOUT' || error.signal === 'SIGTERM') {
+      return `timed out after ${HOOK_TIMEOUT_MS / 1000}s`;
+    }
+    return error.status !== null && error.status !== undefined ? `exited with code ${error.status}` : error.message;
+  }
+}
+
+/**
+ * Run the hooks for an event
+ * @param {string} event - Event name (a key of HOOK_EVENTS)
+ * @param {Object} context - { name, path, data }; path also selects the persona's hooks/
+ * @param {Object} [options] - { personaHooks: false } runs global hooks only, whatever the setting;
+ *   { stopOnFailure } stops at the first failure
+ * @returns {Array<{hook: string, error: string}>} Failed hooks
+ */
+function _run(event, { name, path: personaPath, data = {} }, { personaHooks = true, stopOnFailure = false } = {}) {
+  if (!HOOK_EVENTS[event]) {
+    throw new Error(`Unknown hook event "${event}"`);
+  }
+  if (process.env.GOC_PERSONA_HOOK) {
+    return [];
+  }
+
+  const payload = { event, name, path: personaPath || null, timestamp: new Date().toISOString(), data };
+  const failures = [];
+  for (const hookPath of findHooks(event, personaHooks && personaHooksAllowed() ? personaPath : null)) {
+    const error = checkHookFile(hookPath) || _runHook(hookPath, payload);
+    if (error) {
+      failures.push({ hook: hookPath, error });
+      if (stopOnFailure) {
+        break;
+      }
+    }
+  }
+  return failures;
+}
+
+/**
+ * Run the hooks for a pre-* event; the caller aborts if one fails
+ * @param {string} event - pre-create or pre-delete
+ * @param {Object} context - { name, path, data }
+ * @param {Object} [options] - { personaHooks: false } runs global hooks only
+ * @returns {string|null} Why the operation must stop, or null to go ahead
+ */
+function runPreHooks(event, context, options = {}) {
+  const [failure] = _run(event, context, { ...options, stopOnFailure: true });
+  return failure ? `${event} hook ${failure.hook} ${failure.error}` : null;
+}
+
+/**
+ * Run the hooks for an event after the change was made; failures are reported on stderr
+ * @param {string} event - Event name
+ * @param {Object} context - { name, path, data }
+ * @param {Object} [options] - { personaHooks: false } runs global hooks only
+ * @returns {Array<{hook: string, error: string}>} Failed hooks
+ */
+function runHooks(event, context, options = {}) {
+  const failures = _run(event, context, options);
+  failures.forEach(({ hook, error }) => console.warn(`⚠️  ${event} hook ${hook} ${error}`));
+  return failures;
+}
+
+module.exports = {
+  runPreHooks,
+  runHooks,
+  findHooks,
+  checkHookFile,
+  personaHooksAllowed,
+  withoutPersonaHooks,
+  HOOK_EVENTS,
+  GLOBAL_HOOKS_DIR,
+  PERSONA_HOOKS_DIR
+};
@@ -7,29 +7,72 @@
 
 const path = require('path');
 const fs = require('fs');
-const { createPersona } = require('./persona-generator.cjs');
-const { createConfig } = require('./config-schema.cjs');
-const { initializeRepo } = require('./repo-initializer.cjs');
+const { readConfig, writeConfig, validateConfigFile } = require('./config-schema.cjs');
+const yaml = require('./yaml.cjs');
 const registry = require('./persona-registry.cjs');
+const templatePacks = require('./template-packs.cjs');
+const { formatPlan } = require('./persona-pipeline.cjs');
+const core = require('./persona-core.cjs');
+const { withLogger } = require('./progress.cjs');
+const {
+  PersonaError,
+  ValidationError,
+  NotFoundError,
+  unwrap,
+  describeError,
+  exitCodeFor
+} = require('./errors.cjs');
+const vault = require('./secret-vault.cjs');
+const settings = require('./settings.cjs');
+const doctor = require('./doctor.cjs');
+const { verifyPersonaKeys } = require('./key-verifier.cjs');
+const { exportPersona, importPersona } = require('./persona-bundle.cjs');
+const {
+  clonePersona,
+  renamePersona,
+  deletePersona,
+  restorePersona,
+  listArchives
+} = require('./persona-lifecycle.cjs');
+const history = require('./persona-history.cjs');
+const { renderPrompt } = require('./prompt-renderer.cjs');
+const formats = require('./persona-formats.cjs');
+const { exportPersonaAs, importPersonaFrom } = formats;
+const memoryStore = require('./memory-store.cjs');
+const hooks = require('./hooks.cjs');
+const auditLog = require('./audit-log.cjs');
+const skillManager = require('./skill-manager.cjs');
+const discord = require('./discord.cjs');
 
-// Default API keys that personas commonly need
-const DEFAULT_KEY_TYPES = ['openai', 'anthropic', 'elevenlabs', 'huggingface'];
+/**
+ * Print what a format conversion could not carry over
+ * @param {Array<string>} lossy - Lossy field notes
+ */
+function printLossy(lossy) {
+  if (lossy.length === 0) {
+    console.log('   Nothing was lost in the conversion.');
+    return;
+  }
+  console.log('   ⚠️  Not carried over:');
+  lossy.forEach(note => console.log(`     - ${note}`));
+}
 
 /**
  * Display setup guidance after persona creation
  * @param {string} name - Persona name
- * @param {string} githubRepo - GitHub repository URL
+ * @param {string} repoUrl - Remote repository URL (or bare repo path for the local provider)
  */
-function displaySetupGuidance(name, githubRepo) {
+function displaySetupGuidance(name, repoUrl) {
   console.log('\n' + '='.repeat(70));
   console.log('📋 SETUP GUIDANCE FOR YOUR NEW PERSONA');
   console.log('='.repeat(70));
   console.log(`\nPersona "${name}" created successfully!`);
-  console.log(`GitHub: https://github.com/${githubRepo}`);
+  console.log(`Repo: ${repoUrl}`);
   console.log(`\nYour next steps:`);
+  const requiredKeys = registry.get(name)?.requiredKeys || [];
   console.log(`\n1️⃣  CONFIGURE API KEYS`);
   console.log(`   Run: clawdbot skill run goc-persona --add-key ${name} <key-type>`);
-  console.log(`   Common keys: ${DEFAULT_KEY_TYPES.join(', ')}`);
+  console.log(`   Required keys: ${requiredKeys.map(({ keyType }) => keyType).join(', ') || 'none'}`);
   console.log(`\n2️⃣  DISCORD BOT SETUP (if using Discord)`);
   console.log(`   Create bot at: https://discord.com/developers/applications`);
   console.log(`   You'll need:`);
@@ -51,98 +94,517 @@ function displaySetupGuidance(name, githubRepo) {
 async function promptForSetupInfo(rl) {
   const info = {
     discordBotToken: '',
-    discordChannelIds: [],
+    discordApplicationId: '',
     discordGuildId: '',
+    discordChannels: [],
     apiKeys: []
   };
+  const ask = question => new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+  const askChannels = async (question, role) => {
+    const ids = (await ask(question)).split(',').map(id => id.trim()).filter(id => id);
+    info.discordChannels.push(...ids.map(id => ({ id, role })));
+  };
+  
+  const answer = (await ask('\n🤖 Set up a Discord bot now? (y/N): ')).toLowerCase();
+  if (answer !== 'y' && answer !== 'yes') {
+    return info;
+  }
+  info.discordBotToken = await ask('   Bot Token: ');
+  info.discordApplicationId = await ask('   Application ID (blank: read it from the token): ');
+  info.discordGuildId = await ask('   Guild ID (server ID): ');
+  await askChannels('   Interaction channel IDs (comma-separated): ', 'interaction');
+  await askChannels('   Log channel IDs (comma-separated, optional): ', 'log');
+  await askChannels('   Admin channel IDs (comma-separated, optional): ', 'admin');
+  return info;
+}
+
+/**
+ * Load setup info from an answers file (non-interactive mode)
+ *
+ * Secrets can be given inline or, preferably, as the name of an environment variable:
+ *   discord: { botToken | botTokenEnv, applicationId, guildId, channels: [{ id, role }] }
+ *   apiKeys: { <keyType>: <value> | { env: <VAR> } }
+ * The older discord.channelIds list is read as interaction channels.
+ *
+ * @param {string} answersPath - Path to answers.yaml
+ * @returns {Object} Setup info in the same shape as promptForSetupInfo()
+ */
+function loadSetupAnswers(answersPath) {
+  const answers = yaml.parse(fs.readFileSync(answersPath, 'utf8')) || {};
+  const discordAnswers = answers.discord || {};
+  const fromEnv = (name) => (name ? (process.env[name] || '').trim() : '');
+  
+  return {
+    discordBotToken: discordAnswers.botToken || fromEnv(discordAnswers.botTokenEnv),
+    discordApplicationId: discordAnswers.applicationId ? String(discordAnswers.applicationId) : '',
+    discordGuildId: discordAnswers.guildId ? String(discordAnswers.guildId) : '',
+    discordChannels: discord.getChannels(discordAnswers).map(({ id, role, name }) => ({
+      id: String(id),
+      role: role || 'interaction',
+      ...(name && { name })
+    })),
+    apiKeys: Object.entries(answers.apiKeys || {}).map(([keyType, value]) => ({
+      keyType,
+      value: value && typeof value === 'object' ? fromEnv(value.env) : String(value || '')
+    }))
+  };
+}
+
+/**
+ * Collect setup info interactively or from an answers file
+ * @param {Object} options - { interactive, answers }
+ * @returns {Promise<Object|null>} Setup info, or null if neither mode was requested
+ */
+async function collectSetupInfo({ interactive, answers }) {
+  if (answers) {
+    return loadSetupAnswers(answers);
+  }
+  if (!interactive) {
+    return null;
+  }
+  if (!process.stdin.isTTY) {
+    throw new ValidationError('--interactive needs a terminal; use --answers <file> in CI');
+  }
+  
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return await promptForSetupInfo(rl);
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Apply collected setup info: Discord IDs go to config.yaml, secrets go to the vault
+ * @param {string} name - Persona name
+ * @param {string} personaPath - Local path to persona
+ * @param {Object} info - Setup info from collectSetupInfo()
+ * @throws {ValidationError} If a Discord ID or channel role is invalid (nothing is written)
+ */
+function applySetupInfo(name, personaPath, info) {
+  const applicationId = info.discordApplicationId || discord.applicationIdFromToken(info.discordBotToken) || '';
+  const problems = [
+    ['Application ID', applicationId],
+    ['Guild ID', info.discordGuildId],
+    ...info.discordChannels.map(channel => [`${channel.role} channel ID`, channel.id])
+  ]
+    .filter(([, id]) => id && discord.snowflakeProblem(id))
+    .map(([label, id]) => `${label} "${id}" ${discord.snowflakeProblem(id)}`);
+  info.discordChannels
+    .filter(channel => !discord.CHANNEL_ROLES.includes(channel.role))
+    .forEach(channel => problems.push(`channel ${channel.id} has unknown role "${channel.role}" (use ${discord.CHANNEL_ROLES.join(', ')})`));
+  if (problems.length > 0) {
+    throw new ValidationError(problems.join('; '));
+  }
+  
+  if (applicationId || info.discordGuildId || info.discordChannels.length > 0) {
+    const config = readConfig(personaPath);
+    const { channelIds, ...existing } = config.discord || {};
+    // Re-entered channels replace their old role; legacy channelIds move to channels
+    const channels = [
+      ...discord.getChannels(config.discord).filter(channel => !info.discordChannels.some(({ id }) => id === channel.id)),
+      ...info.discordChannels
+    ];
+    config.discord = {
+      ...existing,
+      ...(applicationId && { applicationId }),
+      ...(info.discordGuildId && { guildId: info.discordGuildId }),
+      ...(channels.length > 0 && { channels })
+    };
+    writeConfig(personaPath, name, config);
+    console.log('✓ Discord settings written to config.yaml');
+    registry.refreshStatus(name);
+  }
+  
+  const secrets = [...info.apiKeys];
+  if (info.discordBotToken) {
+    secrets.push({ keyType: 'discord', value: info.discordBotToken });
+  }
+  
+  secrets.filter(secret => secret.value).forEach(({ keyType, value }) => {
+    core.addKey(name, keyType, value);
+    console.log(`✓ Stored "${keyType}" key in vault`);
+  });
+}
+
+/**
+ * Print config validation issues, one per line
+ * @param {Array} issues - Errors or warnings from validateConfigFile()
+ * @param {string} icon - Prefix icon
+ */
+function printConfigIssues(issues, icon) {
+  issues.forEach(issue => {
+    const location = issue.line ? `line ${issue.line}: ` : '';
+    console.log(`  ${icon} ${location}${issue.message}`);
+  });
+}
+
+/**
+ * Print a key verification report
+ * @param {Object} report - { name, results, skipped, status } from verify-keys
+ */
+function printKeyVerification({ name, results, skipped, status }) {
+  console.log('='.repeat(70));
+  console.log(`KEY VERIFICATION: ${name}`);
+  console.log('='.repeat(70));
+
+  if (results.length === 0) {
+    console.log('No verifiable keys configured.');
+  }
+  results.forEach(result => {
+    const icon = result.ok ? '✅' : result.rejected ? '❌' : '⚠️';
+    const required = result.required ? ' [required]' : '';
+    console.log(`  ${icon} ${result.keyType}${required}${result.ok ? '' : `: ${result.error}`}`);
+  });
+  if (skipped.length > 0) {
+    console.log(`  Skipped (no verifier): ${skipped.join(', ')}`);
+  }
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Status: ${status}`);
+}
+
+/**
+ * Read a secret value from an environment variable, piped stdin, or a prompt
+ * @param {string} keyType - Key type being read (used in the prompt)
+ * @param {string} [fromEnv] - Name of the environment variable holding the secret
+ * @returns {Promise<string>} Secret value (trailing newline stripped)
+ */
+async function readSecretInput(keyType, fromEnv) {
+  if (fromEnv) {
+    return (process.env[fromEnv] || '').trim();
+  }
+  
+  if (!process.stdin.isTTY) {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8').trim();
+  }
   
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stderr });
   return new Promise((resolve) => {
-    rl.question('\n🤖 Discord Bot Setup (optional, press Enter to skip):\n', (answer) => {
-      if (answer.trim().toLowerCase() === 'y' || answer.trim().toLowerCase() === 'yes') {
-        rl.question('   Bot Token: ', (token) => {
-          info.discordBotToken = token.trim();
-          rl.question('   Guild ID (server ID): ', (guildId) => {
-            info.discordGuildId = guildId.trim();
-            rl.question('   Channel IDs (comma-separated): ', (channels) => {
-              info.discordChannelIds = channels.split(',').map(c => c.trim()).filter(c => c);
-              resolve(info);
-            });
-          });
-        });
-      } else {
-        resolve(info);
-      }
+    rl.question(`🔑 Value for "${keyType}": `, (answer) => {
+      rl.close();
+      resolve(answer.trim());
     });
   });
 }
 
+/**
+ * Ask the user to type a persona name to confirm a destructive action
+ * @param {string} name - Persona name
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function confirmByName(name) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise((resolve) => {
+    rl.question(`Type "${name}" to confirm: `, (answer) => {
+      rl.close();
+      resolve(answer.trim() === name);
+    });
+  });
+}
+
+/**
+ * Mask a secret for display, keeping only the last four characters
+ * @param {string} value - Secret value
+ * @returns {string}
+ */
+function maskSecret(value) {
+  return value.length <= 4 ? '****' : `${'*'.repeat(Math.min(value.length - 4, 12))}${value.slice(-4)}`;
+}
+
+/**
+ * Read a --limit argument
+ * @param {*} value - Raw argument
+ * @returns {number|undefined} The limit, or undefined if none was given
+ * @throws {ValidationError} If it is not a positive whole number
+ */
+function readLimit(value) {
+  const { limit, error } = settings.parseLimit(value);
+  if (error) {
+    throw new ValidationError(error);
+  }
+  return limit;
+}
+
+// Added to every command
+const JSON_ARGUMENT = {
+  name: 'json',
+  required: false,
+  default: false,
+  description: 'Print the result as one JSON document: { ok, command, data } or { ok: false, command, error }'
+};
+
+// Added to every command: any of them can fire hooks
+const ALLOW_PERSONA_HOOKS_ARGUMENT = {
+  name: 'allowPersonaHooks',
+  required: false,
+  default: false,
+  description: 'Run hooks from the persona\'s hooks/ folder for this command (see the allowPersonaHooks setting)'
+};
+
+/**
+ * Write a JSON document to stdout
+ * @param {Object} value - Document
+ */
+function printJson(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+/**
+ * Print a progress line reported by the core modules; problems go to stderr
+ * @param {string} message - Message
+ * @param {string} level - 'info', 'warn' or 'error'
+ */
+function printProgress(message, level) {
+  (level === 'info' ? console.log : console.error)(message);
+}
+
+/**
+ * Run a command: execute() does the work and returns data or throws a typed error,
+ * render() prints the data as text. With --json, the data or error is printed as JSON
+ * instead, and whatever execute() logs or the core modules report goes to stderr so stdout
+ * holds only the document.
+ * Failures set process.exitCode (see errors.cjs). --allow-persona-hooks overrides the
+ * allowPersonaHooks setting while execute() runs.
+ * @param {string} command - Command name
+ * @param {Object} definition - { execute(args), render(data, args), renderError?(error, args) }
+ *   renderError returns true if it printed the error itself
+ * @param {Object} [args] - Command arguments
+ */
+async function runCommand(command, { execute, render, renderError }, args = {}) {
+  const { log, info } = console;
+  if (args.json) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+  const allowHooks = process.env.GOC_PERSONA_ALLOW_HOOKS;
+  if (args.allowPersonaHooks) {
+    process.env.GOC_PERSONA_ALLOW_HOOKS = 'true';
+  }
+
+  let data;
+  let failure = null;
+  try {
+    data = await withLogger(printProgress, () => execute(args));
+  } catch (error) {
+    failure = error;
+  } finally {
+    console.log = log;
+    console.info = info;
+    if (allowHooks === undefined) {
+      delete process.env.GOC_PERSONA_ALLOW_HOOKS;
+    } else {
+      process.env.GOC_PERSONA_ALLOW_HOOKS = allowHooks;
+    }
+  }
+
+  if (failure) {
+    process.exitCode = exitCodeFor(failure);
+    if (args.json) {
+      printJson({ ok: false, command, error: describeError(failure) });
+    } else if (!renderError?.(failure, args)) {
+      console.error(`❌ ${failure.message}`);
+      if (failure.hint) {
+        console.error(`   ${failure.hint}`);
+      }
+    }
+    return;
+  }
+
+  if (args.json) {
+    printJson({ ok: true, command, data });
+  } else {
+    render(data, args);
+  }
+}
+
+/**
+ * Build the skill's command table from execute/render definitions, adding --json and --allow-persona-hooks to each
+ * @param {Object} definitions - { [command]: { description, arguments, execute, render, renderError? } }
+ * @returns {Object} Commands with description, arguments and run()
+ */
+function defineCommands(definitions) {
+  return Object.fromEntries(Object.entries(definitions).map(([command, definition]) => [command, {
+    description: definition.description,
+    arguments: [...definition.arguments, JSON_ARGUMENT, ALLOW_PERSONA_HOOKS_ARGUMENT],
+    run: args => runCommand(command, definition, args)
+  }]));
+}
+
 module.exports = {
   name: 'goc-persona',
   description: 'Creates and manages AI personas with folder structure, config, and GitHub repo',
-  commands: {
+  commands: defineCommands({
     'create-persona': {
       description: 'Create a new AI persona',
       arguments: [
-        { name: 'name', required: true, description: 'Persona name (e.g., green-open)' },
-        { name: 'model', required: false, default: 'minimax/MiniMax-M2.1', description: 'Default model for the persona' },
-        { name: 'description', required: false, default: '', description: 'Persona description' }
-      ],
-      async run({ name, model, description }) {
-        const personaPath = path.join(process.env.HOME || process.env.USERPROFILE, 'personas', name);
-        const githubOrg = 'greenclawdbot';
-        const githubRepo = `${githubOrg}/goc-persona-${name}`;
-        
-        console.log(`Creating persona "${name}"...`);
-        console.log(`Path: ${personaPath}`);
-        console.log(`Model: ${model}`);
-        
-        // Step 1: Create folder structure and base files
-        await createPersona(name, description);
-        console.log('✓ Folder structure created');
-        
-        // Step 2: Generate config.yaml
-        await createConfig(name, model);
-        console.log('✓ Config generated');
-        
-        // Step 3: Initialize git and create GitHub repo
-        await initializeRepo(personaPath, name, githubOrg);
-        console.log('✓ Git repo initialized and pushed to GitHub');
-        
-        // Step 4: Register the persona
-        registry.register(name, githubRepo, personaPath);
-        console.log('✓ Persona registered');
-        
-        // Step 5: Display setup guidance
-        displaySetupGuidance(name, githubRepo);
-        
+        { name: 'name', required: false, description: 'Persona name (e.g., green-open); required unless --resume/--abort is given' },
+        { name: 'model', required: false, description: 'Default model for the persona (default: defaultModel setting)' },
+        { name: 'description', required: false, default: '', description: 'Persona description' },
+        { name: 'template', required: false, default: 'default', description: 'Template pack (built-in or from ~/.clawdbot/templates)' },
+        { name: 'vars', required: false, description: 'Template variables as key=value,key2=value2' },
+        { name: 'interactive', required: false, default: false, description: 'Run the Discord/API key setup wizard after creation' },
+        { name: 'answers', required: false, description: 'Answers file (YAML) for non-interactive setup' },
+        { name: 'dryRun', required: false, default: false, description: 'Print the creation plan without making any changes' },
+        { name: 'keepPartial', required: false, default: false, description: 'On failure, keep completed steps instead of rolling back (resume later)' },
+        { name: 'provider', required: false, description: 'Remote repo provider: github, gitlab, gitea, local (default: provider setting)' },
+        { name: 'providerUrl', required: false, description: 'API base URL (gitlab, gitea) or bare repo directory (local)' },
+        { name: 'providerTokenEnv', required: false, description: 'Environment variable holding the provider API token' },
+        { name: 'resume', required: false, description: 'Continue an unfinished creation of this persona from its last successful step' },
+        { name: 'abort', required: false, description: 'Roll back an unfinished creation of this persona' }
+      ],
+      async execute({ name, model = settings.getSetting('defaultModel'), description, template, vars, interactive, answers, dryRun, keepPartial, provider, providerUrl, providerTokenEnv, resume, abort, json }) {
+        if (abort) {
+          return { action: 'abort', ...(await core.abortCreate(abort)) };
+        }
+
+        let persona;
+        if (resume) {
+          const providerOverride = (provider || providerUrl || providerTokenEnv) &&
+            { type: provider, url: providerUrl, tokenEnv: providerTokenEnv };
+          persona = await core.resumeCreate(resume, { keepPartial, ...(providerOverride && { provider: providerOverride }) });
+        } else {
+          const options = {
+            name,
+            model,
+            description,
+            template,
+            vars: templatePacks.parseVars(vars),
+            provider: core.providerConfig(provider, providerUrl, providerTokenEnv)
+          };
+
+          const plan = core.planPersona(options);
+          if (dryRun) {
+            return { action: 'plan', plan };
+          }
+
+          console.log(`Creating persona "${name}"...`);
+          console.log(`Model: ${model}`);
+          if (template) {
+            console.log(`Template: ${template}`);
+          }
+          console.log(`Provider: ${options.provider.type}`);
+
+          // Steps: folder structure, config.yaml, git init, remote repo, registry
+          persona = await core.createPersona(options, { keepPartial });
+        }
+
+        // Run the setup wizard if requested; the persona exists either way
+        let setup = null;
+        if (interactive || answers) {
+          try {
+            applySetupInfo(persona.name, persona.path, await collectSetupInfo({ interactive, answers }));
+            setup = { applied: true };
+            persona = { ...core.getPersona(persona.name), url: persona.url };
+          } catch (error) {
+            // Unattended runs (answers file, --json, no terminal) must fail loudly; someone at a prompt sees the message
+            if (answers || json || !process.stdin.isTTY) {
+              throw new ValidationError(`Persona "${persona.name}" was created, but setup failed: ${error.message}`, {
+                hint: `Fix the answers and retry with: clawdbot skill run goc-persona --setup ${persona.name} --answers <file>`,
+                details: { name: persona.name, persona, setupError: error.message }
+              });
+            }
+            setup = { applied: false, error: error.message };
+          }
+        }
+
+        return { action: resume ? 'resume' : 'create', persona, setup };
+      },
+      render({ action, plan, name, persona, setup }) {
+        if (action === 'plan') {
+          console.log(formatPlan(plan));
+          return;
+        }
+        if (action === 'abort') {
+          console.log(`✓ Unfinished creation of "${name}" rolled back`);
+          return;
+        }
+
+        if (setup && !setup.applied) {
+          console.error(`Setup wizard failed: ${setup.error}`);
+          console.log(`   Retry with: clawdbot skill run goc-persona --setup ${persona.name} --interactive`);
+        }
+
+        // Display setup guidance
+        displaySetupGuidance(persona.name, persona.url);
+
         // Optional: Interactive setup prompt
         console.log('\n💡 Want to set up your persona now?');
-        console.log('   Run: clawdbot skill run goc-persona --setup ' + name);
+        console.log(`   Run: clawdbot skill run goc-persona --setup ${persona.name} --interactive`);
+      }
+    },
+    'list-templates': {
+      description: 'List template packs available to create-persona --template',
+      arguments: [],
+      async execute() {
+        return { packs: templatePacks.listPacks(), userTemplatesDir: templatePacks.USER_TEMPLATES_DIR };
+      },
+      render({ packs, userTemplatesDir }) {
+        console.log('='.repeat(70));
+        console.log('TEMPLATE PACKS');
+        console.log('='.repeat(70));
+
+        packs.forEach(pack => {
+          console.log(`\n📦 ${pack.name} (${pack.source})`);
+          if (pack.description) {
+            console.log(`   ${pack.description}`);
+          }
+        });
+
+        console.log('\n' + '='.repeat(70));
+        console.log(`Custom packs: ${userTemplatesDir}/<pack-name>/`);
       }
     },
     'setup': {
       description: 'Show setup guidance for a persona (Discord, API keys, channels)',
       arguments: [
-        { name: 'name', required: true, description: 'Persona name' }
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'interactive', required: false, default: false, description: 'Run the setup wizard instead of printing the guide' },
+        { name: 'answers', required: false, description: 'Answers file (YAML) for non-interactive setup' }
       ],
-      async run({ name }) {
-        const persona = registry.get(name);
-        
-        if (!persona) {
-          console.error(`Persona "${name}" not found.`);
-          console.log('Use --list to see registered personas.');
+      async execute({ name, interactive, answers }) {
+        const persona = core.requirePersona(name);
+
+        if (interactive || answers) {
+          try {
+            applySetupInfo(name, persona.path, await collectSetupInfo({ interactive, answers }));
+          } catch (error) {
+            throw error instanceof PersonaError ? error : new PersonaError(`Setup wizard failed: ${error.message}`);
+          }
+          const { status, missingKeys } = core.getPersona(name);
+          return { name, applied: true, status, missingKeys };
+        }
+
+        const setupGuidePath = path.join(__dirname, 'setup-guide.md');
+        return {
+          name,
+          applied: false,
+          configPath: path.join(persona.path, 'config.yaml'),
+          guide: fs.existsSync(setupGuidePath) ? fs.readFileSync(setupGuidePath, 'utf8') : null,
+          requiredKeys: persona.requiredKeys,
+          keysConfigured: persona.keysConfigured
+        };
+      },
+      render({ name, applied, configPath, guide, requiredKeys, keysConfigured }) {
+        if (applied) {
+          console.log(`\n✅ Setup applied to "${name}"`);
           return;
         }
-        
+
         console.log('\n' + '═'.repeat(70));
         console.log(`🔧 SETUP GUIDE: ${name}`);
         console.log('═'.repeat(70));
-        
-        // Read and display setup guide if it exists
-        const setupGuidePath = path.join(__dirname, 'setup-guide.md');
-        if (fs.existsSync(setupGuidePath)) {
-          const setupGuide = fs.readFileSync(setupGuidePath, 'utf8');
-          console.log(setupGuide);
+
+        // Display the setup guide if it exists
+        if (guide) {
+          console.log(guide);
         } else {
           console.log(`
 ## 📖 Discord Bot Setup
@@ -174,33 +636,27 @@ Create a bot at the Discord Developer Portal: https://discord.com/developers/app
      • Log/audit channel
      • Admin commands channel (if applicable)
 
-### Required Permissions:
-
-- View Channels, Send Messages, Manage Messages
-- Embed Links, Attach Files, Read Message History
-- Add Reactions, Use Slash Commands
-- Mention Everyone (@bot-to-bot mentions)
-- Manage Threads, Create Public/Private Threads
-- Send Messages in Threads, Pin Messages
-- Use External Emojis, Use External Stickers
-
 ### Generate Invite Link:
 
-OAuth2 URL Generator:
-- Scope: bot
-- Permissions: See discord-permissions.png for required checkboxes
+Run this to get the invite URL with the right permissions (no network needed):
+   clawdbot skill run goc-persona --discord-invite ${name}
 
-Copy the generated URL and open it to invite.
+Add permission sets with --permissions essential,recommended,voice,admin.
 
 ### API Keys Configuration:
 
-Run these commands to configure API keys:
+Run these commands to configure the API keys config.yaml requires:
 `);
-          
-          DEFAULT_KEY_TYPES.forEach(keyType => {
-            console.log(`  clawdbot skill run goc-persona --add-key ${name} ${keyType}`);
+
+          const apiKeys = requiredKeys.filter(({ keyType }) => keyType !== 'discord');
+          if (apiKeys.length === 0) {
+            console.log('  (none required)');
+          }
+          apiKeys.forEach(({ keyType, reason }) => {
+            const done = keysConfigured.includes(keyType) ? ' ✅' : '';
+            console.log(`  clawdbot skill run goc-persona --add-key ${name} ${keyType}    # ${reason}${done}`);
           });
-          
+
           console.log(`
 
 ### Next Steps:
@@ -208,47 +664,135 @@ Run these commands to configure API keys:
 1. Copy your bot token and run:
    clawdbot skill run goc-persona --add-key ${name} discord
 
-2. Create/update ~/personas/${name}/config.yaml with channel/guild IDs
+2. Add application/guild/channel IDs to ${configPath}, or run:
+   clawdbot skill run goc-persona --setup ${name} --interactive
 
-3. Invite your bot to the server with proper permissions
+3. Invite your bot: clawdbot skill run goc-persona --discord-invite ${name}
 
 4. Test with: clawdbot skill run goc-persona --status ${name}
 `);
         }
-        
+
         console.log('═'.repeat(70) + '\n');
       }
     },
+    'discord-invite': {
+      description: 'Print the bot invite URL and permission integer for a persona (offline)',
+      arguments: [
+        { name: 'name', required: false, description: 'Persona name (not needed with --list)' },
+        { name: 'permissions', required: false, description: 'Permission sets and/or permissions, comma-separated (default: discord.permissions in config.yaml, else essential)' },
+        { name: 'without', required: false, description: 'Permissions to leave out, comma-separated' },
+        { name: 'applicationId', required: false, description: 'Bot application ID (default: discord.applicationId, else read from the stored bot token)' },
+        { name: 'list', required: false, default: false, description: 'List the permission sets and permission names' }
+      ],
+      async execute({ name, permissions, without, applicationId, list = false }) {
+        const splitList = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+        if (list) {
+          return { sets: discord.PERMISSION_SETS, permissions: Object.keys(discord.PERMISSIONS) };
+        }
+
+        const persona = core.requirePersona(name);
+        let discordConfig = {};
+        try {
+          discordConfig = readConfig(persona.path).discord || {};
+        } catch (error) {
+          throw new ValidationError(`Could not read config.yaml: ${error.message}`);
+        }
+
+        let appId = applicationId || discordConfig.applicationId;
+        if (!appId) {
+          try {
+            appId = discord.applicationIdFromToken(vault.getSecret(name, 'discord'));
+          } catch {
+            // Fall through to the error below
+          }
+        }
+        if (!appId) {
+          throw new ValidationError('No application ID', {
+            hint: 'Set discord.applicationId in config.yaml, pass --application-id, or add the bot token with --add-key.'
+          });
+        }
+
+        const requested = permissions
+          ? splitList(permissions)
+          : (discordConfig.permissions?.length > 0 ? discordConfig.permissions : discord.DEFAULT_PERMISSIONS);
+        let invite;
+        try {
+          invite = discord.buildInvite({
+            applicationId: String(appId),
+            guildId: discordConfig.guildId,
+            permissions: requested,
+            without: splitList(without)
+          });
+        } catch (error) {
+          throw new ValidationError(error.message);
+        }
+        return { name, applicationId: String(appId), guildId: discordConfig.guildId || null, requested, ...invite };
+      },
+      render({ sets, permissions, name, applicationId, guildId, requested, bitfield, url }) {
+        if (sets) {
+          console.log('='.repeat(70));
+          console.log('DISCORD PERMISSION SETS');
+          console.log('='.repeat(70));
+          Object.entries(sets).forEach(([setName, set]) => {
+            console.log(`\n${setName}: ${set.description}`);
+            console.log(`   ${set.permissions.join(', ')}`);
+          });
+          console.log(`\nAll permissions: ${permissions.join(', ')}`);
+          console.log('='.repeat(70));
+          return;
+        }
+
+        console.log('='.repeat(70));
+        console.log(`DISCORD INVITE: ${name}`);
+        console.log('='.repeat(70));
+        console.log(`Application ID: ${applicationId}`);
+        if (guildId) {
+          console.log(`Server: ${guildId} (preselected)`);
+        }
+        console.log(`Permissions (${requested.join(', ')}):`);
+        console.log(`   ${permissions.join(', ')}`);
+        console.log(`Permission integer: ${bitfield}`);
+        console.log(`\n${url}`);
+        console.log('\nAlso enable the Server Members and Message Content intents under Bot → Privileged Gateway Intents;');
+        console.log('they can\'t be granted through the invite.');
+        console.log('='.repeat(70));
+      }
+    },
     'list': {
       description: 'List all registered personas',
       arguments: [],
-      async run() {
-        const personas = registry.list();
-        
+      async execute() {
+        return { personas: core.listPersonas() };
+      },
+      render({ personas }) {
         if (personas.length === 0) {
           console.log('No personas registered yet.');
           console.log('Create one with: clawdbot skill run goc-persona --name <name>');
           return;
         }
-        
+
         console.log('='.repeat(70));
         console.log('REGISTERED PERSONAS');
         console.log('='.repeat(70));
-        
+
         personas.forEach(p => {
-          const statusIcon = p.status === 'ready' ? '✅' : 
-                            p.status === 'needs-setup' ? '⚠️' : 
+          const statusIcon = p.status === 'ready' ? '✅' :
+                            p.status === 'needs-setup' ? '⚠️' :
                             p.status === 'error' ? '❌' : '📋';
-          
+
           console.log(`\n${statusIcon} ${p.name}`);
           console.log(`   Status: ${p.status}`);
           console.log(`   Repo: ${p.repo}`);
           console.log(`   Keys: ${p.keysConfigured.length > 0 ? p.keysConfigured.join(', ') : 'none'}`);
-          if (p.missingKeys.length > 0) {
+          if (p.configError) {
+            console.log(`   Config: ❌ ${p.configError}`);
+          } else if (p.missingKeys.length > 0) {
             console.log(`   Missing: ${p.missingKeys.join(', ')}`);
           }
         });
-        
+
         console.log('\n' + '='.repeat(70));
         console.log(`Total: ${personas.length} persona(s)`);
       }
@@ -258,98 +802,237 @@ Run these commands to configure API keys:
       arguments: [
         { name: 'name', required: true, description: 'Persona name' }
       ],
-      async run({ name }) {
-        const persona = registry.get(name);
-        
-        if (!persona) {
-          console.error(`Persona "${name}" not found.`);
-          console.log('Use --list to see registered personas.');
-          return;
-        }
-        
+      async execute({ name }) {
+        return core.getStatus(name);
+      },
+      render(persona) {
         console.log('='.repeat(70));
-        console.log(`PERSONA: ${name}`);
+        console.log(`PERSONA: ${persona.name}`);
         console.log('='.repeat(70));
-        console.log(`Status: ${persona.status}`);
+        console.log(`Status: ${persona.status}${persona.statusReason ? ` (${persona.statusReason})` : ''}`);
         console.log(`Repo: ${persona.repo}`);
+        console.log(`Provider: ${persona.provider}${persona.remoteUrl ? ` (${persona.remoteUrl})` : ''}`);
         console.log(`Path: ${persona.path}`);
         console.log(`Created: ${persona.createdAt}`);
         console.log(`Last Updated: ${persona.lastUpdated}`);
-        
+
         console.log('\n--- Keys & Configuration ---');
-        const keys = registry.getKeys(name);
-        if (keys.length === 0) {
+        if (persona.keysConfigured.length === 0) {
           console.log('No keys configured yet.');
         } else {
-          keys.forEach(key => {
+          persona.keysConfigured.forEach(key => {
             const keyData = persona.keys[key];
-            console.log(`  ✅ ${key} (configured: ${keyData?.configuredAt})`);
+            if (!keyData?.lastVerifiedAt) {
+              console.log(`  ✅ ${key} (configured: ${keyData?.configuredAt}, not verified)`);
+            } else if (keyData.ok) {
+              console.log(`  ✅ ${key} (configured: ${keyData.configuredAt}, verified: ${keyData.lastVerifiedAt})`);
+            } else {
+              console.log(`  ⚠️ ${key} (configured: ${keyData.configuredAt}, verification failed ${keyData.lastVerifiedAt}: ${keyData.error})`);
+            }
           });
         }
-        
-        console.log('\n--- Missing Keys ---');
-        if (persona.missingKeys.length === 0) {
-          console.log('  All common keys configured! ✅');
+
+        console.log('\n--- Required Keys ---');
+        if (persona.configError) {
+          console.log(`  ❌ Cannot read config.yaml: ${persona.configError}`);
+        } else if (persona.requiredKeys.length === 0) {
+          console.log('  config.yaml requires no keys');
         } else {
-          console.log(`  ${persona.missingKeys.join(', ')}`);
+          persona.requiredKeys.forEach(({ keyType, reason }) => {
+            if (persona.missingKeys.includes(keyType)) {
+              console.log(`  ❌ ${keyType} (${reason})`);
+            } else if (persona.keys[keyType]?.ok === false) {
+              console.log(`  ❌ ${keyType} (${reason}; failed the last verify-keys: ${persona.keys[keyType].error})`);
+            } else {
+              console.log(`  ✅ ${keyType} (${reason})`);
+            }
+          });
         }
-        
+
+        console.log('\n--- Config ---');
+        const { validation } = persona;
+        if (validation.valid) {
+          console.log('  ✅ config.yaml is valid');
+        } else {
+          console.log(`  ❌ config.yaml has ${validation.errors.length} error(s):`);
+          printConfigIssues(validation.errors, '✗');
+        }
+        printConfigIssues(validation.warnings, '⚠️');
+
         console.log('\n--- Readiness ---');
-        console.log(`  Status: ${persona.isReady ? '✅ Ready' : '⚠️ Needs Setup'}`);
-        
+        console.log(`  Status: ${persona.isReady ? '✅ Ready' : persona.status === 'error' ? '❌ Error' : '⚠️ Needs Setup'}`);
+
         console.log('\n' + '='.repeat(70));
       }
     },
+    'validate': {
+      description: 'Validate a persona config.yaml against the schema',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' }
+      ],
+      async execute({ name }) {
+        const persona = registry.get(name);
+        const personaPath = persona ? persona.path : settings.getPersonaPath(name);
+        const { valid, ...result } = validateConfigFile(personaPath);
+
+        if (!valid) {
+          throw new ValidationError(`config.yaml for "${name}" has ${result.errors.length} error(s)`, {
+            details: { name, ...result }
+          });
+        }
+        return { name, ...result };
+      },
+      render({ name, configPath, errors, warnings }) {
+        console.log(`Validating ${configPath}`);
+        printConfigIssues(errors, '✗');
+        printConfigIssues(warnings, '⚠️');
+        console.log(`✅ config.yaml for "${name}" is valid`);
+      },
+      renderError(error) {
+        if (!error.details?.configPath) {
+          return false;
+        }
+        console.log(`Validating ${error.details.configPath}`);
+        printConfigIssues(error.details.errors, '✗');
+        printConfigIssues(error.details.warnings, '⚠️');
+        console.error(`❌ ${error.message}`);
+        return true;
+      }
+    },
     'register': {
       description: 'Manually register an existing persona folder',
       arguments: [
         { name: 'name', required: true, description: 'Persona name' },
         { name: 'repo', required: false, description: 'GitHub repo (org/repo format)' },
-        { name: 'path', required: false, description: 'Local path to persona' }
-      ],
-      async run({ name, repo, path: personaPath }) {
-        const basePath = process.env.HOME || process.env.USERPROFILE;
-        const resolvedPath = personaPath || path.join(basePath, 'personas', name);
-        const resolvedRepo = repo || `greenclawdbot/goc-persona-${name}`;
-        
-        // Check if path exists
-        if (!require('fs').existsSync(resolvedPath)) {
-          console.error(`Persona path does not exist: ${resolvedPath}`);
-          return;
-        }
-        
-        registry.register(name, resolvedRepo, resolvedPath);
-        console.log(`\n✅ Persona "${name}" registered successfully!`);
-        
-        const persona = registry.get(name);
+        { name: 'path', required: false, description: 'Local path to persona' },
+        { name: 'provider', required: false, description: 'Remote repo provider: github, gitlab, gitea, local (default: provider setting)' },
+        { name: 'providerUrl', required: false, description: 'API base URL (gitlab, gitea) or bare repo directory (local)' },
+        { name: 'providerTokenEnv', required: false, description: 'Environment variable holding the provider API token' }
+      ],
+      async execute({ name, repo, path: personaPath, provider, providerUrl, providerTokenEnv }) {
+        return core.registerPersona({
+          name,
+          repo,
+          path: personaPath,
+          provider: core.providerConfig(provider, providerUrl, providerTokenEnv)
+        });
+      },
+      render(persona) {
+        console.log(`\n✅ Persona "${persona.name}" registered successfully!${persona.replaced ? ' (replaced the existing entry)' : ''}`);
         console.log(`   Status: ${persona.status}`);
         console.log(`   Keys: ${persona.keysConfigured.join(', ') || 'none'}`);
         console.log(`   Missing: ${persona.missingKeys.join(', ') || 'none'}`);
       }
     },
     'add-key': {
-      description: 'Mark a key as configured for a persona',
+      description: 'Store a key in the persona vault and mark it as configured',
       arguments: [
         { name: 'name', required: true, description: 'Persona name' },
-        { name: 'keyType', required: true, description: 'Key type (e.g., openai, anthropic, elevenlabs)' }
+        { name: 'keyType', required: true, description: 'Key type (e.g., openai, anthropic, elevenlabs)' },
+        { name: 'fromEnv', required: false, description: 'Read the secret from this environment variable instead of stdin' }
       ],
-      async run({ name, keyType }) {
-        const persona = registry.get(name);
-        
-        if (!persona) {
-          console.error(`Persona "${name}" not found.`);
-          return;
+      async execute({ name, keyType, fromEnv }) {
+        core.requirePersona(name);
+        return core.addKey(name, keyType, await readSecretInput(keyType, fromEnv));
+      },
+      render({ name, keyType, previousStatus, status, missingKeys }) {
+        console.log(`Stored key "${keyType}" in vault for persona "${name}"`);
+        if (status === 'ready' && previousStatus !== 'ready') {
+          console.log(`🎉 All required keys configured! Status updated to "ready"`);
+        } else if (missingKeys.length > 0) {
+          console.log(`Still missing: ${missingKeys.join(', ')}`);
+        }
+      }
+    },
+    'get-key': {
+      description: 'Read a stored key from the persona vault',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'keyType', required: true, description: 'Key type' },
+        { name: 'reveal', required: false, default: false, description: 'Print the full secret instead of a masked value' }
+      ],
+      async execute({ name, keyType, reveal = false }) {
+        core.requireKeyType(keyType);
+        let value;
+        try {
+          value = vault.getSecret(name, keyType);
+        } catch (error) {
+          throw new PersonaError(`Failed to read key "${keyType}": ${error.message}`);
+        }
+
+        if (value === null) {
+          throw new NotFoundError(`No key "${keyType}" stored for persona "${name}"`, { details: { name, keyType } });
+        }
+
+        return { name, keyType, value: reveal ? value : maskSecret(value), masked: !reveal };
+      },
+      render({ value }) {
+        console.log(value);
+      }
+    },
+    'rotate-key': {
+      description: 'Replace a stored key with a new value',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'keyType', required: true, description: 'Key type' },
+        { name: 'fromEnv', required: false, description: 'Read the new secret from this environment variable instead of stdin' }
+      ],
+      async execute({ name, keyType, fromEnv }) {
+        core.requirePersona(name);
+        core.requireKeyType(keyType);
+
+        if (!vault.hasSecret(name, keyType)) {
+          throw new NotFoundError(`No key "${keyType}" stored for persona "${name}"`, {
+            hint: 'Use --add-key first.',
+            details: { name, keyType }
+          });
         }
-        
-        registry.addKey(name, keyType);
-        console.log(`Added key "${keyType}" to persona "${name}"`);
-        
-        // Check if all keys are now configured
-        const updatedPersona = registry.get(name);
-        if (updatedPersona.missingKeys.length === 0 && updatedPersona.status !== 'ready') {
-          registry.updateStatus(name, 'ready');
-          console.log(`🎉 All keys configured! Status updated to "ready"`);
+
+        return core.addKey(name, keyType, await readSecretInput(keyType, fromEnv));
+      },
+      render({ name, keyType }) {
+        console.log(`🔄 Rotated key "${keyType}" for persona "${name}"`);
+      }
+    },
+    'remove-key': {
+      description: 'Delete a stored key and mark it as not configured',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'keyType', required: true, description: 'Key type' }
+      ],
+      async execute({ name, keyType }) {
+        return core.removeKey(name, keyType);
+      },
+      render({ name, keyType }) {
+        console.log(`Removed key "${keyType}" from persona "${name}"`);
+      }
+    },
+    'verify-keys': {
+      description: 'Check that configured keys are accepted by their providers',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' }
+      ],
+      async execute({ name }) {
+        core.requirePersona(name);
+        const report = { name, ...unwrap(await verifyPersonaKeys(name)) };
+        const failed = report.results.filter(result => !result.ok).map(result => result.keyType);
+        if (failed.length > 0) {
+          throw new PersonaError(`${failed.length} key check(s) failed for "${name}": ${failed.join(', ')}`, {
+            details: report
+          });
+        }
+        return report;
+      },
+      render(report) {
+        printKeyVerification(report);
+      },
+      renderError(error) {
+        if (!error.details?.results) {
+          return false;
         }
+        printKeyVerification(error.details);
+        console.error(`❌ ${error.message}`);
+        return true;
       }
     },
     'update-status': {
@@ -358,24 +1041,757 @@ Run these commands to configure API keys:
         { name: 'name', required: true, description: 'Persona name' },
         { name: 'status', required: true, description: 'New status (ready, needs-setup, error)' }
       ],
-      async run({ name, status }) {
-        const result = registry.updateStatus(name, status);
-        if (result) {
-          console.log(`Updated status for "${name}" to "${status}"`);
+      async execute({ name, status }) {
+        return core.updateStatus(name, status);
+      },
+      render({ name, status }) {
+        console.log(`Updated status for "${name}" to "${status}"`);
+      }
+    },
+    'config': {
+      description: 'Get or set skill settings (~/.clawdbot/goc-persona.json)',
+      arguments: [
+        { name: 'action', required: false, default: 'list', description: 'list, get, set or unset' },
+        { name: 'key', required: false, description: 'Setting name' },
+        { name: 'value', required: false, description: 'New value (for set)' }
+      ],
+      async execute({ action = 'list', key, value }) {
+        try {
+          if (action === 'list') {
+            return { action, settings: settings.describeSettings(), settingsPath: settings.SETTINGS_PATH };
+          } else if (action === 'get') {
+            return { action, key, value: settings.getSetting(key) };
+          } else if (action === 'set') {
+            settings.setSetting(key, value);
+            const effective = settings.describeSettings().find(setting => setting.key === key);
+            return { action, key, value, effective };
+          } else if (action === 'unset') {
+            const removed = settings.unsetSetting(key);
+            return { action, key, removed, value: settings.getSetting(key), settingsPath: settings.SETTINGS_PATH };
+          }
+        } catch (error) {
+          throw new ValidationError(error.message);
+        }
+        throw new ValidationError(`Unknown action "${action}". Use list, get, set or unset.`);
+      },
+      render({ action, key, value, removed, effective, settings: described, settingsPath }) {
+        if (action === 'list') {
+          console.log('='.repeat(70));
+          console.log('SKILL SETTINGS');
+          console.log('='.repeat(70));
+          described.forEach(setting => {
+            console.log(`\n${setting.key} = ${setting.value}  (${setting.source})`);
+            console.log(`   ${setting.description}`);
+            console.log(`   Env override: ${setting.env}`);
+          });
+          console.log('\n' + '='.repeat(70));
+          console.log(`Settings file: ${settingsPath}`);
+        } else if (action === 'get') {
+          console.log(value);
+        } else if (action === 'set') {
+          console.log(`Set ${key} = ${value}`);
+          if (effective.source === 'env') {
+            console.log(`⚠️  ${effective.env} is set and overrides this value (${effective.value})`);
+          }
+        } else if (removed) {
+          console.log(`Unset ${key} (now ${value})`);
+        } else {
+          console.log(`${key} was not set in ${settingsPath}`);
+        }
+      }
+    },
+    'memory': {
+      description: 'Add, list, search, forget or prune a persona\'s memories (memory/entries.jsonl)',
+      arguments: [
+        { name: 'action', required: true, description: 'add, list, search, forget or prune' },
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'text', required: false, description: 'Text to remember (add), query (search) or entry ids, comma-separated (forget)' },
+        { name: 'tags', required: false, description: 'Tags for add, comma-separated' },
+        { name: 'source', required: false, default: 'manual', description: 'Where the memory came from (add)' },
+        { name: 'tag', required: false, description: 'Only entries with this tag (list, search, forget)' },
+        { name: 'limit', required: false, description: 'Maximum entries to show (list, search)' },
+        { name: 'before', required: false, description: 'Prune entries created before this date' },
+        { name: 'keep', required: false, description: 'Entries to keep when pruning (default: memory.maxEntries)' },
+        { name: 'dryRun', required: false, default: false, description: 'Show what prune would remove' }
+      ],
+      async execute({ action, name, text, tags, source = 'manual', tag, limit: rawLimit, before, keep, dryRun = false }) {
+        const limit = readLimit(rawLimit);
+        const run = {
+          add: () => memoryStore.addMemory(name, text, { tags, source }),
+          list: () => memoryStore.listMemories(name, { tag, limit }),
+          search: () => memoryStore.searchMemories(name, text, { tag, limit }),
+          forget: () => memoryStore.forgetMemories(name, { ids: text, tag }),
+          prune: () => memoryStore.pruneMemories(name, { before, keep, dryRun })
+        }[action];
+        if (!run) {
+          throw new ValidationError(`Unknown action "${action}". Use add, list, search, forget or prune.`);
+        }
+        core.requirePersona(name);
+        return {
+          action,
+          name,
+          ...(action === 'search' && { query: text }),
+          ...(action === 'prune' && { dryRun }),
+          ...unwrap(run())
+        };
+      },
+      render(result) {
+        const { action, name } = result;
+        const formatEntry = entry => {
+          const labels = entry.tags.length > 0 ? ` [${entry.tags.join(', ')}]` : '';
+          return `${entry.id}  ${entry.createdAt.slice(0, 10)}  ${entry.text}${labels}`;
+        };
+        const entries = count => `${count} entr${count === 1 ? 'y' : 'ies'}`;
+
+        if (action === 'add') {
+          console.log(`✅ Remembered ${result.entry.id} for "${name}"`);
+          if (result.pruned.length > 0) {
+            console.log(`   Dropped ${result.pruned.length} oldest entr${result.pruned.length === 1 ? 'y' : 'ies'} to stay within memory.maxEntries`);
+          }
+          if (result.skipped > 0) {
+            console.log(`⚠️  ${result.skipped} unreadable line(s) left in place; prune removes them`);
+          }
+        } else if (action === 'list') {
+          console.log('='.repeat(70));
+          console.log(`MEMORY: ${name} (${result.total}/${result.maxEntries} entries${result.enabled ? '' : ', disabled'})`);
+          console.log('='.repeat(70));
+          if (result.entries.length === 0) {
+            console.log('No memories.');
+          }
+          result.entries.forEach(entry => console.log(formatEntry(entry)));
+          if (result.skipped > 0) {
+            console.log(`\n⚠️  ${result.skipped} unreadable line(s) skipped; prune removes them`);
+          }
+          console.log('='.repeat(70));
+        } else if (action === 'search') {
+          if (result.results.length === 0) {
+            console.log(`No memories of "${name}" match "${result.query}".`);
+            return;
+          }
+          result.results.forEach(({ entry, score }) => console.log(`${score.toFixed(2)}  ${formatEntry(entry)}`));
+        } else if (action === 'forget') {
+          console.log(`✅ Forgot ${entries(result.removed.length)} of "${name}"`);
+        } else if (action === 'prune') {
+          const verb = result.dryRun ? 'Would remove' : 'Removed';
+          console.log(`${verb} ${entries(result.removed.length)}; ${result.kept} kept`);
+          if (result.dryRun) {
+            result.removed.forEach(entry => console.log(`   - ${formatEntry(entry)}`));
+          }
+          if (result.skipped > 0) {
+            console.log(`${verb} ${result.skipped} unreadable line(s)`);
+          }
+        }
+      }
+    },
+    'add-skill': {
+      description: 'Install a skill from a local folder or git URL into a persona',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'source', required: true, description: 'Skill folder, or git URL (append #<ref> for a branch or tag)' }
+      ],
+      async execute({ name, source }) {
+        core.requirePersona(name);
+        return { name, ...unwrap(skillManager.addSkill(name, source)) };
+      },
+      render({ name, skill, missingKeys }) {
+        console.log(`✅ Installed skill "${skill.name}"${skill.version ? ` ${skill.version}` : ''} into "${name}"`);
+        if (skill.keys?.length > 0) {
+          console.log(`   Keys declared by the skill: ${skill.keys.join(', ')}`);
+        }
+        if (missingKeys.length > 0) {
+          console.log(`   Missing required keys: ${missingKeys.join(', ')}`);
+          missingKeys.forEach(keyType => {
+            console.log(`     clawdbot skill run goc-persona --add-key ${name} ${keyType}`);
+          });
+        }
+      }
+    },
+    'remove-skill': {
+      description: 'Remove a skill from a persona\'s skills/ folder and skills list',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'skill', required: true, description: 'Skill name' }
+      ],
+      async execute({ name, skill }) {
+        core.requirePersona(name);
+        return { name, skill, ...unwrap(skillManager.removeSkill(name, skill)) };
+      },
+      render({ name, skill, keys }) {
+        console.log(`✅ Removed skill "${skill}" from "${name}"`);
+        if (keys.length > 0) {
+          console.log(`   Keys it declared (${keys.join(', ')}) are kept in the vault if stored; remove unused ones with --remove-key.`);
         }
       }
     },
+    'list-skills': {
+      description: 'List a persona\'s skills with their versions, keys and sources',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' }
+      ],
+      async execute({ name }) {
+        core.requirePersona(name);
+        return { name, ...unwrap(skillManager.listSkills(name)) };
+      },
+      render({ name, skills }) {
+        console.log('='.repeat(70));
+        console.log(`SKILLS: ${name}`);
+        console.log('='.repeat(70));
+        if (skills.length === 0) {
+          console.log('No skills. Install one with add-skill.');
+        }
+        skills.forEach(skill => {
+          const icon = skill.error || !skill.installed || !skill.listed ? '⚠️' : '✅';
+          console.log(`\n${icon} ${skill.name}${skill.version ? ` ${skill.version}` : ''}`);
+          if (skill.description) {
+            console.log(`   ${skill.description}`);
+          }
+          if (skill.keys.length > 0) {
+            console.log(`   Keys: ${skill.keys.join(', ')}`);
+          }
+          if (skill.source) {
+            const ref = skill.source.ref ? `#${skill.source.ref}` : '';
+            const commit = skill.source.commit ? ` @ ${skill.source.commit.slice(0, 7)}` : '';
+            console.log(`   Source: ${skill.source.source}${ref}${commit}`);
+          }
+          if (!skill.installed) {
+            console.log('   In config.yaml but not in skills/');
+          } else if (!skill.listed) {
+            console.log('   In skills/ but not in config.yaml');
+          }
+          if (skill.error) {
+            console.log(`   ${skill.error}`);
+          }
+        });
+        console.log('\n' + '='.repeat(70));
+      }
+    },
+    'update-skills': {
+      description: 'Fetch a persona\'s skills again from where they were installed',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'skill', required: false, description: 'Only update this skill' }
+      ],
+      async execute({ name, skill }) {
+        core.requirePersona(name);
+        return { name, ...unwrap(skillManager.updateSkills(name, skill)) };
+      },
+      render({ name, results, missingKeys }) {
+        if (results.length === 0) {
+          console.log(`"${name}" has no installed skills.`);
+          return;
+        }
+
+        results.forEach(({ name: skillName, status, from, to, addedKeys, error }) => {
+          if (status === 'updated') {
+            const versions = from !== to ? ` (${from || '?'} → ${to || '?'})` : '';
+            console.log(`✅ ${skillName} updated${versions}`);
+            if (addedKeys.length > 0) {
+              console.log(`   Now also needs: ${addedKeys.join(', ')}`);
+            }
+          } else if (status === 'unchanged') {
+            console.log(`✓ ${skillName} is up to date`);
+          } else {
+            console.log(`${status === 'failed' ? '❌' : '↷'} ${skillName} ${status}: ${error}`);
+          }
+        });
+        if (missingKeys.length > 0) {
+          console.log(`\nMissing required keys: ${missingKeys.join(', ')}`);
+        }
+      }
+    },
+    'clone-persona': {
+      description: 'Create a new persona from a copy of an existing one',
+      arguments: [
+        { name: 'source', required: true, description: 'Persona to clone' },
+        { name: 'target', required: true, description: 'New persona name' },
+        { name: 'resetMemory', required: false, default: false, description: 'Start the clone with an empty memory/ folder' },
+        { name: 'keepHistory', required: false, default: false, description: "Keep the source's git history instead of starting fresh" },
+        { name: 'provider', required: false, description: "Remote repo provider for the clone (default: the source's)" },
+        { name: 'providerUrl', required: false, description: 'API base URL (gitlab, gitea) or bare repo directory (local)' },
+        { name: 'providerTokenEnv', required: false, description: 'Environment variable holding the provider API token' }
+      ],
+      async execute({ source, target, resetMemory = false, keepHistory = false, provider, providerUrl, providerTokenEnv }) {
+        core.requirePersona(source);
+        const providerConfig = provider ? core.providerConfig(provider, providerUrl, providerTokenEnv) : undefined;
+
+        console.log(`Cloning "${source}" as "${target}"...`);
+        const result = unwrap(await clonePersona(source, target, { resetMemory, keepHistory, provider: providerConfig }));
+        return { source, ...result, keepHistory, resetMemory };
+      },
+      render({ source, name, path: clonePath, url, keepHistory, resetMemory, missingKeys }) {
+        console.log(`\n✅ Cloned "${source}" as "${name}"`);
+        console.log(`   Path: ${clonePath}`);
+        console.log(`   Repo: ${url}`);
+        console.log(`   History: ${keepHistory ? 'kept' : 'fresh'}${resetMemory ? ', memory reset' : ''}`);
+        if (missingKeys.length > 0) {
+          console.log(`   Keys are not copied. Missing: ${missingKeys.join(', ')}`);
+        }
+      }
+    },
+    'rename-persona': {
+      description: 'Rename a persona: folder, registry entry, config header, vault and remote repo',
+      arguments: [
+        { name: 'oldName', required: true, description: 'Current persona name' },
+        { name: 'newName', required: true, description: 'New persona name' },
+        { name: 'keepRemote', required: false, default: false, description: 'Leave the remote repo name unchanged' }
+      ],
+      async execute({ oldName, newName, keepRemote = false }) {
+        core.requirePersona(oldName);
+        console.log(`Renaming "${oldName}" to "${newName}"...`);
+        return { oldName, ...unwrap(await renamePersona(oldName, newName, { keepRemote })) };
+      },
+      render({ oldName, name, path: newPath, repo, warnings }) {
+        console.log(`\n✅ Renamed "${oldName}" to "${name}"`);
+        console.log(`   Path: ${newPath}`);
+        console.log(`   Repo: ${repo}`);
+        warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+      }
+    },
+    'delete-persona': {
+      description: 'Delete a persona: folder, registry entry and optionally its remote repo and secrets',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'archive', required: false, default: false, description: 'Move the folder to ~/.clawdbot/archive instead of deleting it' },
+        { name: 'remote', required: false, default: 'keep', description: 'Remote repo: keep, delete or archive' },
+        { name: 'purgeSecrets', required: false, default: false, description: "Delete the persona's vault" },
+        { name: 'yes', required: false, default: false, description: 'Skip the confirmation prompt' }
+      ],
+      async execute({ name, archive = false, remote = 'keep', purgeSecrets = false, yes = false }) {
+        const persona = core.requirePersona(name);
+
+        console.log('='.repeat(70));
+        console.log(`DELETE PERSONA: ${name}`);
+        console.log('='.repeat(70));
+        console.log(`Folder: ${persona.path} (${archive ? 'archived' : 'deleted'})`);
+        console.log(`Remote: ${persona.repo} (${remote === 'keep' ? 'kept' : `${remote}d`})`);
+        console.log(`Secrets: ${purgeSecrets ? 'purged' : 'kept in vault'}`);
+        console.log('Registry entry: removed');
+        console.log('='.repeat(70));
+
+        if (!yes && !(await confirmByName(name))) {
+          throw process.stdin.isTTY
+            ? new PersonaError('Not confirmed; nothing was deleted.')
+            : new ValidationError('Refusing to delete without a TTY', { hint: 'Pass --yes to confirm.' });
+        }
+
+        return { name, ...unwrap(await deletePersona(name, { archive, remote, purgeSecrets })) };
+      },
+      render({ name, archivePath }) {
+        console.log(`\n✅ Deleted persona "${name}"`);
+        if (archivePath) {
+          console.log(`   Archived to: ${archivePath}`);
+          console.log(`   Restore with: clawdbot skill run goc-persona --restore-persona ${name}`);
+        }
+      }
+    },
+    'restore-persona': {
+      description: 'Restore an archived persona, or list archives when no name is given',
+      arguments: [
+        { name: 'name', required: false, description: 'Persona name' },
+        { name: 'archive', required: false, description: 'Archive id to restore (default: the newest for this persona)' }
+      ],
+      async execute({ name, archive }) {
+        if (!name) {
+          return { archives: listArchives() };
+        }
+        return unwrap(restorePersona(name, { archiveId: archive }));
+      },
+      render({ archives, name, path: restoredPath, warnings }) {
+        if (archives) {
+          if (archives.length === 0) {
+            console.log('No archived personas.');
+            return;
+          }
+          console.log('='.repeat(70));
+          console.log('ARCHIVED PERSONAS');
+          console.log('='.repeat(70));
+          archives.forEach(entry => {
+            console.log(`\n📦 ${entry.name}`);
+            console.log(`   Archive: ${entry.id}`);
+            console.log(`   Archived: ${entry.archivedAt}`);
+            console.log(`   Remote: ${entry.remote}${entry.secretsPurged ? ', secrets purged' : ''}`);
+          });
+          console.log('\n' + '='.repeat(70));
+          return;
+        }
+
+        console.log(`✅ Restored "${name}" to ${restoredPath}`);
+        warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+      }
+    },
+    'export-persona': {
+      description: 'Export a persona to a bundle file (no secrets), a Character Card V2 or persona JSON',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'format', required: false, default: 'bundle', description: 'bundle, ccv2 (Character Card V2) or json' },
+        { name: 'out', required: false, description: 'Output file (default: ./<name>.persona.gz, .ccv2.json or .persona.json)' }
+      ],
+      async execute({ name, format = 'bundle', out }) {
+        core.requirePersona(name);
+        if (format !== 'bundle') {
+          return { name, format, ...unwrap(exportPersonaAs(name, format, out)) };
+        }
+        return { name, format, ...unwrap(exportPersona(name, out)) };
+      },
+      render({ name, format, path: outPath, files, lossy }) {
+        if (format !== 'bundle') {
+          console.log(`✅ Exported "${name}" as ${formats.FORMATS[format].label} to ${outPath}`);
+          printLossy(lossy);
+          return;
+        }
+        console.log(`✅ Exported "${name}" (${files} files) to ${outPath}`);
+        console.log('   Secrets are not included; add keys again after importing.');
+      }
+    },
+    'import-persona': {
+      description: 'Restore a persona from a bundle, or create one from a Character Card V2 or persona JSON',
+      arguments: [
+        { name: 'file', required: true, description: 'Bundle from export-persona, or a .json file with --format' },
+        { name: 'format', required: false, default: 'bundle', description: 'bundle, ccv2 (Character Card V2) or json' },
+        { name: 'path', required: false, description: 'Target folder for bundles (default: personasRoot/<name>)' },
+        { name: 'name', required: false, description: 'Persona name for ccv2/json (default: derived from the card name)' },
+        { name: 'model', required: false, description: 'Default model for ccv2/json (default: the file\'s, else the defaultModel setting)' },
+        { name: 'provider', required: false, description: 'Remote repo provider for ccv2/json (default: provider setting)' },
+        { name: 'providerUrl', required: false, description: 'API base URL (gitlab, gitea) or bare repo directory (local)' },
+        { name: 'providerTokenEnv', required: false, description: 'Environment variable holding the provider API token' }
+      ],
+      async execute({ file, format = 'bundle', path: targetPath, name, model, provider, providerUrl, providerTokenEnv }) {
+        if (format !== 'bundle') {
+          const providerConfig = core.providerConfig(provider, providerUrl, providerTokenEnv);
+          const { result, ...converted } = unwrap(await importPersonaFrom(file, format, { name, model, provider: providerConfig }));
+          return { format, ...converted, url: result.url };
+        }
+        return { format, ...unwrap(importPersona(file, { path: targetPath })) };
+      },
+      render({ format, name, displayName, url, lossy, path: importPath, files, sourceKeys, missingKeys }) {
+        if (format !== 'bundle') {
+          console.log(`\n✅ Created "${name}" from ${formats.FORMATS[format].label} "${displayName}"`);
+          printLossy(lossy);
+          displaySetupGuidance(name, url);
+          return;
+        }
+
+        console.log(`\n✅ Imported "${name}" (${files} files) to ${importPath}`);
+        if (sourceKeys.length > 0) {
+          console.log(`   Keys configured on the source machine: ${sourceKeys.join(', ')}`);
+        }
+        if (missingKeys.length > 0) {
+          console.log(`   Missing required keys: ${missingKeys.join(', ')}`);
+          missingKeys.forEach(keyType => {
+            console.log(`     clawdbot skill run goc-persona --add-key ${name} ${keyType}`);
+          });
+        } else {
+          console.log('   All required keys configured.');
+        }
+        console.log('   The folder is not a git repo; clone the persona repo instead if you need its history.');
+      }
+    },
+    'render-prompt': {
+      description: 'Compile IDENTITY.md, SOUL.md and personality settings into a system prompt',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'format', required: false, default: 'text', description: 'text, openai (chat messages JSON) or anthropic (system + params JSON)' },
+        { name: 'out', required: false, description: 'Write to a file instead of printing' }
+      ],
+      async execute({ name, format = 'text', out }) {
+        core.requirePersona(name);
+        const result = unwrap(renderPrompt(name, { format }));
+        if (out) {
+          fs.writeFileSync(out, format === 'text' ? result.output : JSON.stringify(result.output, null, 2) + '\n');
+        }
+        return { name, format, ...result, path: out || null };
+      },
+      render({ name, format, output, tokens, warnings, path: outPath }) {
+        // Notes go to stderr so the printed prompt can be piped as is
+        warnings.forEach(warning => console.error(`⚠️  ${warning}`));
+        if (outPath) {
+          console.log(`✅ Wrote ${format} prompt for "${name}" to ${outPath} (~${tokens} tokens)`);
+          return;
+        }
+        process.stdout.write(format === 'text' ? output : JSON.stringify(output, null, 2) + '\n');
+        console.error(`~${tokens} tokens (estimated)`);
+      }
+    },
+    'snapshot': {
+      description: 'Commit the current IDENTITY.md, SOUL.md and config.yaml as a revision',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'message', required: false, default: 'Snapshot persona', description: 'Revision message (-m)' }
+      ],
+      async execute({ name, message = 'Snapshot persona' }) {
+        core.requirePersona(name);
+        return { name, message, ...unwrap(history.snapshot(name, message)) };
+      },
+      render({ name, message, revision, files }) {
+        console.log(`✅ Snapshot ${revision} of "${name}": ${message}`);
+        console.log(`   Changed: ${files.join(', ')}`);
+      }
+    },
+    'history': {
+      description: 'List revisions of a persona\'s character files',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'limit', required: false, description: 'Show only the newest N revisions' }
+      ],
+      async execute({ name, limit }) {
+        core.requirePersona(name);
+        return { name, ...unwrap(history.history(name, { limit: readLimit(limit) })) };
+      },
+      render({ name, revisions }) {
+        console.log('='.repeat(70));
+        console.log(`PERSONA HISTORY: ${name}`);
+        console.log('='.repeat(70));
+        if (revisions.length === 0) {
+          console.log('No revisions yet. Create one with snapshot.');
+        }
+        revisions.forEach(({ short, date, author, message }) => {
+          console.log(`${short}  ${date.slice(0, 16).replace('T', ' ')}  ${message} (${author})`);
+        });
+        console.log('='.repeat(70));
+      }
+    },
+    'diff': {
+      description: 'Show personality changes since a revision, field by field',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'rev', required: false, default: 'HEAD', description: 'Base revision (default: last revision)' },
+        { name: 'to', required: false, description: 'Target revision (default: the current files)' }
+      ],
+      async execute({ name, rev = 'HEAD', to }) {
+        core.requirePersona(name);
+        return { name, ...unwrap(history.diff(name, rev, to)) };
+      },
+      render(result) {
+        const show = value => (value === undefined ? '(unset)' : JSON.stringify(value));
+        console.log('='.repeat(70));
+        console.log(`PERSONA DIFF: ${result.name} (${result.from} → ${result.to})`);
+        console.log('='.repeat(70));
+
+        let changes = 0;
+        if (result.config.length > 0) {
+          console.log('\n--- config.yaml ---');
+          result.config.forEach(({ path: field, change, from, to: value }) => {
+            changes++;
+            if (change === 'added') {
+              console.log(`  + ${field}: ${show(value)}`);
+            } else if (change === 'removed') {
+              console.log(`  - ${field}: ${show(from)}`);
+            } else {
+              console.log(`  ~ ${field}: ${show(from)} → ${show(value)}`);
+            }
+          });
+        }
+        Object.entries(result.markdown).forEach(([file, sections]) => {
+          if (sections.length === 0) {
+            return;
+          }
+          console.log(`\n--- ${file} ---`);
+          sections.forEach(({ section, change, added, removed }) => {
+            changes++;
+            const marker = { added: '+', removed: '-', changed: '~' }[change];
+            console.log(`  ${marker} ${section} (+${added.length} -${removed.length} lines)`);
+            removed.forEach(line => console.log(`      - ${line}`));
+            added.forEach(line => console.log(`      + ${line}`));
+          });
+        });
+
+        if (changes === 0) {
+          console.log('\nNo changes.');
+        }
+        console.log('='.repeat(70));
+      }
+    },
+    'rollback': {
+      description: 'Restore a persona\'s character files from a revision (recorded as a new revision)',
+      arguments: [
+        { name: 'name', required: true, description: 'Persona name' },
+        { name: 'rev', required: true, description: 'Revision to go back to (see history)' },
+        { name: 'force', required: false, default: false, description: 'Discard uncommitted changes to the character files' }
+      ],
+      async execute({ name, rev, force = false }) {
+        core.requirePersona(name);
+        return { name, ...unwrap(history.rollback(name, rev, { force })) };
+      },
+      render({ name, target, revision }) {
+        console.log(`✅ Rolled "${name}" back to ${target} (new revision ${revision})`);
+        console.log(`   Undo with: clawdbot skill run goc-persona --rollback ${name} ${revision}~1`);
+      }
+    },
+    'doctor': {
+      description: 'Check the registry against persona folders and git remotes',
+      arguments: [
+        { name: 'fix', required: false, default: false, description: 'Repair the issues that can be fixed safely' }
+      ],
+      async execute({ fix = false }) {
+        const { root, checked, issues } = doctor.diagnose();
+        const repairs = fix && issues.length > 0
+          ? doctor.repair(issues).map(({ issue, success, error }) => ({ name: issue.name, code: issue.code, fix: issue.fix, success, ...(error && { error }) }))
+          : null;
+        return { root, checked, issues, repairs };
+      },
+      render({ root, checked, issues, repairs }) {
+        console.log('='.repeat(70));
+        console.log('PERSONA DOCTOR');
+        console.log('='.repeat(70));
+        console.log(`Personas root: ${root}`);
+        console.log(`Checked: ${checked} persona(s)`);
+
+        if (issues.length === 0) {
+          console.log('\n✅ No problems found');
+          console.log('='.repeat(70));
+          return;
+        }
+
+        console.log('');
+        issues.forEach(issue => {
+          const icon = issue.severity === 'error' ? '❌' : '⚠️';
+          console.log(`${icon} ${issue.name}: ${issue.message} [${issue.code}]`);
+          if (issue.fixable) {
+            console.log(`   Fix: ${issue.fix}`);
+          } else if (issue.hint) {
+            console.log(`   Hint: ${issue.hint}`);
+          }
+        });
+
+        const fixable = issues.filter(issue => issue.fixable).length;
+        console.log('\n' + '='.repeat(70));
+        console.log(`${issues.length} issue(s), ${fixable} fixable`);
+
+        if (!repairs) {
+          if (fixable > 0) {
+            console.log('Run with --fix to repair them.');
+          }
+          return;
+        }
+
+        console.log('\n--- Repairs ---');
+        repairs.forEach(({ name, fix, success, error }) => {
+          console.log(success
+            ? `  ✅ ${name}: ${fix}`
+            : `  ❌ ${name}: ${fix} failed: ${error}`);
+        });
+      }
+    },
+    'audit': {
+      description: 'Show the audit log of registry changes: who changed what, from what, to what',
+      arguments: [
+        { name: 'name', required: false, description: 'Only changes to this persona, under this or an earlier name (it may since have been deleted)' },
+        { name: 'since', required: false, description: 'Only changes since a date or a duration back from now (30m, 12h, 7d, 2w)' },
+        { name: 'limit', required: false, description: 'Show only the newest N changes' }
+      ],
+      async execute({ name, since, limit }) {
+        const cutoff = since ? auditLog.parseSince(since) : null;
+        if (since && !cutoff) {
+          throw new ValidationError(`Can't read --since "${since}"`, {
+            hint: 'Use a date (2026-01-30) or a duration (30m, 12h, 7d, 2w).'
+          });
+        }
+        const { events, skipped } = auditLog.readEvents({ name, since: cutoff, limit: readLimit(limit) });
+        return {
+          name: name || null,
+          since: cutoff && cutoff.toISOString(),
+          logPath: auditLog.AUDIT_LOG_PATH,
+          events,
+          skipped
+        };
+      },
+      render({ name, since, events, skipped }) {
+        const describe = event => {
+          switch (event.action) {
+            case 'status':
+              return `${event.from} → ${event.to}` +
+                (event.cause !== 'update-status' ? ` (${event.cause})` : '') +
+                (event.reason ? `: ${event.reason}` : '');
+            case 'add-key':
+              return event.from ? `${event.key} (replaced)` : event.key;
+            case 'remove-key':
+              return event.key;
+            case 'rename':
+              return `${event.from.name} → ${event.to.name}`;
+            case 'update':
+              return Object.keys(event.to).join(', ');
+            case 'register':
+              return event.from ? `${event.to.repo} (replaced ${event.from.repo})` : event.to.repo;
+            default:
+              return (event.to || event.from)?.repo || '';
+          }
+        };
+
+        console.log('='.repeat(70));
+        console.log(`PERSONA AUDIT LOG${name ? `: ${name}` : ''}`);
+        console.log('='.repeat(70));
+        if (since) {
+          console.log(`Since: ${since}\n`);
+        }
+        if (events.length === 0) {
+          console.log('No changes recorded.');
+        }
+        events.forEach(event => {
+          const when = event.timestamp.slice(0, 19).replace('T', ' ');
+          console.log(`${when}  ${event.actor}  ${event.name}  ${event.action}  ${describe(event)}`);
+        });
+        if (skipped > 0) {
+          console.log(`\n⚠️  Skipped ${skipped} unreadable line(s)`);
+        }
+        console.log('='.repeat(70));
+      }
+    },
+    'hooks': {
+      description: 'List lifecycle hooks by event (global, plus a persona\'s own hooks/)',
+      arguments: [
+        { name: 'name', required: false, description: 'Also list this persona\'s hooks' }
+      ],
+      async execute({ name }) {
+        const personaPath = name ? core.requirePersona(name).path : null;
+        const personaDir = personaPath && path.join(personaPath, hooks.PERSONA_HOOKS_DIR);
+        const personaHooksAllowed = hooks.personaHooksAllowed();
+        return {
+          name: name || null,
+          globalDir: hooks.GLOBAL_HOOKS_DIR,
+          personaDir,
+          personaHooksAllowed,
+          events: Object.entries(hooks.HOOK_EVENTS).map(([event, description]) => ({
+            event,
+            description,
+            hooks: hooks.findHooks(event, personaPath).map(hookPath => {
+              const problem = personaDir && hookPath.startsWith(personaDir + path.sep) && !personaHooksAllowed
+                ? 'persona hooks are off; not run'
+                : hooks.checkHookFile(hookPath);
+              return { path: hookPath, ...(problem && { problem }) };
+            })
+          }))
+        };
+      },
+      render({ globalDir, personaDir, personaHooksAllowed, events }) {
+        console.log('='.repeat(70));
+        console.log('PERSONA HOOKS');
+        console.log('='.repeat(70));
+        console.log(`Global: ${globalDir}`);
+        if (personaDir) {
+          console.log(`Persona: ${personaDir}`);
+        }
+        console.log(`Persona hooks: ${personaHooksAllowed ? 'on' : 'off (set allowPersonaHooks to true, or pass --allow-persona-hooks)'}`);
+        events.forEach(({ event, description, hooks: found }) => {
+          console.log(`\n${event}: ${description}`);
+          if (found.length === 0) {
+            console.log('  (none)');
+          }
+          found.forEach(hook => console.log(hook.problem ? `  ⚠️  ${hook.path} ${hook.problem}` : `  🪝 ${hook.path}`));
+        });
+        console.log('='.repeat(70));
+      }
+    },
     'unregister': {
       description: 'Remove a persona from the registry',
       arguments: [
         { name: 'name', required: true, description: 'Persona name' }
       ],
-      async run({ name }) {
-        const result = registry.unregister(name);
-        if (result) {
-          console.log(`Unregistered persona "${name}"`);
-        }
+      async execute({ name }) {
+        return core.unregisterPersona(name);
+      },
+      render({ name }) {
+        console.log(`Unregistered persona "${name}"`);
       }
     }
-  }
+  })
 };
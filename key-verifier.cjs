@@ -0,0 +1,131 @@
+/**
+ * Key Verifier
+ * Checks stored keys against their provider with a lightweight authenticated request
+ *
+ * Every verifier describes one read-only request:
+ * - setting: settings key holding the API base URL (so a local stub can stand in)
+ * - request(secret, baseUrl): { url, headers }
+ *
+ * A 2xx response means the key works; 401/403 means the provider rejected it.
+ * Anything else (network errors, 5xx, rate limits) means it could not be checked.
+ */
+
+const registry = require('./persona-registry.cjs');
+const vault = require('./secret-vault.cjs');
+const { getSetting } = require('./settings.cjs');
+
+const VERIFY_TIMEOUT_MS = 10000;
+
+const VERIFIERS = {
+  openai: {
+    setting: 'openaiBaseUrl',
+    request: (secret, baseUrl) => ({
+      url: `${baseUrl}/v1/models`,
+      headers: { Authorization: `Bearer ${secret}` }
+    })
+  },
+  anthropic: {
+    setting: 'anthropicBaseUrl',
+    request: (secret, baseUrl) => ({
+      url: `${baseUrl}/v1/models`,
+      headers: { 'x-api-key': secret, 'anthropic-version': '2023-06-01' }
+    })
+  },
+  elevenlabs: {
+    setting: 'elevenlabsBaseUrl',
+    request: (secret, baseUrl) => ({
+      url: `${baseUrl}/v1/user`,
+      headers: { 'xi-api-key': secret }
+    })
+  },
+  huggingface: {
+    setting: 'huggingfaceBaseUrl',
+    request: (secret, baseUrl) => ({
+      url: `${baseUrl}/api/whoami-v2`,
+      headers: { Authorization: `Bearer ${secret}` }
+    })
+  },
+  discord: {
+    setting: 'discordBaseUrl',
+    request: (secret, baseUrl) => ({
+      url: `${baseUrl}/api/v10/users/@me`,
+      headers: { Authorization: `Bot ${secret}` }
+    })
+  }
+};
+
+/**
+ * Check one secret against its provider
+ * @param {string} keyType - Key type (must have a verifier)
+ * @param {string} secret - Secret value
+ * @returns {Promise<{ok: boolean, rejected: boolean, error?: string}>}
+ *   rejected is true only when the provider refused the key (401/403)
+ */
+async function verifyKey(keyType, secret) {
+  const verifier = VERIFIERS[keyType];
+  if (!verifier) {
+    throw new Error(`No verifier for key type "${keyType}". Supported: ${Object.keys(VERIFIERS).join(', ')}`);
+  }
+
+  const baseUrl = getSetting(verifier.setting).replace(/\/$/, '');
+  const { url, headers } = verifier.request(secret, baseUrl);
+
+  let response;
+  try {
+    response = await fetch(url, { headers, signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS) });
+  } catch (error) {
+    return { ok: false, rejected: false, error: `could not reach ${baseUrl}: ${error.cause?.message || error.message}` };
+  }
+
+  if (response.ok) {
+    return { ok: true, rejected: false };
+  }
+  if (response.status === 401 || response.status === 403) {
+    return { ok: false, rejected: true, error: `rejected by ${baseUrl} (${response.status})` };
+  }
+  return { ok: false, rejected: false, error: `unexpected response from ${baseUrl} (${response.status})` };
+}
+
+/**
+ * Verify every configured key of a persona that has a verifier and record the results
+ * @param {string} name - Persona name
+ * @returns {Promise<{success: boolean, results?: Array<Object>, skipped?: Array<string>, status?: string, error?: string}>}
+ *   results are { keyType, ok, rejected, required, error? }; skipped lists keys without a verifier
+ */
+async function verifyPersonaKeys(name) {
+  const persona = registry.get(name);
+  if (!persona) {
+    return { success: false, error: `Persona "${name}" not found` };
+  }
+
+  const required = new Set(persona.requiredKeys.map(({ keyType }) => keyType));
+  const results = [];
+  const skipped = [];
+
+  for (const keyType of persona.keysConfigured) {
+    if (!VERIFIERS[keyType]) {
+      skipped.push(keyType);
+      continue;
+    }
+
+    let result;
+    try {
+      const secret = vault.getSecret(name, keyType);
+      result = secret === null
+        ? { ok: false, rejected: true, error: 'not found in vault' }
+        : await verifyKey(keyType, secret);
+    } catch (error) {
+      result = { ok: false, rejected: false, error: `could not read from vault: ${error.message}` };
+    }
+    results.push({ keyType, required: required.has(keyType), ...result });
+  }
+
+  const status = registry.recordVerifications(name, results);
+  return { success: true, results, skipped, status };
+}
+
+module.exports = {
+  verifyKey,
+  verifyPersonaKeys,
+  VERIFIERS
+};
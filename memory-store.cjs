@@ -0,0 +1,312 @@
+/**
+ * Memory Store
+ * Keeps a persona's memories as JSONL in its memory/ folder, so they travel with the persona repo
+ *
+ * Each line of memory/entries.jsonl is one entry:
+ * { id, text, tags: [...], source, createdAt }
+ *
+ * config.yaml controls the store:
+ * - memory.enabled: false refuses new entries (existing ones can still be read and removed)
+ * - memory.maxEntries: adding past the limit drops the oldest entries
+ *
+ * Search is offline TF-IDF over the entry text and tags.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const registry = require('./persona-registry.cjs');
+const { readConfig, CONFIG_SCHEMA } = require('./config-schema.cjs');
+const { parseLimit } = require('./settings.cjs');
+
+const MEMORY_FILE = 'entries.jsonl';
+
+// Words too common to tell entries apart
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+  'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'that', 'the', 'their', 'them',
+  'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Look up a persona and its memory settings
+ * @param {string} name - Persona name
+ * @returns {{filePath?: string, enabled?: boolean, maxEntries?: number, error?: string}}
+ */
+function _resolve(name) {
+  const persona = registry.get(name);
+  if (!persona) {
+    return { error: `Persona "${name}" not found` };
+  }
+
+  const defaults = CONFIG_SCHEMA.properties.memory.properties;
+  let memory = {};
+  try {
+    memory = readConfig(persona.path).memory || {};
+  } catch (error) {
+    return { error: `Could not read config.yaml: ${error.message}` };
+  }
+
+  return {
+    filePath: path.join(persona.path, 'memory', MEMORY_FILE),
+    enabled: memory.enabled ?? defaults.enabled.default,
+    maxEntries: memory.maxEntries ?? defaults.maxEntries.default
+  };
+}
+
+/**
+ * Read all entries, oldest first; unreadable lines are skipped
+ * @param {string} filePath - entries.jsonl path
+ * @returns {{entries: Array<Object>, skipped: number, unreadable: Array<string>}}
+ *   unreadable holds the skipped lines as they are in the file
+ */
+function _readEntries(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { entries: [], skipped: 0, unreadable: [] };
+  }
+  const entries = [];
+  const unreadable = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim()).forEach(line => {
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.id === 'string' && typeof entry.text === 'string') {
+        // Hand-edited lines may have tags: null or a string
+        entries.push({ ...entry, tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [] });
+        return;
+      }
+    } catch {
+      // Kept below
+    }
+    unreadable.push(line);
+  });
+  return { entries, skipped: unreadable.length, unreadable };
+}
+
+/**
+ * Replace entries.jsonl atomically
+ * @param {string} filePath - entries.jsonl path
+ * @param {Array<Object>} entries - Entries, oldest first
+ * @param {Array<string>} [unreadable] - Unreadable lines to keep, written first
+ */
+function _writeEntries(filePath, entries, unreadable = []) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const lines = [...unreadable, ...entries.map(entry => JSON.stringify(entry))];
+  fs.writeFileSync(tmpPath, lines.map(line => line + '\n').join(''));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Normalize tags from a list or a comma-separated string
+ * @param {Array<string>|string} [tags] - Tags
+ * @returns {Array<string>} Lowercased, unique tags
+ */
+function _normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Split text into search terms
+ * @param {string} text - Text
+ * @returns {Array<string>}
+ */
+function _tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Add an entry to a persona's memory
+ * @param {string} name - Persona name
+ * @param {string} text - What to remember
+ * @param {Object} [options] - { tags, source }
+ * @returns {{success: boolean, entry?: Object, pruned?: Array<Object>, skipped?: number, error?: string}}
+ *   pruned lists the oldest entries dropped to stay within maxEntries; unreadable lines are kept and counted in skipped
+ */
+function addMemory(name, text, options = {}) {
+  const { filePath, enabled, maxEntries, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  if (!enabled) {
+    return { success: false, error: `Memory is disabled for "${name}" (memory.enabled: false in config.yaml)` };
+  }
+  if (!text || !String(text).trim()) {
+    return { success: false, error: 'Memory text is empty' };
+  }
+
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    text: String(text).trim(),
+    tags: _normalizeTags(options.tags),
+    source: options.source || 'manual',
+    createdAt: new Date().toISOString()
+  };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+
+  const { entries, skipped, unreadable } = _readEntries(filePath);
+  let pruned = [];
+  if (entries.length > maxEntries) {
+    pruned = entries.slice(0, entries.length - maxEntries);
+    _writeEntries(filePath, entries.slice(-maxEntries), unreadable);
+  }
+  return { success: true, entry, pruned, skipped };
+}
+
+/**
+ * List a persona's memories, newest first
+ * @param {string} name - Persona name
+ * @param {Object} [options] - { tag, limit }
+ * @returns {{success: boolean, entries?: Array<Object>, total?: number, maxEntries?: number, enabled?: boolean, skipped?: number, error?: string}}
+ *   total counts all entries; skipped counts unreadable lines
+ */
+function listMemories(name, options = {}) {
+  const { filePath, enabled, maxEntries, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  const { limit = Infinity, error: limitError } = parseLimit(options.limit);
+  if (limitError) {
+    return { success: false, error: limitError };
+  }
+  const { entries, skipped } = _readEntries(filePath);
+  const [tag] = _normalizeTags(options.tag);
+  const matches = entries.filter(entry => !tag || entry.tags.includes(tag)).reverse().slice(0, limit);
+  return { success: true, entries: matches, total: entries.length, maxEntries, enabled, skipped };
+}
+
+/**
+ * Search a persona's memories by relevance (TF-IDF cosine similarity)
+ * @param {string} name - Persona name
+ * @param {string} query - Search text
+ * @param {Object} [options] - { tag, limit } (limit defaults to 5)
+ * @returns {{success: boolean, results?: Array<{entry: Object, score: number}>, error?: string}}
+ */
+function searchMemories(name, query, options = {}) {
+  const { filePath, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  const { limit = 5, error: limitError } = parseLimit(options.limit);
+  if (limitError) {
+    return { success: false, error: limitError };
+  }
+  const queryTerms = _tokenize(String(query || ''));
+  if (queryTerms.length === 0) {
+    return { success: false, error: 'Search query has no searchable words' };
+  }
+
+  const [tag] = _normalizeTags(options.tag);
+  const entries = _readEntries(filePath).entries.filter(entry => !tag || entry.tags.includes(tag));
+  const documents = entries.map(entry => _tokenize(`${entry.text} ${entry.tags.join(' ')}`));
+
+  const documentFrequency = new Map();
+  documents.forEach(terms => new Set(terms).forEach(term => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+  const idf = term => Math.log((documents.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+  const weigh = terms => {
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    const weights = new Map([...counts].map(([term, count]) => [term, (count / terms.length) * idf(term)]));
+    const norm = Math.sqrt([...weights.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    return { weights, norm };
+  };
+
+  const queryVector = weigh(queryTerms);
+  const results = documents.map((terms, index) => {
+    if (terms.length === 0) {
+      return { entry: entries[index], score: 0 };
+    }
+    const documentVector = weigh(terms);
+    let dot = 0;
+    queryVector.weights.forEach((weight, term) => {
+      dot += weight * (documentVector.weights.get(term) || 0);
+    });
+    return { entry: entries[index], score: dot / (queryVector.norm * documentVector.norm) };
+  });
+
+  return {
+    success: true,
+    results: results
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || b.entry.createdAt.localeCompare(a.entry.createdAt))
+      .slice(0, limit)
+  };
+}
+
+/**
+ * Remove entries by id or by tag
+ * @param {string} name - Persona name
+ * @param {Object} selector - { ids } and/or { tag }
+ * @returns {{success: boolean, removed?: Array<Object>, error?: string}}
+ */
+function forgetMemories(name, selector = {}) {
+  const { filePath, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  const ids = new Set(Array.isArray(selector.ids) ? selector.ids : String(selector.ids || '').split(',').map(id => id.trim()).filter(Boolean));
+  const [tag] = _normalizeTags(selector.tag);
+  if (ids.size === 0 && !tag) {
+    return { success: false, error: 'Give an entry id or --tag' };
+  }
+
+  const { entries, unreadable } = _readEntries(filePath);
+  const isSelected = entry => ids.has(entry.id) || (tag && entry.tags.includes(tag));
+  const removed = entries.filter(isSelected);
+  if (removed.length === 0) {
+    return { success: false, error: 'No matching memory entries' };
+  }
+  _writeEntries(filePath, entries.filter(entry => !isSelected(entry)), unreadable);
+  return { success: true, removed };
+}
+
+/**
+ * Drop old entries: everything before a date, then the oldest past maxEntries.
+ * Unreadable lines are removed too.
+ * @param {string} name - Persona name
+ * @param {Object} [options] - { before: ISO date, keep: entries to keep (default: memory.maxEntries), dryRun }
+ * @returns {{success: boolean, removed?: Array<Object>, kept?: number, skipped?: number, error?: string}}
+ */
+function pruneMemories(name, options = {}) {
+  const { filePath, maxEntries, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  let cutoff = null;
+  if (options.before) {
+    cutoff = new Date(options.before);
+    if (Number.isNaN(cutoff.getTime())) {
+      return { success: false, error: `Invalid date "${options.before}"` };
+    }
+  }
+  const keep = options.keep !== undefined ? Number(options.keep) : maxEntries;
+  if (!Number.isInteger(keep) || keep < 0) {
+    return { success: false, error: `Invalid number of entries to keep: ${options.keep}` };
+  }
+
+  const { entries, skipped } = _readEntries(filePath);
+  let kept = cutoff ? entries.filter(entry => new Date(entry.createdAt) >= cutoff) : entries;
+  if (kept.length > keep) {
+    kept = kept.slice(kept.length - keep);
+  }
+  const keptIds = new Set(kept.map(entry => entry.id));
+  const removed = entries.filter(entry => !keptIds.has(entry.id));
+
+  if (!options.dryRun && (removed.length > 0 || skipped > 0)) {
+    _writeEntries(filePath, kept);
+  }
+  return { success: true, removed, kept: kept.length, skipped };
+}
+
+module.exports = {
+  addMemory,
+  listMemories,
+  searchMemories,
+  forgetMemories,
+  pruneMemories,
+  MEMORY_FILE
+};
@@ -0,0 +1,247 @@
+/**
+ * Persona Bundles
+ * Exports a persona to a single archive and imports it on another machine
+ *
+ * A bundle is gzipped JSON:
+ * {
+ *   format: 'goc-persona-bundle', version,
+ *   manifest: { name, exportedAt, files: [{ path, size, sha256 }], registry },
+ *   files: { '<relative path>': '<base64 content>' }
+ * }
+ * registry holds the entry's metadata and the names of configured keys.
+ * Secrets are never included; they stay in the exporting machine's vault.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const registry = require('./persona-registry.cjs');
+const hooks = require('./hooks.cjs');
+const vault = require('./secret-vault.cjs');
+const { getSetting, getPersonaPath, getRepoName, checkPersonaName } = require('./settings.cjs');
+
+const BUNDLE_FORMAT = 'goc-persona-bundle';
+const BUNDLE_VERSION = 1;
+
+// What goes into a bundle, relative to the persona folder
+const BUNDLE_PATHS = ['IDENTITY.md', 'SOUL.md', 'config.yaml', 'memory', 'skills'];
+
+// Registry fields that only make sense on the exporting machine
+const LOCAL_FIELDS = ['path', 'keys', 'status', 'statusReason', 'lastUpdated'];
+
+// Registry fields taken from a bundle on import; anything else in it is ignored
+const IMPORTED_FIELDS = ['provider', 'remoteUrl', 'description', 'clonedFrom', 'renamedFrom'];
+
+// Provider settings taken from a bundle (tokenEnv and a local remote path stay machine-specific)
+const IMPORTED_PROVIDER_FIELDS = ['type', 'baseUrl', 'visibility'];
+
+/**
+ * Compute the sha256 of a buffer
+ * @param {Buffer} buffer - Content
+ * @returns {string} Hex digest
+ */
+function _sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * List files under a persona-relative path, recursively
+ * @param {string} personaPath - Persona folder
+ * @param {string} relativePath - File or directory inside it
+ * @returns {Array<string>} Relative file paths with forward slashes
+ */
+function _collectFiles(personaPath, relativePath) {
+  const fullPath = path.join(personaPath, relativePath);
+  if (!fs.existsSync(fullPath)) {
+    return [];
+  }
+  if (!fs.statSync(fullPath).isDirectory()) {
+    return [relativePath.split(path.sep).join('/')];
+  }
+  return fs.readdirSync(fullPath)
+    .filter(entry => entry !== '.git')
+    .sort()
+    .flatMap(entry => _collectFiles(personaPath, path.join(relativePath, entry)));
+}
+
+/**
+ * Check that a bundle path is one export would have written: a BUNDLE_PATHS entry or a file under one
+ * (so a bundle can't plant hooks/, .git/ or anything else in the persona folder)
+ * @param {string} relativePath - Path from the bundle
+ * @returns {boolean}
+ */
+function _isSafePath(relativePath) {
+  if (typeof relativePath !== 'string' || relativePath.includes('\\') || path.posix.isAbsolute(relativePath)) {
+    return false;
+  }
+  const parts = relativePath.split('/');
+  if (parts.some(part => part === '' || part === '.' || part === '..' || part === '.git')) {
+    return false;
+  }
+  return BUNDLE_PATHS.includes(parts[0]);
+}
+
+/**
+ * Pick the registry fields an import accepts from a bundle's metadata
+ * @param {Object} metadata - manifest.registry from the bundle
+ * @returns {Object} Entry fields for registry.register()
+ */
+function _importedDetails(metadata) {
+  const details = Object.fromEntries(IMPORTED_FIELDS.filter(field => metadata[field] !== undefined).map(field => [field, metadata[field]]));
+  if (details.provider) {
+    const provider = typeof details.provider === 'string' ? { type: details.provider } : details.provider;
+    details.provider = Object.fromEntries(IMPORTED_PROVIDER_FIELDS.filter(field => typeof provider[field] === 'string').map(field => [field, provider[field]]));
+  }
+  return details;
+}
+
+/**
+ * Export a persona to a bundle file
+ * @param {string} name - Persona name
+ * @param {string} [outPath] - Bundle file (default: ./<name>.persona.gz)
+ * @returns {{success: boolean, path?: string, files?: number, error?: string}}
+ */
+function exportPersona(name, outPath = `${name}.persona.gz`) {
+  const persona = registry.get(name);
+  if (!persona) {
+    return { success: false, error: `Persona "${name}" not found` };
+  }
+  if (!fs.existsSync(persona.path)) {
+    return { success: false, error: `Persona path does not exist: ${persona.path}` };
+  }
+
+  const files = {};
+  const manifestFiles = [];
+  BUNDLE_PATHS.flatMap(entry => _collectFiles(persona.path, entry)).forEach(relativePath => {
+    const content = fs.readFileSync(path.join(persona.path, relativePath));
+    files[relativePath] = content.toString('base64');
+    manifestFiles.push({ path: relativePath, size: content.length, sha256: _sha256(content) });
+  });
+
+  const { name: personaName, keysConfigured, requiredKeys, missingKeys, configError, isReady, ...entry } = persona;
+  LOCAL_FIELDS.forEach(field => delete entry[field]);
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    manifest: {
+      name,
+      exportedAt: new Date().toISOString(),
+      files: manifestFiles,
+      registry: { ...entry, keyTypes: keysConfigured }
+    },
+    files
+  };
+
+  const resolvedOut = path.resolve(outPath);
+  fs.mkdirSync(path.dirname(resolvedOut), { recursive: true });
+  fs.writeFileSync(resolvedOut, zlib.gzipSync(JSON.stringify(bundle)));
+  return { success: true, path: resolvedOut, files: manifestFiles.length };
+}
+
+/**
+ * Read and check a bundle file
+ * @param {string} bundlePath - Bundle file
+ * @returns {Object} Parsed bundle
+ * @throws {Error} If the file is not a valid bundle or a checksum does not match
+ */
+function readBundle(bundlePath) {
+  let bundle;
+  try {
+    bundle = JSON.parse(zlib.gunzipSync(fs.readFileSync(bundlePath)).toString('utf8'));
+  } catch (error) {
+    throw new Error(`${bundlePath} is not a persona bundle: ${error.message}`);
+  }
+
+  if (bundle.format !== BUNDLE_FORMAT || !bundle.manifest || !bundle.files) {
+    throw new Error(`${bundlePath} is not a persona bundle`);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${bundle.version} is newer than this skill supports (${BUNDLE_VERSION})`);
+  }
+
+  if (!Array.isArray(bundle.manifest.files)) {
+    throw new Error(`${bundlePath} is not a persona bundle`);
+  }
+  for (const file of bundle.manifest.files) {
+    if (!_isSafePath(file?.path)) {
+      throw new Error(`Bundle contains a file outside ${BUNDLE_PATHS.join(', ')}: ${file?.path}`);
+    }
+    const content = bundle.files[file.path];
+    if (content === undefined || _sha256(Buffer.from(content, 'base64')) !== file.sha256) {
+      throw new Error(`Checksum mismatch for ${file.path}; the bundle is damaged`);
+    }
+  }
+
+  return bundle;
+}
+
+/**
+ * Import a persona from a bundle file: restore its folder and register it
+ * @param {string} bundlePath - Bundle file
+ * @param {Object} [options] - Import options
+ * @param {string} [options.path] - Target folder (default: personasRoot/<name>)
+ * @returns {{success: boolean, name?: string, path?: string, files?: number, missingKeys?: Array<string>, sourceKeys?: Array<string>, error?: string}}
+ *   missingKeys are required keys not in this machine's vault; sourceKeys were configured on the exporting machine
+ */
+function importPersona(bundlePath, options = {}) {
+  let bundle;
+  try {
+    bundle = readBundle(bundlePath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const { name, files, registry: metadata = {} } = bundle.manifest;
+  const invalidName = checkPersonaName(name);
+  if (invalidName) {
+    return { success: false, error: `Bundle has an invalid persona name: ${invalidName}` };
+  }
+  const targetPath = path.resolve(options.path || getPersonaPath(name));
+
+  if (registry.get(name)) {
+    return { success: false, error: `Persona "${name}" is already registered` };
+  }
+  if (fs.existsSync(targetPath) && fs.readdirSync(targetPath).length > 0) {
+    return { success: false, error: `Target folder is not empty: ${targetPath}` };
+  }
+
+  for (const file of files) {
+    const fullPath = path.join(targetPath, file.path);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, Buffer.from(bundle.files[file.path], 'base64'));
+  }
+
+  const { repo, createdAt, keyTypes } = metadata;
+  // Hooks in the imported folder are someone else's code
+  hooks.withoutPersonaHooks(() => {
+    registry.register(name, typeof repo === 'string' ? repo : `${getSetting('githubOrg')}/${getRepoName(name)}`, targetPath, _importedDetails(metadata));
+    registry.update(name, {
+      ...(typeof createdAt === 'string' && { createdAt }),
+      importedFrom: path.basename(bundlePath),
+      importedAt: new Date().toISOString()
+    });
+    // Keys already in this machine's vault (e.g. re-importing locally) count as configured
+    vault.listSecrets(name).forEach(keyType => registry.addKey(name, keyType));
+    registry.refreshStatus(name);
+  });
+
+  return {
+    success: true,
+    name,
+    path: targetPath,
+    files: files.length,
+    missingKeys: registry.get(name).missingKeys,
+    sourceKeys: Array.isArray(keyTypes) ? keyTypes.filter(keyType => typeof keyType === 'string') : []
+  };
+}
+
+module.exports = {
+  exportPersona,
+  importPersona,
+  readBundle,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  BUNDLE_PATHS
+};
@@ -0,0 +1,426 @@
+/**
+ * Persona Core
+ * Programmatic API for the core operations: create, list, status, register, keys and status changes.
+ * Nothing here prints; each function returns plain data or throws a typed error from errors.cjs.
+ * Progress lines of the steps go to the logger of withLogger() (progress.cjs), if any.
+ * index.js renders the results as text or --json.
+ *
+ *   const core = require('./persona-core.cjs');
+ *   const persona = await core.createPersona({ name: 'green', provider: { type: 'local' } });
+ *   core.addKey('green', 'openrouter', process.env.OPENROUTER_API_KEY);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./persona-registry.cjs');
+const hooks = require('./hooks.cjs');
+const vault = require('./secret-vault.cjs');
+const settings = require('./settings.cjs');
+const templatePacks = require('./template-packs.cjs');
+const { getProvider } = require('./repo-providers.cjs');
+const { withLogger } = require('./progress.cjs');
+const { validateConfigFile } = require('./config-schema.cjs');
+const {
+  planCreatePersona,
+  runCreatePersona,
+  resumeCreatePersona,
+  abortCreatePersona,
+  getTransaction
+} = require('./persona-pipeline.cjs');
+const {
+  PersonaError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  personaNotFound
+} = require('./errors.cjs');
+
+/**
+ * Throw if a persona name is missing or can't be used
+ * @param {string} name - Persona name
+ * @param {Object} [options] - { isNew: true } applies the rule for new names; otherwise
+ *   any name that is safe in a path is accepted, so older registry entries keep working
+ * @throws {ValidationError}
+ */
+function _checkName(name, { isNew = false } = {}) {
+  if (!name) {
+    throw new ValidationError('A persona name is required');
+  }
+  const error = isNew ? settings.checkPersonaName(name) : settings.checkSafePersonaName(name);
+  if (error) {
+    throw new ValidationError(error, { details: { name } });
+  }
+}
+
+/**
+ * Get a persona or throw
+ * @param {string} name - Persona name
+ * @returns {Object} Persona details from registry.get()
+ * @throws {ValidationError|NotFoundError}
+ */
+function requirePersona(name) {
+  if (!name) {
+    throw new ValidationError('A persona name is required');
+  }
+  const persona = registry.get(name);
+  if (!persona) {
+    throw personaNotFound(name);
+  }
+  return persona;
+}
+
+/**
+ * Pick the stable summary fields of a persona
+ * @param {Object} persona - Persona details from registry.get()
+ * @returns {Object}
+ */
+function _summarize(persona) {
+  return {
+    name: persona.name,
+    status: persona.status,
+    statusReason: persona.statusReason || null,
+    isReady: persona.isReady,
+    repo: persona.repo,
+    provider: persona.provider?.type || 'github',
+    remoteUrl: persona.remoteUrl || null,
+    path: persona.path,
+    keysConfigured: persona.keysConfigured,
+    requiredKeys: persona.requiredKeys,
+    missingKeys: persona.missingKeys,
+    configError: persona.configError,
+    createdAt: persona.createdAt,
+    lastUpdated: persona.lastUpdated
+  };
+}
+
+/**
+ * Get a persona's summary: status, repo, path and keys
+ * @param {string} name - Persona name
+ * @returns {Object}
+ * @throws {NotFoundError}
+ */
+function getPersona(name) {
+  return _summarize(requirePersona(name));
+}
+
+/**
+ * Build a repo provider config, resolving the default provider from settings
+ * @param {string} [type] - Provider type (github, gitlab, gitea, local)
+ * @param {string} [url] - API base URL (gitlab, gitea) or bare repo directory (local)
+ * @param {string} [tokenEnv] - Environment variable holding the API token
+ * @returns {Object} { type, ...settings }
+ * @throws {ValidationError} If the provider type is unknown
+ */
+function providerConfig(type = settings.getSetting('provider'), url, tokenEnv) {
+  try {
+    getProvider(type);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+  return {
+    type,
+    ...(url && (type === 'local' ? { path: path.resolve(url) } : { baseUrl: url })),
+    ...(tokenEnv && { tokenEnv })
+  };
+}
+
+/**
+ * Check creation options before planning or running
+ * @param {Object} options - Creation options
+ * @throws {ValidationError|NotFoundError}
+ */
+function _checkCreateOptions({ name, template }) {
+  _checkName(name, { isNew: true });
+  let pack = null;
+  try {
+    pack = template && templatePacks.loadPack(template);
+  } catch (error) {
+    throw new ValidationError(error.message, { details: { template } });
+  }
+  if (template && !pack) {
+    throw new NotFoundError(`Template pack "${template}" not found`, {
+      hint: 'Use --list-templates to see available packs.',
+      details: { template }
+    });
+  }
+}
+
+/**
+ * Plan a persona creation without changing anything
+ * @param {Object} options - { name, model, description, template, vars, files, config, provider }
+ * @returns {Object} Plan from planCreatePersona()
+ * @throws {ValidationError|NotFoundError}
+ */
+function planPersona(options) {
+  _checkCreateOptions(options);
+  return planCreatePersona(options);
+}
+
+/**
+ * Turn a pipeline result into a persona summary, or throw why it failed
+ * @param {Object} result - Result from the create pipeline
+ * @returns {Object} Persona summary with url
+ * @throws {PersonaError}
+ */
+function _createResult(result) {
+  if (!result.success) {
+    if (!result.failedStep) {
+      throw new PersonaError(result.error, { details: { name: result.name } });
+    }
+    const hint = result.rolledBack
+      ? `All completed steps were rolled back; --resume starts over from the first step: clawdbot skill run goc-persona --create-persona --resume ${result.name}`
+      : result.rollbackErrors?.length > 0
+        ? 'Some steps could not be rolled back; clean them up manually.'
+        : `Partial state kept. Continue with: clawdbot skill run goc-persona --create-persona --resume ${result.name}`;
+    throw new PersonaError(`Creating "${result.name}" failed at step "${result.failedStep}": ${result.error}`, {
+      hint,
+      details: {
+        name: result.name,
+        failedStep: result.failedStep,
+        rolledBack: result.rolledBack,
+        rollbackErrors: result.rollbackErrors || []
+      }
+    });
+  }
+  return { ...getPersona(result.name), url: result.url };
+}
+
+/**
+ * Create a persona: folders, config.yaml, git repo, remote repo and registry entry
+ * @param {Object} options - { name, model, description, template, vars, files, config, provider }
+ * @param {Object} [runOptions] - { keepPartial } keeps completed steps on failure so they can be resumed
+ * @returns {Promise<Object>} Persona summary with url
+ * @throws {ValidationError|NotFoundError|ConflictError|PersonaError}
+ */
+async function createPersona(options, runOptions = {}) {
+  _checkCreateOptions(options);
+  const pending = getTransaction(options.name);
+  if (pending && (pending.status === 'in-progress' || pending.status === 'failed')) {
+    throw new ConflictError(`An unfinished creation of "${options.name}" exists (${pending.status})`, {
+      hint: `Use --resume ${options.name} or --abort ${options.name}.`,
+      details: { name: options.name, transaction: pending.status }
+    });
+  }
+  const personaPath = settings.getPersonaPath(options.name);
+  if (fs.existsSync(personaPath) && fs.readdirSync(personaPath).length > 0) {
+    throw new ConflictError(`Target folder is not empty: ${personaPath}`, {
+      hint: `Move it away, or register it as is with --register ${options.name}.`,
+      details: { name: options.name, path: personaPath }
+    });
+  }
+  return _createResult(await runCreatePersona(options, runOptions));
+}
+
+/**
+ * Continue an unfinished creation from its last successful step
+ * @param {string} name - Persona name
+ * @param {Object} [runOptions] - { keepPartial, provider }; provider ({ type, url, tokenEnv })
+ *   overrides the stored provider options it names
+ * @returns {Promise<Object>} Persona summary with url
+ * @throws {ValidationError|NotFoundError|PersonaError}
+ */
+async function resumeCreate(name, runOptions = {}) {
+  _checkName(name);
+  if (runOptions.provider?.type) {
+    providerConfig(runOptions.provider.type);
+  }
+  if (!getTransaction(name)) {
+    throw new NotFoundError(`No creation of "${name}" to resume`, { details: { name } });
+  }
+  return _createResult(await resumeCreatePersona(name, runOptions));
+}
+
+/**
+ * Roll back an unfinished creation
+ * @param {string} name - Persona name
+ * @returns {Promise<{name: string}>}
+ * @throws {NotFoundError|PersonaError}
+ */
+async function abortCreate(name) {
+  _checkName(name);
+  const result = await abortCreatePersona(name);
+  if (result.error) {
+    throw new NotFoundError(result.error, { details: { name } });
+  }
+  if (!result.success) {
+    throw new PersonaError(`Some steps of "${name}" could not be rolled back`, {
+      hint: 'Clean them up manually.',
+      details: { name, rollbackErrors: result.rollbackErrors }
+    });
+  }
+  return { name };
+}
+
+/**
+ * List registered personas, with statuses brought up to date
+ * @returns {Array<Object>} Persona summaries
+ */
+function listPersonas() {
+  registry.list().forEach(persona => registry.refreshStatus(persona.name));
+  return registry.list().map(persona => _summarize(registry.get(persona.name)));
+}
+
+/**
+ * Get a persona's status, keys and config validation
+ * @param {string} name - Persona name
+ * @returns {Object} Persona summary with keys (metadata only, never values) and validation
+ * @throws {NotFoundError}
+ */
+function getStatus(name) {
+  registry.refreshStatus(name);
+  const persona = requirePersona(name);
+  const { configPath, valid, errors, warnings } = validateConfigFile(persona.path);
+  return {
+    ..._summarize(persona),
+    keys: persona.keys || {},
+    validation: { configPath, valid, errors, warnings }
+  };
+}
+
+/**
+ * Register an existing persona folder
+ * @param {Object} options - { name, repo, path, provider }
+ * @returns {Object} Persona summary with replaced (true if an entry was overwritten)
+ * @throws {ValidationError|NotFoundError}
+ */
+function registerPersona({ name, repo, path: personaPath, provider }) {
+  _checkName(name, { isNew: !registry.getEntry(name) });
+  const resolvedPath = personaPath || settings.getPersonaPath(name);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new NotFoundError(`Persona path does not exist: ${resolvedPath}`, { details: { name, path: resolvedPath } });
+  }
+  const resolvedRepo = repo || `${settings.getSetting('githubOrg')}/${settings.getRepoName(name)}`;
+  const replaced = Boolean(registry.getEntry(name));
+
+  // The folder may come from anywhere, so its own hooks don't run while it is registered
+  hooks.withoutPersonaHooks(() => {
+    registry.register(name, resolvedRepo, resolvedPath, { provider: provider || providerConfig() });
+    registry.refreshStatus(name);
+  });
+  return { ...getPersona(name), replaced };
+}
+
+/**
+ * Remove a persona from the registry (its folder is left alone)
+ * @param {string} name - Persona name
+ * @returns {{name: string}}
+ * @throws {NotFoundError}
+ */
+function unregisterPersona(name) {
+  if (!registry.unregister(name)) {
+    throw personaNotFound(name);
+  }
+  return { name };
+}
+
+/**
+ * Throw if a key type is missing or invalid
+ * @param {string} keyType - Key type
+ * @throws {ValidationError}
+ */
+function requireKeyType(keyType) {
+  if (!keyType) {
+    throw new ValidationError('A key type is required');
+  }
+  const error = vault.checkKeyType(keyType);
+  if (error) {
+    throw new ValidationError(error, { details: { keyType } });
+  }
+}
+
+/**
+ * Store a key in the vault and mark it as configured
+ * @param {string} name - Persona name
+ * @param {string} keyType - Key type (e.g., openai, anthropic, discord)
+ * @param {string} value - Secret value
+ * @returns {{name: string, keyType: string, previousStatus: string, status: string, missingKeys: Array<string>}}
+ * @throws {NotFoundError|ValidationError|PersonaError}
+ */
+function addKey(name, keyType, value) {
+  const persona = requirePersona(name);
+  requireKeyType(keyType);
+  if (!value) {
+    throw new ValidationError(`No value provided for "${keyType}"`, {
+      hint: 'Pipe it on stdin or use --from-env <VAR>.'
+    });
+  }
+
+  try {
+    vault.setSecret(name, keyType, value);
+  } catch (error) {
+    throw new PersonaError(`Failed to store key "${keyType}": ${error.message}`);
+  }
+  registry.addKey(name, keyType);
+
+  const updated = registry.get(name);
+  return {
+    name,
+    keyType,
+    previousStatus: persona.status,
+    status: updated.status,
+    missingKeys: updated.missingKeys
+  };
+}
+
+/**
+ * Delete a stored key and mark it as not configured
+ * @param {string} name - Persona name
+ * @param {string} keyType - Key type
+ * @returns {{name: string, keyType: string, previousStatus: string, status: string, missingKeys: Array<string>}}
+ * @throws {ValidationError|NotFoundError}
+ */
+function removeKey(name, keyType) {
+  const persona = requirePersona(name);
+  requireKeyType(keyType);
+  const removedSecret = vault.removeSecret(name, keyType);
+  const removedEntry = persona.keysConfigured.includes(keyType) && registry.removeKey(name, keyType);
+  if (!removedSecret && !removedEntry) {
+    throw new NotFoundError(`No key "${keyType}" configured for persona "${name}"`, { details: { name, keyType } });
+  }
+
+  const updated = registry.get(name);
+  return {
+    name,
+    keyType,
+    previousStatus: persona.status,
+    status: updated.status,
+    missingKeys: updated.missingKeys
+  };
+}
+
+/**
+ * Set a persona's status by hand
+ * @param {string} name - Persona name
+ * @param {string} status - New status (ready, needs-setup, error, etc.)
+ * @returns {{name: string, previousStatus: string, status: string}}
+ * @throws {ValidationError|NotFoundError}
+ */
+function updateStatus(name, status) {
+  if (!status) {
+    throw new ValidationError('A status is required');
+  }
+  const persona = requirePersona(name);
+  if (!registry.updateStatus(name, status)) {
+    throw personaNotFound(name);
+  }
+  return { name, previousStatus: persona.status, status };
+}
+
+module.exports = {
+  requirePersona,
+  requireKeyType,
+  getPersona,
+  providerConfig,
+  planPersona,
+  createPersona,
+  resumeCreate,
+  abortCreate,
+  listPersonas,
+  getStatus,
+  registerPersona,
+  unregisterPersona,
+  addKey,
+  removeKey,
+  updateStatus,
+  withLogger
+};
@@ -0,0 +1,414 @@
+/**
+ * Persona Formats
+ * Converts personas to and from formats used by other tools
+ *
+ * Formats:
+ * - ccv2: Character Card V2 JSON ({ spec: 'chara_card_v2', data: { name, description, ... } })
+ * - json: a plain JSON persona ({ format: 'goc-persona-json', name, identity, soul, config })
+ *
+ * Our files map onto a card like this:
+ * - IDENTITY.md                    -> description
+ * - SOUL.md "## Personality"       -> personality
+ * - rest of SOUL.md + style notes  -> system_prompt
+ * - everything, unchanged          -> extensions['goc-persona'] (so our own round trips are lossless)
+ * Each conversion reports what the other side can't represent.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const registry = require('./persona-registry.cjs');
+const { readConfig } = require('./config-schema.cjs');
+const { buildSystemPrompt } = require('./prompt-renderer.cjs');
+const { runCreatePersona } = require('./persona-pipeline.cjs');
+const { getPersonaPath, checkPersonaName } = require('./settings.cjs');
+
+const EXTENSION_KEY = 'goc-persona';
+const JSON_FORMAT = 'goc-persona-json';
+const JSON_VERSION = 1;
+
+// Character Card V2 fields that have no place in our layout
+const CARD_ONLY_FIELDS = ['first_mes', 'alternate_greetings', 'character_book', 'creator_notes', 'creator', 'character_version', 'tags'];
+
+// Fields of the generic JSON format
+const JSON_FIELDS = ['format', 'version', 'name', 'description', 'identity', 'soul', 'personality', 'instructions', 'config'];
+
+/**
+ * Remove a Markdown document's first "# " heading
+ * @param {string} text - Markdown
+ * @returns {string}
+ */
+function _stripTitle(text) {
+  return (text || '').replace(/^\s*# [^\n]*\n/, '').trim();
+}
+
+/**
+ * Split Markdown into its "## " sections
+ * @param {string} text - Markdown without its title
+ * @returns {Array<{heading: string|null, body: string}>} heading is null for text before the first section
+ */
+function _splitSections(text) {
+  const sections = [{ heading: null, lines: [] }];
+  text.split('\n').forEach(line => {
+    const match = line.match(/^## (.+)$/);
+    if (match) {
+      sections.push({ heading: match[1].trim(), lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+  return sections
+    .map(({ heading, lines }) => ({ heading, body: lines.join('\n').trim() }))
+    .filter(({ heading, body }) => heading || body);
+}
+
+/**
+ * Turn a display name into a persona name
+ * @param {string} name - Display name, e.g. "Aria the Bard"
+ * @returns {string} e.g. "aria-the-bard"
+ */
+function toPersonaName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Read a persona's files and config for export
+ * @param {string} name - Persona name
+ * @returns {{persona?: Object, identity?: string, soul?: string, config?: Object, error?: string}}
+ */
+function _readPersona(name) {
+  const persona = registry.get(name);
+  if (!persona) {
+    return { error: `Persona "${name}" not found` };
+  }
+  const read = file => {
+    const fullPath = path.join(persona.path, file);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+  };
+  let config;
+  try {
+    config = readConfig(persona.path);
+  } catch (error) {
+    return { error: `Could not read config.yaml: ${error.message}` };
+  }
+  return { persona, identity: read('IDENTITY.md'), soul: read('SOUL.md'), config };
+}
+
+/**
+ * Describe what leaves the persona folder behind in any export
+ * @param {Object} persona - Registry entry
+ * @param {Object} config - Parsed config.yaml
+ * @returns {Array<string>}
+ */
+function _folderLosses(persona, config) {
+  const lossy = [];
+  const memoryDir = path.join(persona.path, 'memory');
+  const memoryFiles = fs.existsSync(memoryDir)
+    ? fs.readdirSync(memoryDir).filter(file => file !== '.gitkeep')
+    : [];
+  if (memoryFiles.length > 0) {
+    lossy.push(`memory/ (${memoryFiles.length} file(s)) is not exported`);
+  }
+  if (Array.isArray(config.skills) && config.skills.length > 0) {
+    lossy.push(`skill folders (${config.skills.join(', ')}) are not exported; only their names are kept in config`);
+  }
+  return lossy;
+}
+
+/**
+ * Get the short hash of a persona repo's HEAD
+ * @param {string} personaPath - Persona folder
+ * @returns {string} Short hash, or '' if the folder has no commits
+ */
+function _headRevision(personaPath) {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { cwd: personaPath, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Convert a persona to a Character Card V2
+ * @param {string} name - Persona name
+ * @returns {{success: boolean, card?: Object, lossy?: Array<string>, error?: string}}
+ */
+function toCharacterCard(name) {
+  const { persona, identity, soul, config, error } = _readPersona(name);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const sections = _splitSections(_stripTitle(soul));
+  const personalitySection = sections.find(({ heading }) => heading && heading.toLowerCase() === 'personality');
+  const otherSections = sections
+    .filter(section => section !== personalitySection)
+    .map(({ heading, body }) => (heading ? `## ${heading}\n${body}` : body));
+
+  // The style notes render-prompt derives from the personality settings
+  const style = buildSystemPrompt({ personality: config.personality }).trim();
+
+  const lossy = [
+    ..._folderLosses(persona, config),
+    `config.yaml settings (${Object.keys(config).join(', ')}) are only kept in extensions.${EXTENSION_KEY}, which other tools ignore`
+  ];
+
+  const card = {
+    spec: 'chara_card_v2',
+    spec_version: '2.0',
+    data: {
+      name,
+      description: _stripTitle(identity),
+      personality: personalitySection ? personalitySection.body : '',
+      scenario: '',
+      first_mes: '',
+      mes_example: '',
+      creator_notes: `Exported from goc-persona on ${new Date().toISOString().slice(0, 10)}`,
+      system_prompt: [...otherSections, style].filter(Boolean).join('\n\n'),
+      post_history_instructions: '',
+      alternate_greetings: [],
+      tags: ['goc-persona'],
+      creator: '',
+      character_version: _headRevision(persona.path),
+      extensions: {
+        [EXTENSION_KEY]: { version: JSON_VERSION, identity, soul, config }
+      }
+    }
+  };
+  return { success: true, card, lossy };
+}
+
+/**
+ * Convert a Character Card (V2, or V1 without the data wrapper) to persona files
+ * @param {Object} card - Parsed card JSON
+ * @returns {{name: string, displayName: string, files: Object, config: Object, lossy: Array<string>}}
+ * @throws {Error} If the JSON is not a character card
+ */
+function fromCharacterCard(card) {
+  const data = card && card.spec === 'chara_card_v2' ? card.data : card;
+  if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error('Not a Character Card: "name" is missing');
+  }
+  const displayName = data.name.trim();
+  const lossy = [];
+
+  // A card exported by this skill carries the original files
+  const original = data.extensions?.[EXTENSION_KEY];
+  if (original && typeof original.identity === 'string' && typeof original.soul === 'string') {
+    if ((data.description || '').trim() === _stripTitle(original.identity)) {
+      return {
+        name: toPersonaName(displayName),
+        displayName,
+        files: { 'IDENTITY.md': original.identity, 'SOUL.md': original.soul },
+        config: original.config || {},
+        lossy
+      };
+    }
+    lossy.push('the card was edited after export; its text fields were used instead of the original files');
+  }
+
+  // {{char}} and {{user}} are frontend macros
+  const expand = text => String(text || '')
+    .replace(/\{\{char\}\}/gi, displayName)
+    .replace(/\{\{user\}\}/gi, 'the user')
+    .trim();
+
+  const identity = `# ${displayName}\n\n${expand(data.description) || 'A new AI persona'}\n`;
+  const soulSections = [
+    ['Personality', data.personality],
+    ['Scenario', data.scenario],
+    ['Instructions', data.system_prompt],
+    ['Post-History Instructions', data.post_history_instructions],
+    ['Example Dialogue', data.mes_example]
+  ].filter(([, body]) => expand(body));
+  const soul = [
+    `# Soul - ${displayName}`,
+    'This document defines who you are at your core.',
+    ...soulSections.map(([heading, body]) => `## ${heading}\n${expand(body)}`)
+  ].join('\n\n') + '\n';
+
+  if (expand(data.post_history_instructions)) {
+    lossy.push('post_history_instructions were added to SOUL.md; they are no longer placed after the chat history');
+  }
+  CARD_ONLY_FIELDS.forEach(field => {
+    const value = data[field];
+    const isEmpty = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (field === 'character_book' && !(value.entries || []).length);
+    if (!isEmpty) {
+      lossy.push(`${field} has no equivalent and was dropped`);
+    }
+  });
+  const extensions = Object.keys(data.extensions || {}).filter(key => key !== EXTENSION_KEY);
+  if (extensions.length > 0) {
+    lossy.push(`extensions (${extensions.join(', ')}) were dropped`);
+  }
+
+  return {
+    name: toPersonaName(displayName),
+    displayName,
+    files: { 'IDENTITY.md': identity, 'SOUL.md': soul },
+    config: original?.config || {},
+    lossy
+  };
+}
+
+/**
+ * Convert a persona to the generic JSON format
+ * @param {string} name - Persona name
+ * @returns {{success: boolean, data?: Object, lossy?: Array<string>, error?: string}}
+ */
+function toGenericJson(name) {
+  const { persona, identity, soul, config, error } = _readPersona(name);
+  if (error) {
+    return { success: false, error };
+  }
+  return {
+    success: true,
+    data: {
+      format: JSON_FORMAT,
+      version: JSON_VERSION,
+      name,
+      description: _splitSections(_stripTitle(identity))[0]?.body || '',
+      identity,
+      soul,
+      config
+    },
+    lossy: _folderLosses(persona, config)
+  };
+}
+
+/**
+ * Convert generic JSON to persona files.
+ * identity/soul are used as is; without them, IDENTITY.md and SOUL.md are
+ * written from description, personality and instructions.
+ * @param {Object} data - Parsed JSON
+ * @returns {{name: string, displayName: string, files: Object, config: Object, lossy: Array<string>}}
+ * @throws {Error} If the JSON has no name or a newer version
+ */
+function fromGenericJson(data) {
+  if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error('Not a persona JSON file: "name" is missing');
+  }
+  if (data.version > JSON_VERSION) {
+    throw new Error(`Persona JSON version ${data.version} is newer than this skill supports (${JSON_VERSION})`);
+  }
+  const displayName = data.name.trim();
+
+  const identity = typeof data.identity === 'string'
+    ? data.identity
+    : `# ${displayName}\n\n${data.description || 'A new AI persona'}\n`;
+  const soul = typeof data.soul === 'string'
+    ? data.soul
+    : [
+      `# Soul - ${displayName}`,
+      'This document defines who you are at your core.',
+      data.personality && `## Personality\n${data.personality}`,
+      data.instructions && `## Instructions\n${data.instructions}`
+    ].filter(Boolean).join('\n\n') + '\n';
+
+  const unknown = Object.keys(data).filter(key => !JSON_FIELDS.includes(key));
+  return {
+    name: toPersonaName(displayName),
+    displayName,
+    files: { 'IDENTITY.md': identity, 'SOUL.md': soul },
+    config: data.config && typeof data.config === 'object' ? data.config : {},
+    lossy: unknown.length > 0 ? [`unknown fields (${unknown.join(', ')}) were ignored`] : []
+  };
+}
+
+const FORMATS = {
+  ccv2: { label: 'Character Card V2', extension: 'ccv2.json', to: toCharacterCard, from: fromCharacterCard, output: 'card' },
+  json: { label: 'persona JSON', extension: 'persona.json', to: toGenericJson, from: fromGenericJson, output: 'data' }
+};
+
+/**
+ * Export a persona to a file in another format
+ * @param {string} name - Persona name
+ * @param {string} format - ccv2 or json
+ * @param {string} [outPath] - Output file (default: ./<name>.<format extension>)
+ * @returns {{success: boolean, path?: string, lossy?: Array<string>, error?: string}}
+ */
+function exportPersonaAs(name, format, outPath) {
+  const converter = FORMATS[format];
+  if (!converter) {
+    return { success: false, error: `Unknown format "${format}". Supported: bundle, ${Object.keys(FORMATS).join(', ')}` };
+  }
+  const result = converter.to(name);
+  if (!result.success) {
+    return result;
+  }
+
+  const resolvedOut = path.resolve(outPath || `${name}.${converter.extension}`);
+  fs.mkdirSync(path.dirname(resolvedOut), { recursive: true });
+  fs.writeFileSync(resolvedOut, JSON.stringify(result[converter.output], null, 2) + '\n');
+  return { success: true, path: resolvedOut, lossy: result.lossy };
+}
+
+/**
+ * Create and register a persona from a file in another format.
+ * Runs the normal create-persona pipeline with the converted files.
+ * @param {string} filePath - Input file
+ * @param {string} format - ccv2 or json
+ * @param {Object} [options] - { name, model, provider }
+ * @returns {Promise<{success: boolean, name?: string, displayName?: string, result?: Object, lossy?: Array<string>, error?: string}>}
+ *   result is the create-persona pipeline result
+ */
+async function importPersonaFrom(filePath, format, options = {}) {
+  const converter = FORMATS[format];
+  if (!converter) {
+    return { success: false, error: `Unknown format "${format}". Supported: bundle, ${Object.keys(FORMATS).join(', ')}` };
+  }
+
+  let converted;
+  try {
+    converted = converter.from(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    return { success: false, error: `Could not read ${converter.label} from ${filePath}: ${error.message}` };
+  }
+
+  const name = options.name || converted.name;
+  const invalidName = checkPersonaName(name);
+  if (invalidName) {
+    return { success: false, error: `${invalidName}; pass --name` };
+  }
+  if (registry.get(name)) {
+    return { success: false, error: `Persona "${name}" is already registered; pass --name to import under another name` };
+  }
+  const targetPath = getPersonaPath(name);
+  if (fs.existsSync(targetPath) && fs.readdirSync(targetPath).length > 0) {
+    return { success: false, error: `Target folder is not empty: ${targetPath}` };
+  }
+
+  const { defaultModel, ...config } = converted.config;
+  const result = await runCreatePersona({
+    name,
+    model: options.model || defaultModel,
+    description: converted.displayName,
+    files: converted.files,
+    config,
+    provider: options.provider
+  });
+  if (!result.success) {
+    return { success: false, name, result, lossy: converted.lossy, error: result.error };
+  }
+
+  registry.update(name, {
+    importedFrom: path.basename(filePath),
+    importedFormat: format,
+    importedAt: new Date().toISOString()
+  });
+  registry.refreshStatus(name);
+  return { success: true, name, displayName: converted.displayName, result, lossy: converted.lossy };
+}
+
+module.exports = {
+  exportPersonaAs,
+  importPersonaFrom,
+  toCharacterCard,
+  fromCharacterCard,
+  toGenericJson,
+  fromGenericJson,
+  toPersonaName,
+  FORMATS
+};
@@ -5,89 +5,77 @@
 
 const fs = require('fs');
 const path = require('path');
-
-const TEMPLATES = {
-  IDENTITY: `# {name}
-
-{description}
-
-## Core Identity
-- **Role**: 
-- **Purpose**: 
-- **Values**: 
-
-## Expertise
-- 
-`,
-  
-  SOUL: `# Soul - {name}
-
-This document defines who you are at your core.
-
-## Personality
-- **Tone**: 
-- **Style**: 
-- **Approach**: 
-
-## Behavioral Guidelines
-1. 
-2. 
-3. 
-
-## Constraints
-- 
-`
-};
+const { renderPack, DEFAULT_PACK } = require('./template-packs.cjs');
+const { getPersonaPath } = require('./settings.cjs');
+const { report } = require('./progress.cjs');
 
 /**
- * Creates the folder structure and base files for a new persona
+ * Plans the folder structure and base files for a new persona without writing anything
  * @param {string} name - Persona name
  * @param {string} description - Persona description
- * @returns {Promise<void>}
+ * @param {Object} [options] - Template options
+ * @param {string} [options.template] - Template pack name (default: 'default')
+ * @param {Object} [options.vars] - Extra {var} values for the pack
+ * @param {Object} [options.files] - File contents by relative path, replacing the pack's (e.g. from an imported card)
+ * @returns {{personaPath: string, directories: Array<string>, files: Array<{path: string, content: string}>}}
  */
-async function createPersona(name, description = '') {
-  const basePath = process.env.HOME || process.env.USERPROFILE;
-  const personaPath = path.join(basePath, 'personas', name);
+function planPersonaFiles(name, description = '', options = {}) {
+  const personaPath = getPersonaPath(name);
   
-  // Create directory structure
   const directories = [
     '',
     'skills',
     'memory'
-  ];
+  ].map(dir => (dir ? path.join(personaPath, dir) : personaPath));
+  
+  // IDENTITY.md, SOUL.md and any other files from the template pack
+  const pack = renderPack(options.template || DEFAULT_PACK, {
+    ...options.vars,
+    name,
+    description: description || 'A new AI persona'
+  });
+  const contents = new Map(pack.files.map(file => [file.relativePath, file.content]));
+  Object.entries(options.files || {}).forEach(([relativePath, content]) => contents.set(relativePath, content));
+  const files = [...contents.entries()].map(([relativePath, content]) => ({
+    path: path.join(personaPath, relativePath),
+    content
+  }));
+  
+  // .gitkeep files in empty folders
+  files.push({ path: path.join(personaPath, 'skills', '.gitkeep'), content: '' });
+  files.push({ path: path.join(personaPath, 'memory', '.gitkeep'), content: '' });
   
-  for (const dir of directories) {
-    const fullPath = dir ? path.join(personaPath, dir) : personaPath;
+  return { personaPath, directories, files };
+}
+
+/**
+ * Creates the folder structure and base files for a new persona
+ * @param {string} name - Persona name
+ * @param {string} description - Persona description
+ * @param {Object} [options] - Template options
+ * @param {string} [options.template] - Template pack name (default: 'default')
+ * @param {Object} [options.vars] - Extra {var} values for the pack
+ * @returns {Promise<string>} Persona path
+ */
+async function createPersona(name, description = '', options = {}) {
+  const plan = planPersonaFiles(name, description, options);
+  
+  // Create directory structure
+  for (const fullPath of plan.directories) {
     if (!fs.existsSync(fullPath)) {
       fs.mkdirSync(fullPath, { recursive: true });
-      console.log(`Created: ${fullPath}`);
+      report(`Created: ${fullPath}`);
     }
   }
   
-  // Create IDENTITY.md
-  const identityPath = path.join(personaPath, 'IDENTITY.md');
-  const identityContent = TEMPLATES.IDENTITY
-    .replace(/{name}/g, name)
-    .replace(/{description}/g, description || 'A new AI persona');
-  fs.writeFileSync(identityPath, identityContent);
-  console.log(`Created: ${identityPath}`);
-  
-  // Create SOUL.md
-  const soulPath = path.join(personaPath, 'SOUL.md');
-  const soulContent = TEMPLATES.SOUL.replace(/{name}/g, name);
-  fs.writeFileSync(soulPath, soulContent);
-  console.log(`Created: ${soulPath}`);
-  
-  // Create .gitkeep files in empty folders
-  const gitkeepPath = path.join(personaPath, 'skills', '.gitkeep');
-  fs.writeFileSync(gitkeepPath, '');
-  console.log(`Created: ${gitkeepPath}`);
-  
-  const memoryGitkeepPath = path.join(personaPath, 'memory', '.gitkeep');
-  fs.writeFileSync(memoryGitkeepPath, '');
-  console.log(`Created: ${memoryGitkeepPath}`);
+  // Write base files
+  for (const file of plan.files) {
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    fs.writeFileSync(file.path, file.content);
+    report(`Created: ${file.path}`);
+  }
   
-  return personaPath;
+  return plan.personaPath;
 }
 
-module.exports = { createPersona };
+module.exports = { createPersona, planPersonaFiles };
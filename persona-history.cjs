@@ -0,0 +1,379 @@
+/**
+ * Persona History
+ * Snapshots, history, semantic diffs and rollback of a persona's character files
+ *
+ * Revisions are ordinary git commits in the persona repo that touch the
+ * tracked files. Diffs compare config.yaml field by field and the Markdown
+ * files section by section, so a change reads as "personality.tone: friendly
+ * → sarcastic" rather than a raw text diff.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml.cjs');
+const registry = require('./persona-registry.cjs');
+const { parseLimit } = require('./settings.cjs');
+
+// Files that make up a persona's character
+const TRACKED_FILES = ['IDENTITY.md', 'SOUL.md', 'config.yaml'];
+
+/**
+ * Run git in a persona folder
+ * @param {string} personaPath - Persona folder
+ * @param {Array<string>} args - git arguments
+ * @returns {string} stdout
+ */
+function _git(personaPath, args) {
+  return execFileSync('git', args, { cwd: personaPath, stdio: ['ignore', 'pipe', 'pipe'] }).toString();
+}
+
+/**
+ * Look up a persona and check that its folder is a git repo
+ * @param {string} name - Persona name
+ * @returns {{personaPath?: string, error?: string}}
+ */
+function _resolve(name) {
+  const persona = registry.get(name);
+  if (!persona) {
+    return { error: `Persona "${name}" not found` };
+  }
+  if (!fs.existsSync(path.join(persona.path, '.git'))) {
+    return { error: `${persona.path} is not a git repo` };
+  }
+  return { personaPath: persona.path };
+}
+
+/**
+ * Resolve a revision to a full commit hash
+ * @param {string} personaPath - Persona folder
+ * @param {string} rev - Revision (hash, HEAD~2, tag, ...)
+ * @returns {string|null} Commit hash, or null if it does not exist
+ */
+function _resolveRev(personaPath, rev) {
+  if (!/^[\w.^~/@{}-]+$/.test(rev) || rev.startsWith('-')) {
+    return null;
+  }
+  try {
+    return _git(personaPath, ['rev-parse', '--verify', '--quiet', `${rev}^{commit}`]).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a tracked file at a revision, or from the working tree
+ * @param {string} personaPath - Persona folder
+ * @param {string|null} commit - Commit hash, or null for the working tree
+ * @param {string} file - Tracked file
+ * @returns {string|null} Content, or null if the file does not exist there
+ */
+function _readAt(personaPath, commit, file) {
+  if (!commit) {
+    const fullPath = path.join(personaPath, file);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+  }
+  try {
+    return _git(personaPath, ['show', `${commit}:${file}`]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the tracked files with uncommitted changes
+ * @param {string} personaPath - Persona folder
+ * @returns {Array<string>}
+ */
+function _dirtyFiles(personaPath) {
+  return _git(personaPath, ['status', '--porcelain', '--', ...TRACKED_FILES])
+    .split('\n')
+    .filter(Boolean)
+    .map(line => line.slice(3));
+}
+
+/**
+ * Commit the current state of the tracked files
+ * @param {string} name - Persona name
+ * @param {string} [message] - Snapshot message
+ * @returns {{success: boolean, revision?: string, files?: Array<string>, error?: string}}
+ */
+function snapshot(name, message = 'Snapshot persona') {
+  const { personaPath, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const files = TRACKED_FILES.filter(file => fs.existsSync(path.join(personaPath, file)));
+  const changed = _dirtyFiles(personaPath);
+  if (changed.length === 0) {
+    return { success: false, error: 'Nothing to snapshot: IDENTITY.md, SOUL.md and config.yaml are unchanged' };
+  }
+
+  try {
+    _git(personaPath, ['add', '--', ...files]);
+    _git(personaPath, ['commit', '--quiet', '-m', message, '--', ...files]);
+  } catch (gitError) {
+    return { success: false, error: `git commit failed: ${gitError.stderr?.toString().trim() || gitError.message}` };
+  }
+  return { success: true, revision: _git(personaPath, ['rev-parse', '--short', 'HEAD']).trim(), files: changed };
+}
+
+/**
+ * List revisions that touched the tracked files, newest first
+ * @param {string} name - Persona name
+ * @param {Object} [options] - { limit }
+ * @returns {{success: boolean, revisions?: Array<{hash: string, short: string, author: string, date: string, message: string}>, error?: string}}
+ */
+function history(name, options = {}) {
+  const { personaPath, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const { limit, error: limitError } = parseLimit(options.limit);
+  if (limitError) {
+    return { success: false, error: limitError };
+  }
+  const args = ['log', '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s'];
+  if (limit) {
+    args.push(`-n${limit}`);
+  }
+  if (!_resolveRev(personaPath, 'HEAD')) {
+    // No commits yet
+    return { success: true, revisions: [] };
+  }
+  let output;
+  try {
+    output = _git(personaPath, [...args, '--', ...TRACKED_FILES]);
+  } catch (gitError) {
+    return { success: false, error: `git log failed: ${gitError.stderr?.toString().trim() || gitError.message}` };
+  }
+
+  const revisions = output.split('\n').filter(Boolean).map(line => {
+    const [hash, short, author, date, message] = line.split('\x1f');
+    return { hash, short, author, date, message };
+  });
+  return { success: true, revisions };
+}
+
+/**
+ * Flatten a config object into dotted paths (arrays are compared whole)
+ * @param {*} value - Config value
+ * @param {string} [prefix] - Path so far
+ * @param {Map} [out] - Accumulator
+ * @returns {Map<string, *>}
+ */
+function _flatten(value, prefix = '', out = new Map()) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, child]) => _flatten(child, prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out.set(prefix, value);
+  }
+  return out;
+}
+
+/**
+ * Compare two config.yaml texts field by field
+ * @param {string|null} before - Old content
+ * @param {string|null} after - New content
+ * @returns {Array<{path: string, change: string, from?: *, to?: *}>} change is added, removed or changed
+ */
+function diffConfig(before, after) {
+  const parse = text => {
+    try {
+      return _flatten(text ? yaml.parse(text) || {} : {});
+    } catch (error) {
+      return new Map([['(config.yaml)', `unparseable: ${error.message}`]]);
+    }
+  };
+  const oldFields = parse(before);
+  const newFields = parse(after);
+  const changes = [];
+
+  new Set([...oldFields.keys(), ...newFields.keys()]).forEach(field => {
+    const from = oldFields.get(field);
+    const to = newFields.get(field);
+    if (!oldFields.has(field)) {
+      changes.push({ path: field, change: 'added', to });
+    } else if (!newFields.has(field)) {
+      changes.push({ path: field, change: 'removed', from });
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path: field, change: 'changed', from, to });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Split Markdown into sections keyed by heading
+ * @param {string|null} text - Markdown
+ * @returns {Map<string, Array<string>>} Heading (or "(top)") to body lines
+ */
+function _sections(text) {
+  const sections = new Map();
+  let current = '(top)';
+  sections.set(current, []);
+  (text || '').split('\n').forEach(line => {
+    if (/^#{1,6}\s/.test(line)) {
+      current = line.trim();
+      // Repeated headings get a counter so they stay distinct
+      let key = current;
+      for (let n = 2; sections.has(key); n++) {
+        key = `${current} (${n})`;
+      }
+      current = key;
+      sections.set(current, []);
+    } else {
+      sections.get(current).push(line);
+    }
+  });
+  if (sections.get('(top)').every(line => !line.trim())) {
+    sections.delete('(top)');
+  }
+  return sections;
+}
+
+/**
+ * Line diff of two arrays (longest common subsequence)
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {{added: Array<string>, removed: Array<string>}}
+ */
+function _lineDiff(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || table[i][j + 1] >= table[i + 1][j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+  return {
+    added: added.filter(line => line.trim()),
+    removed: removed.filter(line => line.trim())
+  };
+}
+
+/**
+ * Compare two Markdown texts section by section
+ * @param {string|null} before - Old content
+ * @param {string|null} after - New content
+ * @returns {Array<{section: string, change: string, added: Array<string>, removed: Array<string>}>}
+ */
+function diffMarkdown(before, after) {
+  const oldSections = _sections(before);
+  const newSections = _sections(after);
+  const changes = [];
+
+  new Set([...oldSections.keys(), ...newSections.keys()]).forEach(section => {
+    const { added, removed } = _lineDiff(oldSections.get(section) || [], newSections.get(section) || []);
+    if (!oldSections.has(section)) {
+      changes.push({ section, change: 'added', added, removed: [] });
+    } else if (!newSections.has(section)) {
+      changes.push({ section, change: 'removed', added: [], removed });
+    } else if (added.length > 0 || removed.length > 0) {
+      changes.push({ section, change: 'changed', added, removed });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Semantic diff of the tracked files between a revision and the working tree (or another revision)
+ * @param {string} name - Persona name
+ * @param {string} [rev] - Base revision (default: HEAD)
+ * @param {string} [toRev] - Target revision (default: the working tree)
+ * @returns {{success: boolean, from?: string, to?: string, config?: Array, markdown?: Object, error?: string}}
+ *   markdown maps IDENTITY.md/SOUL.md to their section changes
+ */
+function diff(name, rev = 'HEAD', toRev) {
+  const { personaPath, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  const fromCommit = _resolveRev(personaPath, rev);
+  if (!fromCommit) {
+    return { success: false, error: `Unknown revision "${rev}"` };
+  }
+  const toCommit = toRev ? _resolveRev(personaPath, toRev) : null;
+  if (toRev && !toCommit) {
+    return { success: false, error: `Unknown revision "${toRev}"` };
+  }
+
+  const read = (commit, file) => _readAt(personaPath, commit, file);
+  return {
+    success: true,
+    from: fromCommit.slice(0, 7),
+    to: toCommit ? toCommit.slice(0, 7) : 'working tree',
+    config: diffConfig(read(fromCommit, 'config.yaml'), read(toCommit, 'config.yaml')),
+    markdown: Object.fromEntries(['IDENTITY.md', 'SOUL.md'].map(file => [
+      file,
+      diffMarkdown(read(fromCommit, file), read(toCommit, file))
+    ]))
+  };
+}
+
+/**
+ * Restore the tracked files from a revision and commit the result
+ * @param {string} name - Persona name
+ * @param {string} rev - Revision to go back to
+ * @param {Object} [options] - { force } discards uncommitted changes to the tracked files
+ * @returns {{success: boolean, revision?: string, target?: string, error?: string}}
+ */
+function rollback(name, rev, options = {}) {
+  const { personaPath, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  const commit = _resolveRev(personaPath, rev);
+  if (!commit) {
+    return { success: false, error: `Unknown revision "${rev}"` };
+  }
+
+  const target = new Map(TRACKED_FILES.map(file => [file, _readAt(personaPath, commit, file)]));
+  const files = TRACKED_FILES.filter(file => target.get(file) !== null);
+  // Checked before anything is discarded, so --force never throws away changes for nothing
+  if (files.every(file => target.get(file) === _readAt(personaPath, 'HEAD', file))) {
+    return { success: false, error: `Already at the state of ${commit.slice(0, 7)}` };
+  }
+
+  const dirty = _dirtyFiles(personaPath);
+  if (dirty.length > 0 && !options.force) {
+    return { success: false, error: `Uncommitted changes to ${dirty.join(', ')}; snapshot them first or pass --force` };
+  }
+
+  const subject = _git(personaPath, ['log', '-1', '--format=%s', commit]).trim();
+  try {
+    _git(personaPath, ['checkout', commit, '--', ...files]);
+    _git(personaPath, ['commit', '--quiet', '-m', `Rollback to ${commit.slice(0, 7)}: ${subject}`, '--', ...files]);
+  } catch (gitError) {
+    return { success: false, error: `git failed: ${gitError.stderr?.toString().trim() || gitError.message}` };
+  }
+
+  // The restored config.yaml may require different keys
+  registry.refreshStatus(name);
+  return { success: true, revision: _git(personaPath, ['rev-parse', '--short', 'HEAD']).trim(), target: commit.slice(0, 7) };
+}
+
+module.exports = {
+  snapshot,
+  history,
+  diff,
+  diffConfig,
+  diffMarkdown,
+  rollback,
+  TRACKED_FILES
+};
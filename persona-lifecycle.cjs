@@ -0,0 +1,507 @@
+/**
+ * Persona Lifecycle
+ * Operations on existing personas: clone, rename, delete and restore
+ *
+ * Archived personas live in ~/.clawdbot/archive/<name>-<timestamp>/ as the
+ * persona folder (persona/) plus archive.json with the registry entry.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const registry = require('./persona-registry.cjs');
+const {
+  initLocalRepo,
+  createRemoteRepo,
+  deleteRemoteRepo,
+  archiveRemoteRepo,
+  renameRemoteRepo
+} = require('./repo-initializer.cjs');
+const { normalizeProvider, getTransaction } = require('./persona-pipeline.cjs');
+const vault = require('./secret-vault.cjs');
+const hooks = require('./hooks.cjs');
+const { getSetting, getPersonaPath, getRepoName, checkPersonaName } = require('./settings.cjs');
+
+const ARCHIVE_DIR = path.join(process.env.HOME || process.env.USERPROFILE, '.clawdbot', 'archive');
+
+const REMOTE_ACTIONS = ['keep', 'delete', 'archive'];
+
+// Files whose mentions of the persona name are rewritten
+const NAMED_FILES = ['IDENTITY.md', 'SOUL.md'];
+
+/**
+ * Build a regex matching a persona name as a whole word (names may contain "-")
+ * @param {string} name - Persona name
+ * @returns {RegExp}
+ */
+function _nameRegex(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, 'g');
+}
+
+/**
+ * Rewrite the persona name in IDENTITY.md, SOUL.md and the config.yaml header
+ * @param {string} personaPath - Persona folder
+ * @param {string} from - Old name
+ * @param {string} to - New name
+ * @returns {Array<string>} Files that changed
+ */
+function rewriteNameReferences(personaPath, from, to) {
+  const changed = [];
+  const rewrite = (file, transform) => {
+    const fullPath = path.join(personaPath, file);
+    if (!fs.existsSync(fullPath)) {
+      return;
+    }
+    const content = fs.readFileSync(fullPath, 'utf8');
+    const updated = transform(content);
+    if (updated !== content) {
+      fs.writeFileSync(fullPath, updated);
+      changed.push(file);
+    }
+  };
+
+  NAMED_FILES.forEach(file => rewrite(file, content => content.replace(_nameRegex(from), to)));
+  rewrite('config.yaml', content => content.replace(
+    /^# Persona Configuration for .*$/m,
+    `# Persona Configuration for ${to}`
+  ));
+  return changed;
+}
+
+/**
+ * Empty a persona's memory folder, keeping .gitkeep
+ * @param {string} personaPath - Persona folder
+ */
+function _resetMemory(personaPath) {
+  const memoryPath = path.join(personaPath, 'memory');
+  fs.mkdirSync(memoryPath, { recursive: true });
+  fs.readdirSync(memoryPath)
+    .filter(entry => entry !== '.gitkeep')
+    .forEach(entry => fs.rmSync(path.join(memoryPath, entry), { recursive: true, force: true }));
+  fs.writeFileSync(path.join(memoryPath, '.gitkeep'), '');
+}
+
+/**
+ * Clone an existing persona under a new name, with its own remote repo
+ * @param {string} source - Persona to clone
+ * @param {string} target - New persona name
+ * @param {Object} [options] - Clone options
+ * @param {boolean} [options.resetMemory] - Start with an empty memory/ folder
+ * @param {boolean} [options.keepHistory] - Keep the source's git history (default: start a fresh history)
+ * @param {Object} [options.provider] - Repo provider config for the new remote (default: the source's)
+ * @returns {Promise<{success: boolean, name?: string, path?: string, repo?: string, url?: string, missingKeys?: Array<string>, error?: string}>}
+ */
+async function clonePersona(source, target, options = {}) {
+  const sourcePersona = registry.get(source);
+  if (!sourcePersona) {
+    return { success: false, error: `Persona "${source}" not found` };
+  }
+  const invalidName = checkPersonaName(target);
+  if (invalidName) {
+    return { success: false, error: invalidName };
+  }
+  if (registry.get(target)) {
+    return { success: false, error: `Persona "${target}" is already registered` };
+  }
+
+  const targetPath = getPersonaPath(target);
+  if (fs.existsSync(targetPath)) {
+    return { success: false, error: `Target folder already exists: ${targetPath}` };
+  }
+
+  const provider = normalizeProvider(options.provider || sourcePersona.provider);
+  const org = getSetting('githubOrg');
+  const repoName = getRepoName(target);
+
+  const hookError = hooks.runPreHooks('pre-create', {
+    name: target,
+    path: targetPath,
+    data: { repo: `${org}/${repoName}`, provider: provider.type, clonedFrom: source }
+  }, { personaHooks: false });
+  if (hookError) {
+    return { success: false, error: hookError };
+  }
+
+  try {
+    if (options.keepHistory) {
+      execFileSync('git', ['clone', '--quiet', sourcePersona.path, targetPath], { stdio: 'inherit' });
+      execFileSync('git', ['remote', 'remove', 'origin'], { cwd: targetPath, stdio: 'ignore' });
+    }
+    // Copy the working tree too, so uncommitted changes (e.g. new memories) come along
+    fs.cpSync(sourcePersona.path, targetPath, {
+      recursive: true,
+      filter: src => path.basename(src) !== '.git'
+    });
+
+    rewriteNameReferences(targetPath, source, target);
+    if (options.resetMemory) {
+      _resetMemory(targetPath);
+    }
+  } catch (error) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+    return { success: false, error: `Failed to copy "${source}": ${error.message}` };
+  }
+
+  // With kept history this commits the renames on top of the source's commits
+  const local = initLocalRepo(targetPath, `Clone persona ${source} as ${target}`);
+  const repo = local.success
+    ? await createRemoteRepo(targetPath, repoName, org, provider)
+    : { success: false, error: local.error };
+  if (!repo.success) {
+    if (repo.created) {
+      await deleteRemoteRepo(repoName, org, provider);
+    }
+    fs.rmSync(targetPath, { recursive: true, force: true });
+    return { success: false, error: `Failed to create the remote repo: ${repo.error}` };
+  }
+
+  registry.register(target, repo.repo, targetPath, { provider, remoteUrl: repo.url });
+  registry.update(target, {
+    clonedFrom: {
+      name: source,
+      repo: sourcePersona.repo,
+      history: options.keepHistory ? 'kept' : 'fresh',
+      at: new Date().toISOString()
+    }
+  });
+  hooks.runHooks('post-create', {
+    name: target,
+    path: targetPath,
+    data: { repo: repo.repo, url: repo.url, provider: provider.type, clonedFrom: source }
+  });
+
+  return {
+    success: true,
+    name: target,
+    path: targetPath,
+    repo: repo.repo,
+    url: repo.url,
+    missingKeys: registry.get(target).missingKeys
+  };
+}
+
+/**
+ * Check whether create-persona for a name is still in progress or failed
+ * @param {string} name - Persona name
+ * @returns {boolean}
+ */
+function _hasUnfinishedTransaction(name) {
+  const tx = getTransaction(name);
+  return Boolean(tx && (tx.status === 'in-progress' || tx.status === 'failed'));
+}
+
+/**
+ * Check that nothing already uses a persona name
+ * @param {string} name - Persona name
+ * @param {string} targetPath - Folder the persona would use
+ * @returns {string|null} Why the name is taken, or null if it is free
+ */
+function _nameConflict(name, targetPath) {
+  if (registry.get(name)) {
+    return `Persona "${name}" is already registered`;
+  }
+  if (fs.existsSync(targetPath)) {
+    return `Folder already exists: ${targetPath}`;
+  }
+  if (fs.existsSync(vault.getVaultPath(name))) {
+    return `A vault already exists for "${name}": ${vault.getVaultPath(name)}`;
+  }
+  if (_hasUnfinishedTransaction(name)) {
+    return `An unfinished create-persona transaction exists for "${name}"`;
+  }
+  return null;
+}
+
+/**
+ * Rename a persona: remote repo, folder, name references, vault and registry entry
+ * @param {string} oldName - Current persona name
+ * @param {string} newName - New persona name
+ * @param {Object} [options] - Rename options
+ * @param {boolean} [options.keepRemote] - Leave the remote repo name unchanged
+ * @returns {Promise<{success: boolean, name?: string, path?: string, repo?: string, url?: string, warnings?: Array<string>, error?: string}>}
+ */
+async function renamePersona(oldName, newName, options = {}) {
+  const persona = registry.get(oldName);
+  if (!persona) {
+    return { success: false, error: `Persona "${oldName}" not found` };
+  }
+  const invalidName = checkPersonaName(newName);
+  if (invalidName) {
+    return { success: false, error: invalidName };
+  }
+  if (_hasUnfinishedTransaction(oldName)) {
+    return { success: false, error: `Finish or abort the create-persona transaction for "${oldName}" first` };
+  }
+
+  // Keep the persona next to where it is now
+  const newPath = path.join(path.dirname(persona.path), newName);
+  const conflict = _nameConflict(newName, newPath);
+  if (conflict) {
+    return { success: false, error: conflict };
+  }
+
+  const warnings = [];
+  const provider = normalizeProvider(persona.provider);
+  const [owner, currentRepoName] = persona.repo.split('/');
+  const newRepoName = getRepoName(newName);
+  let remote = { repo: persona.repo, url: persona.remoteUrl, cloneUrl: null };
+
+  // The remote goes first: it is the step most likely to fail, and nothing local has changed yet
+  if (!options.keepRemote && currentRepoName !== newRepoName) {
+    remote = await renameRemoteRepo(currentRepoName, newRepoName, owner, provider);
+    if (!remote.success) {
+      return { success: false, error: `Failed to rename remote repo: ${remote.error}` };
+    }
+  }
+
+  try {
+    fs.renameSync(persona.path, newPath);
+  } catch (error) {
+    if (remote.cloneUrl) {
+      await renameRemoteRepo(newRepoName, currentRepoName, owner, provider);
+    }
+    return { success: false, error: `Failed to move ${persona.path}: ${error.message}` };
+  }
+
+  const renamedFiles = rewriteNameReferences(newPath, oldName, newName);
+  if (fs.existsSync(path.join(newPath, '.git'))) {
+    if (remote.cloneUrl) {
+      execFileSync('git', ['remote', 'set-url', 'origin', remote.cloneUrl], { cwd: newPath, stdio: 'ignore' });
+    }
+    initLocalRepo(newPath, `Rename persona ${oldName} to ${newName}`, { files: renamedFiles });
+    try {
+      execFileSync('git', ['push', 'origin', 'HEAD'], { cwd: newPath, stdio: 'ignore', timeout: 30000 });
+    } catch {
+      warnings.push('Could not push the rename commit; push it manually.');
+    }
+  }
+
+  try {
+    vault.renameVault(oldName, newName);
+  } catch (error) {
+    warnings.push(`Keys were not moved: ${error.message}. Add them again with --add-key.`);
+  }
+
+  registry.rename(oldName, newName, { path: newPath, repo: remote.repo, remoteUrl: remote.url });
+
+  return { success: true, name: newName, path: newPath, repo: remote.repo, url: remote.url, warnings };
+}
+
+/**
+ * Move a directory, copying when it crosses filesystems
+ * @param {string} from - Source directory
+ * @param {string} to - Destination (must not exist)
+ */
+function _moveDir(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    fs.cpSync(from, to, { recursive: true });
+    fs.rmSync(from, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check that a registered path is safe to remove or move to the archive. The registry can point
+ * anywhere (register and import --path accept any folder), so it must be inside personasRoot or
+ * look like a persona folder, and must not contain HOME or the skill itself.
+ * @param {string} personaPath - Registered persona path
+ * @returns {string|null} Why the folder must not be touched, or null if it is safe
+ */
+function _unsafeDeletePath(personaPath) {
+  const resolved = path.resolve(personaPath);
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+  const contains = (parent, child) => {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  };
+  const protectedPaths = [process.env.HOME || process.env.USERPROFILE, __dirname, getSetting('personasRoot')]
+    .filter(Boolean)
+    .map(protectedPath => path.resolve(protectedPath));
+  if (protectedPaths.some(protectedPath => contains(resolved, protectedPath))) {
+    return `Refusing to remove ${resolved}: it contains your home folder, the skill or personasRoot`;
+  }
+  const insideRoot = contains(path.resolve(getSetting('personasRoot')), resolved);
+  const looksLikePersona = ['IDENTITY.md', 'config.yaml'].some(file => fs.existsSync(path.join(resolved, file)));
+  if (!insideRoot && !looksLikePersona) {
+    return `Refusing to remove ${resolved}: it is outside personasRoot and has no IDENTITY.md or config.yaml`;
+  }
+  return null;
+}
+
+/**
+ * Delete a persona: remote repo action, folder (removed or archived), secrets and registry entry
+ * @param {string} name - Persona name
+ * @param {Object} [options] - Delete options
+ * @param {boolean} [options.archive] - Move the folder and registry entry to the archive instead of deleting them
+ * @param {string} [options.remote] - What to do with the remote repo: keep (default), delete or archive
+ * @param {boolean} [options.purgeSecrets] - Delete the persona's vault
+ * @returns {Promise<{success: boolean, archivePath?: string, remote?: string, secretsPurged?: boolean, error?: string}>}
+ */
+async function deletePersona(name, options = {}) {
+  const { archive = false, remote = 'keep', purgeSecrets = false } = options;
+  if (!REMOTE_ACTIONS.includes(remote)) {
+    return { success: false, error: `Unknown remote action "${remote}". Use ${REMOTE_ACTIONS.join(', ')}.` };
+  }
+
+  const entry = registry.getEntry(name);
+  if (!entry) {
+    return { success: false, error: `Persona "${name}" not found` };
+  }
+  if (_hasUnfinishedTransaction(name)) {
+    return { success: false, error: `Finish or abort the create-persona transaction for "${name}" first` };
+  }
+  const unsafePath = _unsafeDeletePath(entry.path);
+  if (unsafePath) {
+    return { success: false, error: `${unsafePath}. Use --unregister to drop the registry entry only.` };
+  }
+
+  const hookError = hooks.runPreHooks('pre-delete', {
+    name,
+    path: entry.path,
+    data: { repo: entry.repo, archive, remote, purgeSecrets }
+  });
+  if (hookError) {
+    return { success: false, error: hookError };
+  }
+
+  // The remote goes first so a failure leaves everything local untouched
+  if (remote !== 'keep') {
+    const [owner, repoName] = entry.repo.split('/');
+    const provider = normalizeProvider(entry.provider);
+    const result = remote === 'delete'
+      ? await deleteRemoteRepo(repoName, owner, provider)
+      : await archiveRemoteRepo(repoName, owner, provider);
+    if (!result.success) {
+      return { success: false, error: `Failed to ${remote} remote repo ${entry.repo}: ${result.error}` };
+    }
+  }
+
+  let archivePath;
+  if (archive) {
+    archivePath = path.join(ARCHIVE_DIR, `${name}-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+    if (fs.existsSync(entry.path)) {
+      _moveDir(entry.path, path.join(archivePath, 'persona'));
+    }
+    fs.mkdirSync(archivePath, { recursive: true });
+    fs.writeFileSync(path.join(archivePath, 'archive.json'), JSON.stringify({
+      name,
+      archivedAt: new Date().toISOString(),
+      originalPath: entry.path,
+      remote: remote === 'keep' ? 'kept' : `${remote}d`,
+      secretsPurged: purgeSecrets,
+      entry
+    }, null, 2));
+  } else {
+    fs.rmSync(entry.path, { recursive: true, force: true });
+  }
+
+  if (purgeSecrets) {
+    vault.deleteVault(name);
+  }
+  registry.unregister(name);
+
+  // The persona's own hooks are gone (or archived) by now
+  hooks.runHooks('post-delete', {
+    name,
+    path: entry.path,
+    data: { repo: entry.repo, archivePath: archivePath || null, remote, secretsPurged: purgeSecrets }
+  }, { personaHooks: false });
+
+  return { success: true, archivePath, remote, secretsPurged: purgeSecrets };
+}
+
+/**
+ * List archived personas, newest first
+ * @param {string} [name] - Only archives of this persona
+ * @returns {Array<{id: string, name: string, archivedAt: string, path: string, remote: string, secretsPurged: boolean}>}
+ */
+function listArchives(name) {
+  if (!fs.existsSync(ARCHIVE_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(ARCHIVE_DIR)
+    .map(id => ({ id, manifestPath: path.join(ARCHIVE_DIR, id, 'archive.json') }))
+    .filter(({ manifestPath }) => fs.existsSync(manifestPath))
+    .map(({ id, manifestPath }) => {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      return {
+        id,
+        name: manifest.name,
+        archivedAt: manifest.archivedAt,
+        path: path.join(ARCHIVE_DIR, id),
+        remote: manifest.remote,
+        secretsPurged: manifest.secretsPurged
+      };
+    })
+    .filter(archive => !name || archive.name === name)
+    .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt));
+}
+
+/**
+ * Restore an archived persona: folder back in place and registry entry re-created
+ * @param {string} name - Persona name
+ * @param {Object} [options] - Restore options
+ * @param {string} [options.archiveId] - Which archive to restore (default: the newest for this name)
+ * @returns {{success: boolean, name?: string, path?: string, warnings?: Array<string>, error?: string}}
+ */
+function restorePersona(name, options = {}) {
+  const archives = listArchives(name);
+  const archive = options.archiveId ? archives.find(({ id }) => id === options.archiveId) : archives[0];
+  if (!archive) {
+    return { success: false, error: `No archive found for "${name}"${options.archiveId ? ` with id ${options.archiveId}` : ''}` };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(archive.path, 'archive.json'), 'utf8'));
+  const conflict = registry.getEntry(name)
+    ? `Persona "${name}" is already registered`
+    : fs.existsSync(manifest.originalPath) && `Folder already exists: ${manifest.originalPath}`;
+  if (conflict) {
+    return { success: false, error: conflict };
+  }
+
+  const archivedFolder = path.join(archive.path, 'persona');
+  if (fs.existsSync(archivedFolder)) {
+    _moveDir(archivedFolder, manifest.originalPath);
+  }
+
+  // Only keys still in the vault count as configured
+  const storedKeys = new Set(vault.listSecrets(name));
+  const entry = {
+    ...manifest.entry,
+    keys: Object.fromEntries(Object.entries(manifest.entry.keys || {}).filter(([keyType]) => storedKeys.has(keyType))),
+    restoredAt: new Date().toISOString()
+  };
+  registry.restore(name, entry);
+  registry.refreshStatus(name);
+  fs.rmSync(archive.path, { recursive: true, force: true });
+
+  const warnings = [];
+  if (manifest.remote === 'archived') {
+    warnings.push(`The remote repo ${entry.repo} is archived; unarchive it before pushing.`);
+  } else if (manifest.remote === 'deleted') {
+    warnings.push(`The remote repo ${entry.repo} was deleted; create it again before pushing.`);
+  }
+  if (manifest.secretsPurged) {
+    warnings.push('Secrets were purged on delete; add the keys again.');
+  }
+
+  return { success: true, name, path: manifest.originalPath, warnings };
+}
+
+module.exports = {
+  clonePersona,
+  renamePersona,
+  deletePersona,
+  restorePersona,
+  listArchives,
+  rewriteNameReferences,
+  ARCHIVE_DIR
+};
@@ -0,0 +1,536 @@
+/**
+ * Persona Pipeline
+ * Plans and runs the create-persona pipeline as a tracked transaction
+ *
+ * Each step records its outcome in ~/.clawdbot/transactions/<name>.json. When a
+ * step fails, completed steps are rolled back in reverse order (unless the caller
+ * keeps the partial state), and a later --resume continues from the last
+ * successful step.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createPersona, planPersonaFiles } = require('./persona-generator.cjs');
+const { createConfig, planConfig } = require('./config-schema.cjs');
+const { planRepo, initLocalRepo, createRemoteRepo, deleteRemoteRepo } = require('./repo-initializer.cjs');
+const registry = require('./persona-registry.cjs');
+const hooks = require('./hooks.cjs');
+const { normalizeProviderConfig } = require('./repo-providers.cjs');
+const { getSetting, getRepoName, assertSafePersonaName } = require('./settings.cjs');
+const { report } = require('./progress.cjs');
+
+const TRANSACTIONS_DIR = path.join(process.env.HOME || process.env.USERPROFILE, '.clawdbot', 'transactions');
+
+/**
+ * Build the full plan for creating a persona, with no side effects
+ * @param {Object} options - Creation options
+ * @param {string} options.name - Persona name
+ * @param {string} [options.model] - Default model
+ * @param {string} [options.description] - Persona description
+ * @param {string} [options.template] - Template pack name
+ * @param {Object} [options.vars] - Template variables
+ * @param {Object} [options.provider] - Repo provider config ({ type, ...settings })
+ * @param {Object} [options.files] - File contents by relative path, replacing the template's
+ * @param {Object} [options.config] - Config overrides applied on top of the template's
+ * @returns {Object} Plan with files, directories, git, remote and registry sections
+ */
+function planCreatePersona({ name, model = getSetting('defaultModel'), description = '', template, vars = {}, provider, files: fileOverrides, config: configOverrides }) {
+  const templateOptions = { template, vars, files: fileOverrides, config: configOverrides };
+  const persona = planPersonaFiles(name, description, templateOptions);
+  const config = planConfig(name, model, templateOptions);
+  const repo = planRepo(persona.personaPath, getRepoName(name), getSetting('githubOrg'), normalizeProvider(provider));
+  // registry.get() creates the registry file on first use, so only read it if it exists
+  const existing = fs.existsSync(registry.REGISTRY_PATH) ? registry.get(name) : null;
+
+  const files = [...persona.files, config].map(file => ({
+    ...file,
+    action: fs.existsSync(file.path) ? 'overwrite' : 'create'
+  }));
+
+  return {
+    name,
+    path: persona.personaPath,
+    model,
+    template: template || 'default',
+    directories: persona.directories.filter(dir => !fs.existsSync(dir)),
+    files,
+    git: repo.commands,
+    remote: repo.remote,
+    registry: {
+      action: existing ? 'update' : 'register',
+      path: registry.REGISTRY_PATH,
+      entry: {
+        status: 'needs-setup',
+        repo: repo.remote.repo,
+        path: persona.personaPath,
+        provider: normalizeProvider(provider),
+        remoteUrl: repo.remote.url,
+        keys: {},
+        createdAt: existing?.createdAt || '<now>'
+      }
+    }
+  };
+}
+
+/**
+ * Flatten a provider config into the { type, ...settings } shape stored in the registry,
+ * resolving the default provider and visibility from skill settings
+ * @param {Object|string} [provider] - Provider config or type
+ * @returns {Object}
+ */
+function normalizeProvider(provider) {
+  const { type, settings } = normalizeProviderConfig(provider || getSetting('provider'));
+  return { type, ...settings, visibility: settings.visibility || getSetting('visibility') };
+}
+
+/**
+ * Format a plan for humans
+ * @param {Object} plan - Plan from planCreatePersona()
+ * @returns {string}
+ */
+function formatPlan(plan) {
+  const lines = [];
+  lines.push('='.repeat(70));
+  lines.push(`DRY RUN: create-persona ${plan.name}`);
+  lines.push('='.repeat(70));
+  lines.push(`Path: ${plan.path}`);
+  lines.push(`Model: ${plan.model}`);
+  lines.push(`Template: ${plan.template}`);
+
+  lines.push('\n--- Directories ---');
+  if (plan.directories.length === 0) {
+    lines.push('  (all exist)');
+  }
+  plan.directories.forEach(dir => lines.push(`  mkdir ${dir}`));
+
+  lines.push('\n--- Files ---');
+  plan.files.forEach(file => {
+    lines.push(`  [${file.action}] ${file.path}`);
+    if (file.content) {
+      file.content.replace(/\n$/, '').split('\n').forEach(line => lines.push(`    | ${line}`));
+    }
+  });
+
+  lines.push('\n--- Git Commands ---');
+  plan.git.forEach(step => {
+    lines.push(`  $ ${step.command}${step.when ? `   # ${step.when}` : ''}`);
+  });
+
+  lines.push('\n--- Remote Repository ---');
+  lines.push(`  Provider: ${plan.remote.provider}`);
+  lines.push(`  Repo: ${plan.remote.repo}`);
+  lines.push(`  URL: ${plan.remote.url}`);
+  lines.push(`  Visibility: ${plan.remote.visibility}`);
+
+  lines.push('\n--- Registry ---');
+  lines.push(`  ${plan.registry.action} "${plan.name}" in ${plan.registry.path}`);
+  Object.entries(plan.registry.entry).forEach(([key, value]) => {
+    lines.push(`    ${key}: ${JSON.stringify(value)}`);
+  });
+
+  lines.push('\n' + '='.repeat(70));
+  lines.push('No changes were made.');
+  return lines.join('\n');
+}
+
+/**
+ * Error raised by a pipeline step; data describes any partial effects to undo
+ */
+class StepError extends Error {
+  constructor(message, data = {}) {
+    super(message);
+    this.name = 'StepError';
+    this.data = data;
+  }
+}
+
+/**
+ * Steps of the create-persona transaction, in order. run() returns data that
+ * rollback() later receives to undo exactly what the step did.
+ */
+const CREATE_STEPS = [
+  {
+    id: 'scaffold',
+    label: 'Folder structure created',
+    async run(tx) {
+      const plan = planPersonaFiles(tx.name, tx.options.description, tx.options);
+      const existed = fs.existsSync(plan.personaPath);
+      // Never scaffold over someone's files: rollback could not bring overwritten ones back
+      if (existed && fs.readdirSync(plan.personaPath).length > 0) {
+        throw new StepError(`Target folder is not empty: ${plan.personaPath}`, { personaPath: plan.personaPath, existed, createdFiles: [] });
+      }
+      const createdFiles = plan.files.map(file => file.path);
+      try {
+        await createPersona(tx.name, tx.options.description, tx.options);
+      } catch (error) {
+        throw new StepError(error.message, { personaPath: plan.personaPath, existed, createdFiles });
+      }
+      return { personaPath: plan.personaPath, existed, createdFiles };
+    },
+    async rollback(tx, data) {
+      if (!data.existed) {
+        fs.rmSync(data.personaPath, { recursive: true, force: true });
+      } else {
+        data.createdFiles.forEach(file => fs.rmSync(file, { force: true }));
+      }
+    }
+  },
+  {
+    id: 'config',
+    label: 'Config generated',
+    async run(tx) {
+      const { path: configPath } = planConfig(tx.name, tx.options.model, tx.options);
+      const existed = fs.existsSync(configPath);
+      await createConfig(tx.name, tx.options.model, tx.options);
+      return { configPath, existed };
+    },
+    async rollback(tx, data) {
+      if (!data.existed) {
+        fs.rmSync(data.configPath, { force: true });
+      }
+    }
+  },
+  {
+    id: 'git',
+    label: 'Git repo initialized',
+    async run(tx) {
+      const result = initLocalRepo(tx.personaPath);
+      if (!result.success) {
+        throw new StepError(`git initialization failed: ${result.error}`, { created: result.created });
+      }
+      return { created: result.created };
+    },
+    async rollback(tx, data) {
+      if (data.created) {
+        fs.rmSync(path.join(tx.personaPath, '.git'), { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    id: 'remote',
+    label: 'Remote repo created and pushed',
+    async run(tx) {
+      const result = await createRemoteRepo(tx.personaPath, tx.repoName, tx.owner, tx.options.provider);
+      const data = { repo: result.repo, url: result.url, created: Boolean(result.created), remoteAdded: Boolean(result.remoteAdded) };
+      if (!result.success) {
+        throw new StepError(`remote repo creation failed: ${result.error}`, data);
+      }
+      return data;
+    },
+    async rollback(tx, data) {
+      if (data.created) {
+        const result = await deleteRemoteRepo(tx.repoName, tx.owner, tx.options.provider);
+        if (!result.success) {
+          throw new Error(`could not delete remote repo ${data.repo}: ${result.error}`);
+        }
+      }
+      if (data.remoteAdded && fs.existsSync(path.join(tx.personaPath, '.git'))) {
+        execFileSync('git', ['remote', 'remove', 'origin'], { cwd: tx.personaPath, stdio: 'ignore' });
+      }
+    }
+  },
+  {
+    id: 'register',
+    label: 'Persona registered',
+    async run(tx) {
+      const existing = registry.get(tx.name);
+      let previous = null;
+      if (existing) {
+        const { name, keysConfigured, requiredKeys, missingKeys, configError, isReady, ...entry } = existing;
+        previous = entry;
+      }
+      registry.register(tx.name, `${tx.owner}/${tx.repoName}`, tx.personaPath, {
+        provider: tx.options.provider,
+        remoteUrl: tx.steps.remote?.data?.url
+      });
+      return { previous };
+    },
+    async rollback(tx, data) {
+      if (data.previous) {
+        registry.restore(tx.name, data.previous);
+      } else {
+        registry.unregister(tx.name);
+      }
+    }
+  }
+];
+
+/**
+ * Get the transaction file path for a persona
+ * @param {string} name - Persona name
+ * @returns {string}
+ */
+function _transactionPath(name) {
+  assertSafePersonaName(name);
+  return path.join(TRANSACTIONS_DIR, `${name}.json`);
+}
+
+/**
+ * Persist a transaction record
+ * @param {Object} tx - Transaction record
+ */
+function _saveTransaction(tx) {
+  fs.mkdirSync(TRANSACTIONS_DIR, { recursive: true });
+  tx.updatedAt = new Date().toISOString();
+  const txPath = _transactionPath(tx.name);
+  fs.writeFileSync(`${txPath}.tmp`, JSON.stringify(tx, null, 2));
+  fs.renameSync(`${txPath}.tmp`, txPath);
+}
+
+/**
+ * Read the transaction record for a persona
+ * @param {string} name - Persona name
+ * @returns {Object|null} Transaction record or null if none
+ */
+function getTransaction(name) {
+  const txPath = _transactionPath(name);
+  return fs.existsSync(txPath) ? JSON.parse(fs.readFileSync(txPath, 'utf8')) : null;
+}
+
+/**
+ * Roll back completed steps of a transaction in reverse order
+ * @param {Object} tx - Transaction record
+ * @returns {Promise<Array>} Rollback errors ({step, error}); empty if everything was undone
+ */
+async function _rollback(tx) {
+  const errors = [];
+  for (const step of [...CREATE_STEPS].reverse()) {
+    const record = tx.steps[step.id];
+    if (!record || (record.status !== 'done' && record.status !== 'failed')) {
+      continue;
+    }
+    try {
+      await step.rollback(tx, record.data || {});
+      record.status = 'rolled-back';
+      report(`↩ Rolled back: ${step.id}`);
+    } catch (error) {
+      record.status = 'rollback-failed';
+      record.rollbackError = error.message;
+      errors.push({ step: step.id, error: error.message });
+      report(`✗ Rollback of ${step.id} failed: ${error.message}`, 'error');
+    }
+    _saveTransaction(tx);
+  }
+  return errors;
+}
+
+/**
+ * Run pending steps of a transaction
+ * @param {Object} tx - Transaction record
+ * @param {Object} options - { keepPartial }
+ * @returns {Promise<Object>} Result: { success, name, repo, personaPath } or { success: false, failedStep, error, rolledBack }
+ */
+async function _runSteps(tx, { keepPartial = false } = {}) {
+  tx.status = 'in-progress';
+  _saveTransaction(tx);
+
+  for (const step of CREATE_STEPS) {
+    if (tx.steps[step.id]?.status === 'done') {
+      report(`↷ Skipping ${step.id} (already done)`);
+      continue;
+    }
+
+    try {
+      if (tx.steps[step.id]?.status === 'failed') {
+        // Undo the partial effects of the earlier attempt before retrying
+        await step.rollback(tx, tx.steps[step.id].data || {});
+      }
+      const data = await step.run(tx);
+      tx.steps[step.id] = { status: 'done', at: new Date().toISOString(), data };
+      _saveTransaction(tx);
+      report(`✓ ${step.label}`);
+    } catch (error) {
+      tx.steps[step.id] = { status: 'failed', at: new Date().toISOString(), data: error.data || {}, error: error.message };
+      tx.status = 'failed';
+      tx.error = `${step.id}: ${error.message}`;
+      _saveTransaction(tx);
+      report(`✗ Step "${step.id}" failed: ${error.message}`, 'error');
+
+      if (keepPartial) {
+        report(`Partial state kept. Continue with: clawdbot skill run goc-persona --create-persona --resume ${tx.name}`);
+        return { success: false, name: tx.name, failedStep: step.id, error: error.message, rolledBack: false };
+      }
+
+      report('Rolling back completed steps...');
+      const rollbackErrors = await _rollback(tx);
+      tx.status = rollbackErrors.length === 0 ? 'rolled-back' : 'rollback-failed';
+      _saveTransaction(tx);
+      return {
+        success: false,
+        name: tx.name,
+        failedStep: step.id,
+        error: error.message,
+        rolledBack: rollbackErrors.length === 0,
+        rollbackErrors
+      };
+    }
+  }
+
+  tx.status = 'completed';
+  _saveTransaction(tx);
+  hooks.runHooks('post-create', {
+    name: tx.name,
+    path: tx.personaPath,
+    data: {
+      repo: `${tx.owner}/${tx.repoName}`,
+      url: tx.steps.remote.data.url,
+      provider: tx.options.provider.type,
+      template: tx.options.template || null
+    }
+  });
+  return {
+    success: true,
+    name: tx.name,
+    repo: `${tx.owner}/${tx.repoName}`,
+    url: tx.steps.remote.data.url,
+    personaPath: tx.personaPath
+  };
+}
+
+/**
+ * Create a persona as a tracked transaction
+ * @param {Object} options - { name, model, description, template, vars, files, config, provider }
+ * @param {Object} [runOptions] - { keepPartial } keeps completed steps on failure so they can be resumed
+ * @returns {Promise<Object>} Result from the pipeline
+ */
+async function runCreatePersona(options, runOptions = {}) {
+  const { name } = options;
+  const pending = getTransaction(name);
+  if (pending && (pending.status === 'in-progress' || pending.status === 'failed')) {
+    const error = `An unfinished creation of "${name}" exists (${pending.status}). Use --resume ${name} or --abort ${name}.`;
+    return { success: false, name, error };
+  }
+
+  const tx = {
+    type: 'create-persona',
+    name,
+    options: {
+      model: options.model || getSetting('defaultModel'),
+      description: options.description,
+      template: options.template,
+      vars: options.vars || {},
+      files: options.files,
+      config: options.config,
+      provider: normalizeProvider(options.provider)
+    },
+    personaPath: planPersonaFiles(name, options.description, options).personaPath,
+    owner: getSetting('githubOrg'),
+    repoName: getRepoName(name),
+    status: 'pending',
+    startedAt: new Date().toISOString(),
+    steps: {}
+  };
+
+  // The persona folder doesn't exist yet, so only global hooks can run
+  const hookError = hooks.runPreHooks('pre-create', {
+    name,
+    path: tx.personaPath,
+    data: {
+      repo: `${tx.owner}/${tx.repoName}`,
+      provider: tx.options.provider.type,
+      template: tx.options.template || null,
+      model: tx.options.model
+    }
+  }, { personaHooks: false });
+  if (hookError) {
+    return { success: false, name, error: hookError };
+  }
+
+  return _runSteps(tx, runOptions);
+}
+
+/**
+ * Apply provider options given on resume to the provider stored in a transaction
+ * @param {Object} stored - tx.options.provider ({ type, ...settings })
+ * @param {Object} override - { type, url, tokenEnv }; fields left out keep their stored values
+ * @returns {Object} Provider in the stored shape
+ */
+function _overrideProvider(stored, { type, url, tokenEnv }) {
+  const provider = type && type !== stored.type ? { type, visibility: stored.visibility } : { ...stored };
+  if (url) {
+    delete provider.path;
+    delete provider.baseUrl;
+    Object.assign(provider, provider.type === 'local' ? { path: path.resolve(url) } : { baseUrl: url });
+  }
+  if (tokenEnv) {
+    provider.tokenEnv = tokenEnv;
+  }
+  return normalizeProvider(provider);
+}
+
+/**
+ * Resume an unfinished creation from the last successful step.
+ * A rolled-back transaction starts over with its original options.
+ * @param {string} name - Persona name
+ * @param {Object} [runOptions] - { keepPartial, provider }; provider ({ type, url, tokenEnv }) replaces
+ *   the stored provider options it names, as long as the remote repo was not created yet
+ * @returns {Promise<Object>} Result from the pipeline
+ */
+async function resumeCreatePersona(name, runOptions = {}) {
+  const tx = getTransaction(name);
+  if (!tx) {
+    const error = `No creation of "${name}" to resume.`;
+    return { success: false, name, error };
+  }
+  if (tx.status === 'completed') {
+    report(`Creation of "${name}" already completed.`);
+    return { success: true, name, repo: `${tx.owner}/${tx.repoName}`, url: tx.steps.remote?.data?.url, personaPath: tx.personaPath };
+  }
+  if (tx.status === 'rolled-back' || tx.status === 'rollback-failed') {
+    tx.steps = {};
+  }
+
+  if (runOptions.provider) {
+    const remote = tx.steps.remote;
+    if (remote?.status === 'done') {
+      const error = `The remote repo of "${name}" was already created with ${tx.options.provider.type}; use --abort ${name} and start over to change the provider.`;
+      return { success: false, name, error };
+    }
+    if (remote?.status === 'failed') {
+      // Clean up the failed attempt with the provider it used before switching
+      try {
+        await CREATE_STEPS.find(step => step.id === 'remote').rollback(tx, remote.data || {});
+      } catch (error) {
+        return { success: false, name, error: `Could not clean up the failed remote step: ${error.message}` };
+      }
+      delete tx.steps.remote;
+    }
+    tx.options.provider = _overrideProvider(tx.options.provider, runOptions.provider);
+    _saveTransaction(tx);
+  }
+
+  report(`Resuming creation of "${name}" (started ${tx.startedAt})...`);
+  delete tx.error;
+  return _runSteps(tx, runOptions);
+}
+
+/**
+ * Roll back an unfinished creation
+ * @param {string} name - Persona name
+ * @returns {Promise<Object>} { success, name, rollbackErrors }
+ */
+async function abortCreatePersona(name) {
+  const tx = getTransaction(name);
+  if (!tx || (tx.status !== 'in-progress' && tx.status !== 'failed')) {
+    const error = `No unfinished creation of "${name}" to abort.`;
+    return { success: false, name, error };
+  }
+
+  const rollbackErrors = await _rollback(tx);
+  tx.status = rollbackErrors.length === 0 ? 'rolled-back' : 'rollback-failed';
+  _saveTransaction(tx);
+  return { success: rollbackErrors.length === 0, name, rollbackErrors };
+}
+
+module.exports = {
+  planCreatePersona,
+  formatPlan,
+  normalizeProvider,
+  runCreatePersona,
+  resumeCreatePersona,
+  abortCreatePersona,
+  getTransaction,
+  CREATE_STEPS,
+  TRANSACTIONS_DIR
+};
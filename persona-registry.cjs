@@ -5,8 +5,159 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getRequiredKeys } = require('./required-keys.cjs');
+const { RegistryCorruptError, RegistryLockError } = require('./errors.cjs');
+const hooks = require('./hooks.cjs');
+const auditLog = require('./audit-log.cjs');
 
 const REGISTRY_PATH = path.join(process.env.HOME || process.env.USERPROFILE, '.clawdbot', 'persona-registry.json');
+const LOCK_PATH = `${REGISTRY_PATH}.lock`;
+const BACKUP_PATH = `${REGISTRY_PATH}.bak`;
+
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+// Nesting depth of _update() in this process, so recovery inside it doesn't re-lock
+let _lockDepth = 0;
+
+// statusReason prefix for personas put in "error" by recordVerifications()
+const VERIFICATION_FAILED = 'Required key failed verification';
+
+// Current registry format version; bump it and add a migration when entries change shape
+const SCHEMA_VERSION = 1;
+
+/**
+ * Ordered migrations. Each upgrades data from version - 1 to version in place.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add schemaVersion and ensure every entry has a keys map',
+    migrate(data) {
+      for (const entry of Object.values(data.personas || {})) {
+        entry.keys = entry.keys || {};
+      }
+    }
+  }
+];
+
+/**
+ * Block the current thread for a short time
+ * @param {number} ms - Milliseconds to sleep
+ */
+function _sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a lock file was left behind by a dead or hung process
+ * @returns {boolean}
+ */
+function _isLockStale() {
+  let owner = null;
+  try {
+    owner = JSON.parse(fs.readFileSync(LOCK_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+  }
+  const acquiredAt = new Date(owner && owner.acquiredAt).getTime();
+  if (!Number.isInteger(owner && owner.pid) || Number.isNaN(acquiredAt)) {
+    // Empty or half-written: another run may have just created it, so only its age can tell
+    try {
+      return Date.now() - fs.statSync(LOCK_PATH).mtimeMs > LOCK_STALE_MS;
+    } catch {
+      return false;
+    }
+  }
+  if (Date.now() - acquiredAt > LOCK_STALE_MS) {
+    return true;
+  }
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (error) {
+    // The owning process no longer exists (EPERM means it exists under another user)
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Acquire the registry lock, waiting for other CLI runs to finish
+ */
+function _acquireLock() {
+  fs.mkdirSync(path.dirname(LOCK_PATH), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      const fd = fs.openSync(LOCK_PATH, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (_isLockStale()) {
+      fs.rmSync(LOCK_PATH, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new RegistryLockError(`Timed out waiting for registry lock ${LOCK_PATH}. If no other goc-persona command is running, delete it.`);
+    }
+    _sleep(50);
+  }
+}
+
+/**
+ * Release the registry lock
+ */
+function _releaseLock() {
+  fs.rmSync(LOCK_PATH, { force: true });
+}
+
+/**
+ * Run a function while holding the registry lock
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function _withLock(fn) {
+  _acquireLock();
+  try {
+    return fn();
+  } finally {
+    _releaseLock();
+  }
+}
+
+/**
+ * Write a file atomically: write a temp file, flush it, then rename over the target
+ * @param {string} filePath - Target path
+ * @param {string} content - File content
+ */
+function _atomicWrite(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Create an empty registry object
+ * @returns {Object}
+ */
+function _emptyRegistry() {
+  return { schemaVersion: SCHEMA_VERSION, personas: {}, lastUpdated: null };
+}
 
 /**
  * Initialize registry file if it doesn't exist
@@ -17,32 +168,200 @@ function _ensureRegistry() {
     fs.mkdirSync(dir, { recursive: true });
   }
   if (!fs.existsSync(REGISTRY_PATH)) {
-    fs.writeFileSync(REGISTRY_PATH, JSON.stringify({ personas: {}, lastUpdated: null }, null, 2));
+    _atomicWrite(REGISTRY_PATH, JSON.stringify(_emptyRegistry(), null, 2));
   }
 }
 
+/**
+ * Parse registry JSON and check its basic shape
+ * @param {string} content - File content
+ * @returns {Object} Registry data
+ */
+function _parseRegistry(content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data !== 'object' || typeof data.personas !== 'object' || data.personas === null) {
+    throw new Error('missing "personas" object');
+  }
+  return data;
+}
+
+/**
+ * Bring registry data up to the current schema version
+ * @param {Object} data - Registry data
+ * @returns {Object} Migrated data
+ */
+function _migrate(data) {
+  const fromVersion = data.schemaVersion || 0;
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Registry schemaVersion ${fromVersion} is newer than this skill supports (${SCHEMA_VERSION}). Update the goc-persona skill.`);
+  }
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      migration.migrate(data);
+      data.schemaVersion = migration.version;
+    }
+  }
+  return data;
+}
+
+/**
+ * Move a corrupt registry aside and restore the last good backup if there is one
+ * @param {Error} parseError - Why the registry could not be read
+ * @returns {Object} Registry data restored from backup
+ */
+function _recoverCorruptRegistry(parseError) {
+  // Another process may have recovered it while we waited for the lock
+  try {
+    return _parseRegistry(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+  } catch {
+    // still corrupt
+  }
+
+  const quarantinePath = `${REGISTRY_PATH}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  fs.copyFileSync(REGISTRY_PATH, quarantinePath);
+
+  let backup = null;
+  if (fs.existsSync(BACKUP_PATH)) {
+    try {
+      backup = _parseRegistry(fs.readFileSync(BACKUP_PATH, 'utf8'));
+    } catch {
+      backup = null;
+    }
+  }
+
+  if (!backup) {
+    throw new RegistryCorruptError(
+      `Registry ${REGISTRY_PATH} is corrupt (${parseError.message}) and no valid backup exists. ` +
+      `A copy was saved to ${quarantinePath}; fix or remove the registry file to continue.`,
+      quarantinePath
+    );
+  }
+
+  _atomicWrite(REGISTRY_PATH, JSON.stringify(backup, null, 2));
+  console.warn(`⚠️  Registry was corrupt (${parseError.message}). Saved it to ${quarantinePath} and restored ${BACKUP_PATH}.`);
+  return backup;
+}
+
 /**
  * Read the registry
  * @returns {Object} Registry data
  */
 function _readRegistry() {
   _ensureRegistry();
+  let data;
   try {
-    const content = fs.readFileSync(REGISTRY_PATH, 'utf8');
-    return JSON.parse(content);
+    data = _parseRegistry(fs.readFileSync(REGISTRY_PATH, 'utf8'));
   } catch (error) {
-    return { personas: {}, lastUpdated: null };
+    data = _withLockIfFree(() => _recoverCorruptRegistry(error));
   }
+  return _migrate(data);
+}
+
+/**
+ * Run fn under the lock unless this process already holds it
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function _withLockIfFree(fn) {
+  return _lockDepth > 0 ? fn() : _withLock(fn);
 }
 
 /**
- * Write to the registry
+ * Write to the registry atomically, keeping the previous version as a backup
  * @param {Object} data - Registry data to write
  */
 function _writeRegistry(data) {
   _ensureRegistry();
+  data.schemaVersion = SCHEMA_VERSION;
   data.lastUpdated = new Date().toISOString();
-  fs.writeFileSync(REGISTRY_PATH, JSON.stringify(data, null, 2));
+  try {
+    _parseRegistry(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    fs.copyFileSync(REGISTRY_PATH, BACKUP_PATH);
+  } catch {
+    // Never overwrite a good backup with a bad file
+  }
+  _atomicWrite(REGISTRY_PATH, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Read, modify and write the registry under the lock
+ * @param {Function} fn - Receives registry data and audit(event), which queues an audit log event
+ *   for the change; return false to skip writing (queued events are dropped too)
+ * @returns {*} Result of fn
+ */
+function _update(fn) {
+  return _withLock(() => {
+    _lockDepth++;
+    try {
+      const data = _readRegistry();
+      const events = [];
+      const result = fn(data, event => events.push(event));
+      if (result !== false) {
+        _writeRegistry(data);
+        auditLog.appendEvents(events);
+      }
+      return result;
+    } finally {
+      _lockDepth--;
+    }
+  });
+}
+
+/**
+ * The audited fields of an entry (for register, restore and unregister events)
+ * @param {Object} [entry] - Raw registry entry
+ * @returns {Object|null}
+ */
+function _auditEntry(entry) {
+  if (!entry) {
+    return null;
+  }
+  return {
+    status: entry.status,
+    repo: entry.repo,
+    path: entry.path,
+    provider: entry.provider?.type || 'github',
+    keys: Object.keys(entry.keys || {})
+  };
+}
+
+/**
+ * Queue a status event if a change moved the entry to another status
+ * @param {Function} audit - audit() from _update()
+ * @param {string} name - Persona name
+ * @param {string} from - Status before the change
+ * @param {Object} persona - Raw registry entry after the change
+ * @param {string} cause - Action that triggered it (e.g. add-key)
+ */
+function _auditStatus(audit, name, from, persona, cause) {
+  if (from !== persona.status) {
+    audit({
+      action: 'status',
+      name,
+      from,
+      to: persona.status,
+      cause,
+      ...(persona.statusReason && { reason: persona.statusReason })
+    });
+  }
+}
+
+/**
+ * Run the on-status-change hooks if an entry's status changed
+ * (called after _update() returns, so hooks never run under the lock)
+ * @param {string} name - Persona name
+ * @param {string|undefined} from - Status before the change
+ * @param {Object|undefined} persona - Raw registry entry after the change
+ */
+function _notifyStatusChange(name, from, persona) {
+  if (!persona || from === persona.status) {
+    return;
+  }
+  hooks.runHooks('on-status-change', {
+    name,
+    path: persona.path,
+    data: { from, to: persona.status, ...(persona.statusReason && { reason: persona.statusReason }) }
+  });
 }
 
 /**
@@ -51,16 +370,21 @@ function _writeRegistry(data) {
  */
 function list() {
   const registry = _readRegistry();
-  return Object.entries(registry.personas).map(([name, data]) => ({
-    name,
-    status: data.status,
-    repo: data.repo,
-    path: data.path,
-    keysConfigured: Object.keys(data.keys || {}),
-    missingKeys: _getMissingKeys(data.keys || {}),
-    createdAt: data.createdAt,
-    lastUpdated: data.lastUpdated
-  }));
+  return Object.entries(registry.personas).map(([name, data]) => {
+    const readiness = _getReadiness(data);
+    return {
+      name,
+      status: data.status,
+      repo: data.repo,
+      path: data.path,
+      keysConfigured: Object.keys(data.keys || {}),
+      requiredKeys: readiness.requiredKeys,
+      missingKeys: readiness.missingKeys,
+      configError: readiness.configError,
+      createdAt: data.createdAt,
+      lastUpdated: data.lastUpdated
+    };
+  });
 }
 
 /**
@@ -76,42 +400,116 @@ function get(name) {
     return null;
   }
   
+  const readiness = _getReadiness(persona);
   return {
     name,
     ...persona,
     keysConfigured: Object.keys(persona.keys || {}),
-    missingKeys: _getMissingKeys(persona.keys || {}),
-    isReady: _isPersonaReady(persona)
+    requiredKeys: readiness.requiredKeys,
+    missingKeys: readiness.missingKeys,
+    configError: readiness.configError,
+    isReady: _isPersonaReady(persona, readiness)
   };
 }
 
+/**
+ * Get the raw registry entry for a persona, without computed fields
+ * @param {string} name - Persona name
+ * @returns {Object|null} Copy of the stored entry, or null if not found
+ */
+function getEntry(name) {
+  const persona = _readRegistry().personas[name];
+  return persona ? JSON.parse(JSON.stringify(persona)) : null;
+}
+
 /**
  * Register a new persona
  * @param {string} name - Persona name
  * @param {string} repo - GitHub repo (org/repo format)
  * @param {string} path - Local path to persona
+ * @param {Object} [details] - Extra entry fields, e.g. provider ({ type, ...settings }) and remoteUrl
  * @returns {Object} Registered persona data
  */
-function register(name, repo, path) {
-  const registry = _readRegistry();
-  
-  if (registry.personas[name]) {
-    console.log(`Persona "${name}" already registered, updating...`);
-  }
-  
-  registry.personas[name] = {
-    status: 'needs-setup',
-    repo,
+function register(name, repo, path, details = {}) {
+  let replaced = false;
+  const entry = _update((registry, audit) => {
+    const previous = registry.personas[name];
+    replaced = Boolean(previous);
+    registry.personas[name] = {
+      status: 'needs-setup',
+      repo,
+      path,
+      ...details,
+      keys: {},
+      createdAt: registry.personas[name]?.createdAt || new Date().toISOString(),
+      lastUpdated: new Date().toISOString()
+    };
+    audit({ action: 'register', name, from: _auditEntry(previous), to: _auditEntry(registry.personas[name]) });
+    return registry.personas[name];
+  });
+  hooks.runHooks('post-register', {
+    name,
     path,
-    keys: {},
-    createdAt: registry.personas[name]?.createdAt || new Date().toISOString(),
-    lastUpdated: new Date().toISOString()
-  };
-  
-  _writeRegistry(registry);
-  
-  console.log(`Registered persona: ${name}`);
-  return registry.personas[name];
+    data: { repo, provider: entry.provider?.type || 'github', replaced }
+  });
+  return entry;
+}
+
+/**
+ * Put back a previously saved registry entry (used to undo a failed re-registration)
+ * @param {string} name - Persona name
+ * @param {Object} entry - Raw entry as stored in the registry
+ * @returns {boolean} Success
+ */
+function restore(name, entry) {
+  return _update((registry, audit) => {
+    audit({ action: 'restore', name, from: _auditEntry(registry.personas[name]), to: _auditEntry(entry) });
+    registry.personas[name] = entry;
+    return true;
+  });
+}
+
+/**
+ * Update fields of a registry entry
+ * @param {string} name - Persona name
+ * @param {Object} changes - Fields to set (e.g. { path, repo })
+ * @returns {boolean} Success
+ */
+function update(name, changes) {
+  return _update((registry, audit) => {
+    if (!registry.personas[name]) {
+      return false;
+    }
+    const from = Object.fromEntries(Object.keys(changes).map(field => [field, registry.personas[name][field] ?? null]));
+    audit({ action: 'update', name, from, to: changes });
+    Object.assign(registry.personas[name], changes, { lastUpdated: new Date().toISOString() });
+    return true;
+  });
+}
+
+/**
+ * Move a registry entry to a new name, keeping createdAt and key metadata
+ * @param {string} oldName - Current persona name
+ * @param {string} newName - New persona name
+ * @param {Object} [changes] - Fields to update at the same time (e.g. { path, repo, remoteUrl })
+ * @returns {boolean} Success (false if oldName is missing or newName is taken)
+ */
+function rename(oldName, newName, changes = {}) {
+  return _update((registry, audit) => {
+    if (!registry.personas[oldName] || registry.personas[newName]) {
+      return false;
+    }
+    const from = Object.fromEntries(Object.keys(changes).map(field => [field, registry.personas[oldName][field] ?? null]));
+    audit({ action: 'rename', name: newName, previousName: oldName, from: { name: oldName, ...from }, to: { name: newName, ...changes } });
+    registry.personas[newName] = {
+      ...registry.personas[oldName],
+      ...changes,
+      renamedFrom: oldName,
+      lastUpdated: new Date().toISOString()
+    };
+    delete registry.personas[oldName];
+    return true;
+  });
 }
 
 /**
@@ -121,19 +519,29 @@ function register(name, repo, path) {
  * @returns {boolean} Success
  */
 function updateStatus(name, status) {
-  const registry = _readRegistry();
-  
-  if (!registry.personas[name]) {
-    console.error(`Persona "${name}" not found in registry`);
-    return false;
+  let from;
+  const updated = _update((registry, audit) => {
+    if (!registry.personas[name]) {
+      return false;
+    }
+    from = registry.personas[name].status;
+    audit({
+      action: 'status',
+      name,
+      from,
+      to: status,
+      cause: 'update-status',
+      ...(registry.personas[name].statusReason && { previousReason: registry.personas[name].statusReason })
+    });
+    registry.personas[name].status = status;
+    registry.personas[name].lastUpdated = new Date().toISOString();
+    delete registry.personas[name].statusReason;
+    return true;
+  });
+  if (updated) {
+    _notifyStatusChange(name, from, getEntry(name));
   }
-  
-  registry.personas[name].status = status;
-  registry.personas[name].lastUpdated = new Date().toISOString();
-  
-  _writeRegistry(registry);
-  console.log(`Updated status for "${name}": ${status}`);
-  return true;
+  return updated;
 }
 
 /**
@@ -143,26 +551,76 @@ function updateStatus(name, status) {
  * @returns {boolean} Success
  */
 function addKey(name, keyType) {
-  const registry = _readRegistry();
-  
-  if (!registry.personas[name]) {
-    console.error(`Persona "${name}" not found in registry`);
-    return false;
+  let from;
+  let replaced = false;
+  const added = _update((registry, audit) => {
+    if (!registry.personas[name]) {
+      return false;
+    }
+    from = registry.personas[name].status;
+    registry.personas[name].keys = registry.personas[name].keys || {};
+    const previous = registry.personas[name].keys[keyType] || null;
+    replaced = Boolean(previous);
+    registry.personas[name].keys[keyType] = {
+      configured: true,
+      configuredAt: new Date().toISOString()
+    };
+    registry.personas[name].lastUpdated = new Date().toISOString();
+    audit({ action: 'add-key', name, key: keyType, from: previous, to: registry.personas[name].keys[keyType] });
+    _syncStatus(registry.personas[name]);
+    _auditStatus(audit, name, from, registry.personas[name], 'add-key');
+    return true;
+  });
+  if (added) {
+    const persona = getEntry(name);
+    hooks.runHooks('on-key-added', { name, path: persona?.path, data: { keyType, replaced } });
+    _notifyStatusChange(name, from, persona);
   }
-  
-  if (!registry.personas[name].keys) {
-    registry.personas[name].keys = {};
+  return added;
+}
+
+/**
+ * Record key verification results and move the persona to "error" if a required key was rejected
+ * (a persona put in "error" by verification recovers once its required keys pass again)
+ * @param {string} name - Persona name
+ * @param {Array<{keyType: string, ok: boolean, rejected: boolean, required: boolean, error?: string}>} results
+ * @returns {string|null} Persona status afterwards, or null if not found
+ */
+function recordVerifications(name, results) {
+  let status = null;
+  let from;
+  _update((registry, audit) => {
+    const persona = registry.personas[name];
+    if (!persona) {
+      return false;
+    }
+    
+    from = persona.status;
+    const now = new Date().toISOString();
+    persona.keys = persona.keys || {};
+    results.forEach(({ keyType, ok, error }) => {
+      const { error: previousError, ...keyData } = persona.keys[keyType] || {};
+      persona.keys[keyType] = { ...keyData, lastVerifiedAt: now, ok, ...(error && { error }) };
+    });
+    
+    const failed = results.filter(result => result.required && result.rejected).map(result => result.keyType);
+    if (failed.length > 0) {
+      persona.status = 'error';
+      persona.statusReason = `${VERIFICATION_FAILED}: ${failed.join(', ')}`;
+    } else if (persona.status === 'error' && persona.statusReason?.startsWith(VERIFICATION_FAILED)) {
+      persona.status = 'needs-setup';
+      delete persona.statusReason;
+      _syncStatus(persona);
+    }
+    persona.lastUpdated = now;
+    status = persona.status;
+    _auditStatus(audit, name, from, persona, 'verify-keys');
+    return true;
+  });
+  if (status) {
+    _notifyStatusChange(name, from, getEntry(name));
   }
-  
-  registry.personas[name].keys[keyType] = {
-    configured: true,
-    configuredAt: new Date().toISOString()
-  };
-  registry.personas[name].lastUpdated = new Date().toISOString();
-  
-  _writeRegistry(registry);
-  console.log(`Added key "${keyType}" to persona "${name}"`);
-  return true;
+  return status;
 }
 
 /**
@@ -172,16 +630,23 @@ function addKey(name, keyType) {
  * @returns {boolean} Success
  */
 function removeKey(name, keyType) {
-  const registry = _readRegistry();
-  
-  if (!registry.personas[name] || !registry.personas[name].keys) {
-    return false;
+  let from;
+  const removed = _update((registry, audit) => {
+    if (!registry.personas[name] || !registry.personas[name].keys) {
+      return false;
+    }
+    from = registry.personas[name].status;
+    audit({ action: 'remove-key', name, key: keyType, from: registry.personas[name].keys[keyType] || null, to: null });
+    delete registry.personas[name].keys[keyType];
+    registry.personas[name].lastUpdated = new Date().toISOString();
+    _syncStatus(registry.personas[name]);
+    _auditStatus(audit, name, from, registry.personas[name], 'remove-key');
+    return true;
+  });
+  if (removed) {
+    _notifyStatusChange(name, from, getEntry(name));
   }
-  
-  delete registry.personas[name].keys[keyType];
-  registry.personas[name].lastUpdated = new Date().toISOString();
-  _writeRegistry(registry);
-  return true;
+  return removed;
 }
 
 /**
@@ -190,17 +655,14 @@ function removeKey(name, keyType) {
  * @returns {boolean} Success
  */
 function unregister(name) {
-  const registry = _readRegistry();
-  
-  if (!registry.personas[name]) {
-    console.error(`Persona "${name}" not found in registry`);
-    return false;
-  }
-  
-  delete registry.personas[name];
-  _writeRegistry(registry);
-  console.log(`Unregistered persona: ${name}`);
-  return true;
+  return _update((registry, audit) => {
+    if (!registry.personas[name]) {
+      return false;
+    }
+    audit({ action: 'unregister', name, from: _auditEntry(registry.personas[name]), to: null });
+    delete registry.personas[name];
+    return true;
+  });
 }
 
 /**
@@ -213,56 +675,98 @@ function getKeys(name) {
   return persona ? Object.keys(persona.keys || {}) : [];
 }
 
-// Common key types that personas might need
-const COMMON_KEYS = [
-  'openai',
-  'anthropic',
-  'google',
-  'elevenlabs',
-  'huggingface',
-  'replicate',
-  'stability',
-  'midjourney',
-  'custom'
-];
-
 /**
- * Get list of missing keys based on common key types
- * @param {Object} configuredKeys - Currently configured keys
- * @returns {Array} Array of missing key types
+ * Work out required and missing keys for a registry entry from its config.yaml
+ * @param {Object} persona - Raw registry entry
+ * @returns {{requiredKeys: Array<{keyType: string, reason: string}>, missingKeys: Array<string>, configError: string|null}}
  */
-function _getMissingKeys(configuredKeys) {
-  // Return keys that are NOT configured
-  return COMMON_KEYS.filter(key => !configuredKeys[key]);
+function _getReadiness(persona) {
+  let requiredKeys;
+  try {
+    requiredKeys = getRequiredKeys(persona.path);
+  } catch (error) {
+    return { requiredKeys: [], missingKeys: [], configError: error.message };
+  }
+  const configuredKeys = persona.keys || {};
+  return {
+    requiredKeys,
+    missingKeys: requiredKeys.map(({ keyType }) => keyType).filter(keyType => !configuredKeys[keyType]),
+    configError: null
+  };
 }
 
 /**
- * Check if a persona is ready (has at least one key configured)
+ * Check if a persona is ready (config readable and every required key configured)
  * @param {Object} persona - Persona data
+ * @param {Object} [readiness] - Result of _getReadiness(), if already computed
  * @returns {boolean}
  */
-function _isPersonaReady(persona) {
-  const configuredKeys = Object.keys(persona.keys || {});
-  return configuredKeys.length > 0 && persona.status !== 'error';
+function _isPersonaReady(persona, readiness = _getReadiness(persona)) {
+  return !readiness.configError && readiness.missingKeys.length === 0 && persona.status !== 'error';
 }
 
 /**
- * Get common key types
- * @returns {Array}
+ * Move an entry between needs-setup and ready to match its keys (other statuses are left alone)
+ * @param {Object} persona - Raw registry entry (modified in place)
+ * @returns {string|null} New status, or null if unchanged
  */
-function getCommonKeyTypes() {
-  return [...COMMON_KEYS];
+function _syncStatus(persona) {
+  const ready = _isPersonaReady(persona);
+  let status = null;
+  if (persona.status === 'needs-setup' && ready) {
+    status = 'ready';
+  } else if (persona.status === 'ready' && !ready) {
+    status = 'needs-setup';
+  }
+  if (status) {
+    persona.status = status;
+    persona.lastUpdated = new Date().toISOString();
+  }
+  return status;
+}
+
+/**
+ * Re-check a persona's required keys and update its status to match
+ * (call after editing config.yaml)
+ * @param {string} name - Persona name
+ * @returns {string|null} New status, or null if unchanged or not found
+ */
+function refreshStatus(name) {
+  let status = null;
+  let from;
+  _update((registry, audit) => {
+    if (!registry.personas[name]) {
+      return false;
+    }
+    from = registry.personas[name].status;
+    status = _syncStatus(registry.personas[name]);
+    _auditStatus(audit, name, from, registry.personas[name], 'refresh');
+    return status !== null;
+  });
+  if (status) {
+    _notifyStatusChange(name, from, getEntry(name));
+  }
+  return status;
 }
 
 module.exports = {
   list,
   get,
+  getEntry,
   register,
+  restore,
+  update,
+  rename,
   updateStatus,
   addKey,
   removeKey,
   unregister,
   getKeys,
-  getCommonKeyTypes,
-  REGISTRY_PATH
+  refreshStatus,
+  recordVerifications,
+  RegistryCorruptError,
+  RegistryLockError,
+  REGISTRY_PATH,
+  SCHEMA_VERSION,
+  MIGRATIONS
 };
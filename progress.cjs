@@ -0,0 +1,43 @@
+/**
+ * Progress
+ * Reports what the core modules are doing without printing anything themselves
+ *
+ * Core code calls report() for progress lines ("✓ Scaffold persona files", "Created: ...") and
+ * for problems it works around. They go to the logger of the surrounding withLogger() call, or
+ * nowhere when there is none, so the core API stays silent unless its caller asks for output.
+ * index.js installs a logger for every command and prints the lines (on stderr with --json).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['info', 'warn', 'error'];
+
+const loggers = new AsyncLocalStorage();
+
+/**
+ * Run a function with a logger receiving everything reported while it runs, including after awaits
+ * @param {Function} logger - (message, level) => void; level is 'info', 'warn' or 'error'
+ * @param {Function} fn - Function to run (may return a promise)
+ * @returns {*} What fn returned
+ */
+function withLogger(logger, fn) {
+  return loggers.run(logger, fn);
+}
+
+/**
+ * Report a progress message to the current logger, if any
+ * @param {string} message - Message
+ * @param {string} [level] - 'info' (default), 'warn' or 'error'
+ */
+function report(message, level = 'info') {
+  const logger = loggers.getStore();
+  if (logger) {
+    logger(message, LEVELS.includes(level) ? level : 'info');
+  }
+}
+
+module.exports = {
+  withLogger,
+  report,
+  LEVELS
+};
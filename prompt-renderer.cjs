@@ -0,0 +1,208 @@
+/**
+ * Prompt Renderer
+ * Compiles a persona's IDENTITY.md, SOUL.md and personality settings into a system prompt
+ *
+ * Formats:
+ * - text: the system prompt alone
+ * - openai: a Chat Completions request body with the prompt as the system message
+ * - anthropic: a Messages API request body with the prompt as "system"
+ * The request bodies carry the model and modelSettings mapped to request parameters;
+ * the caller appends the conversation to "messages".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./persona-registry.cjs');
+const { readConfig, CONFIG_SCHEMA } = require('./config-schema.cjs');
+
+const FORMATS = ['text', 'openai', 'anthropic'];
+
+// Rough average for English text; good enough to tell a prompt's size, not to bill it
+const CHARS_PER_TOKEN = 4;
+
+const TONE_GUIDANCE = {
+  neutral: 'Keep a neutral, even tone.',
+  friendly: 'Be warm and friendly.',
+  formal: 'Use a formal register and avoid slang.',
+  casual: 'Keep it casual and conversational.',
+  playful: 'Be playful; light humour is welcome.',
+  professional: 'Stay professional and to the point.',
+  enthusiastic: 'Be upbeat and enthusiastic.',
+  serious: 'Keep a serious tone; avoid jokes.',
+  sarcastic: 'A dry, sarcastic edge is part of your character, but never at the expense of being helpful.',
+  empathetic: 'Be empathetic; acknowledge how people feel before solving their problem.'
+};
+
+const VERBOSITY_GUIDANCE = {
+  low: 'Answer briefly. Leave out background unless asked.',
+  medium: 'Give complete answers without padding.',
+  high: 'Explain thoroughly, with context and examples.'
+};
+
+// modelSettings key -> request parameter for each API format
+const PARAMETER_MAP = {
+  temperature: { openai: 'temperature', anthropic: 'temperature' },
+  maxTokens: { openai: 'max_tokens', anthropic: 'max_tokens' },
+  topP: { openai: 'top_p', anthropic: 'top_p' },
+  stop: { openai: 'stop', anthropic: 'stop_sequences' }
+};
+
+/**
+ * Describe a creativity value (0-1) as an instruction
+ * @param {number} creativity - Creativity setting
+ * @returns {string}
+ */
+function _creativityGuidance(creativity) {
+  if (creativity < 0.34) {
+    return 'Stick to established facts and conventional approaches.';
+  }
+  if (creativity < 0.67) {
+    return 'Balance reliable answers with some original ideas.';
+  }
+  return 'Feel free to be imaginative and suggest unconventional ideas.';
+}
+
+/**
+ * Fill in schema defaults for personality settings missing from config.yaml
+ * @param {Object} [personality] - personality block from config.yaml
+ * @returns {{tone: string, verbosity: string, creativity: number}}
+ */
+function _personalityWithDefaults(personality = {}) {
+  const defaults = Object.fromEntries(
+    Object.entries(CONFIG_SCHEMA.properties.personality.properties).map(([key, field]) => [key, field.default])
+  );
+  return { ...defaults, ...personality };
+}
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Build the system prompt text from persona files and config
+ * @param {Object} parts - { identity, soul, personality }
+ * @returns {string}
+ */
+function buildSystemPrompt({ identity, soul, personality }) {
+  const { tone, verbosity, creativity } = _personalityWithDefaults(personality);
+  const style = [
+    TONE_GUIDANCE[tone] || `Tone: ${tone}.`,
+    VERBOSITY_GUIDANCE[verbosity] || `Verbosity: ${verbosity}.`,
+    _creativityGuidance(Number(creativity))
+  ];
+
+  return [
+    identity && identity.trim(),
+    soul && soul.trim(),
+    `## Style\n${style.map(line => `- ${line}`).join('\n')}`
+  ].filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Map modelSettings to request parameters for an API format
+ * @param {Object} [modelSettings] - modelSettings block from config.yaml
+ * @param {string} format - openai or anthropic
+ * @returns {{params: Object, warnings: Array<string>}}
+ */
+function mapModelSettings(modelSettings = {}, format) {
+  const params = {};
+  const warnings = [];
+  Object.entries(modelSettings).forEach(([key, value]) => {
+    const param = PARAMETER_MAP[key]?.[format];
+    if (!param) {
+      warnings.push(`modelSettings.${key} has no ${format} equivalent and was left out`);
+      return;
+    }
+    params[param] = param === 'stop_sequences' && !Array.isArray(value) ? [value] : value;
+  });
+
+  // Anthropic accepts temperatures from 0 to 1 only
+  if (format === 'anthropic' && params.temperature > 1) {
+    warnings.push(`temperature ${params.temperature} is above Anthropic's maximum of 1; using 1`);
+    params.temperature = 1;
+  }
+  // ...and requires max_tokens
+  if (format === 'anthropic' && params.max_tokens === undefined) {
+    params.max_tokens = CONFIG_SCHEMA.properties.modelSettings.properties.maxTokens.default;
+    warnings.push(`modelSettings.maxTokens is not set; using ${params.max_tokens}`);
+  }
+  return { params, warnings };
+}
+
+/**
+ * Strip the "provider/" prefix from a model id
+ * @param {string} model - Model id
+ * @returns {string}
+ */
+function _apiModelName(model) {
+  return model.includes('/') ? model.split('/').slice(1).join('/') : model;
+}
+
+/**
+ * Render a persona's system prompt in the given format
+ * @param {string} name - Persona name
+ * @param {Object} [options] - { format: 'text' | 'openai' | 'anthropic' }
+ * @returns {{success: boolean, format?: string, prompt?: string, output?: string|Object, tokens?: number, warnings?: Array<string>, error?: string}}
+ *   output is the prompt text for "text", otherwise the request body; tokens estimates the system prompt
+ */
+function renderPrompt(name, options = {}) {
+  const format = options.format || 'text';
+  if (!FORMATS.includes(format)) {
+    return { success: false, error: `Unknown format "${format}". Supported: ${FORMATS.join(', ')}` };
+  }
+
+  const persona = registry.get(name);
+  if (!persona) {
+    return { success: false, error: `Persona "${name}" not found` };
+  }
+
+  let config;
+  try {
+    config = readConfig(persona.path);
+  } catch (error) {
+    return { success: false, error: `Could not read config.yaml: ${error.message}` };
+  }
+
+  const read = file => {
+    const fullPath = path.join(persona.path, file);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+  };
+  const identity = read('IDENTITY.md');
+  const soul = read('SOUL.md');
+  const warnings = [];
+  if (!identity) {
+    warnings.push('IDENTITY.md is missing');
+  }
+  if (!soul) {
+    warnings.push('SOUL.md is missing');
+  }
+
+  const prompt = buildSystemPrompt({ identity, soul, personality: config.personality });
+  const tokens = estimateTokens(prompt);
+
+  if (format === 'text') {
+    return { success: true, format, prompt, output: prompt, tokens, warnings };
+  }
+
+  const mapped = mapModelSettings(config.modelSettings, format);
+  warnings.push(...mapped.warnings);
+  const model = _apiModelName(config.defaultModel || '');
+  const output = format === 'openai'
+    ? { model, messages: [{ role: 'system', content: prompt }], ...mapped.params }
+    : { model, system: prompt, messages: [], ...mapped.params };
+
+  return { success: true, format, prompt, output, tokens, warnings };
+}
+
+module.exports = {
+  renderPrompt,
+  buildSystemPrompt,
+  mapModelSettings,
+  estimateTokens,
+  FORMATS
+};
@@ -1,132 +1,254 @@
 /**
  * Repository Initializer
- * Handles git initialization and GitHub repo creation
+ * Handles git initialization and remote repo creation through a repo provider
  */
 
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
 const path = require('path');
 const registry = require('./persona-registry.cjs');
+const hooks = require('./hooks.cjs');
+const { getProvider, normalizeProviderConfig, CHILD_STDIO } = require('./repo-providers.cjs');
+const { getSetting, isSettingExplicit, personaNameFromRepo } = require('./settings.cjs');
+const { report } = require('./progress.cjs');
 
 /**
- * Initializes git repo and creates GitHub repo under the organization
+ * Build the provider context for a persona repo
+ * @param {string} localPath - Local path to the persona directory
+ * @param {string} repoName - Repository name
+ * @param {string} orgName - Organization/owner name
+ * @param {Object|string} [providerConfig] - { type, ...settings } or provider type
+ * @returns {{provider: Object, ctx: Object, type: string}}
+ */
+function _providerContext(localPath, repoName, orgName, providerConfig) {
+  const { type, settings } = normalizeProviderConfig(providerConfig);
+  return {
+    type,
+    provider: getProvider(type),
+    ctx: { localPath, repoName, owner: orgName, visibility: settings.visibility || getSetting('visibility'), settings }
+  };
+}
+
+/**
+ * Git commands that set the commit author from settings
+ * @returns {Array<{command: string, args: Array<string>, when?: string, always: boolean}>}
+ *   command is for display; args are what git runs
+ */
+function _authorCommands() {
+  const always = isSettingExplicit('gitAuthorName') || isSettingExplicit('gitAuthorEmail');
+  const when = always ? undefined : 'if user.name is not set';
+  return [['user.name', getSetting('gitAuthorName')], ['user.email', getSetting('gitAuthorEmail')]]
+    .map(([key, value]) => ({
+      command: `git config ${key} ${JSON.stringify(value)}`,
+      args: ['config', key, value],
+      when,
+      always
+    }));
+}
+
+/**
+ * Describes what initializeRepo() will do, without running anything
  * @param {string} localPath - Local path to the persona directory
  * @param {string} repoName - Repository name (e.g., goc-persona-green-open)
- * @param {string} orgName - GitHub organization name
- * @returns {Promise<{success: boolean, repo: string}>}
+ * @param {string} orgName - Organization/owner name
+ * @param {Object|string} [providerConfig] - { type, ...settings } or provider type (default: github)
+ * @returns {{commands: Array<{command: string, cwd: string, when?: string}>, remote: Object}}
  */
-async function initializeRepo(localPath, repoName, orgName = 'greenclawdbot') {
-  const cwd = process.cwd();
-  let repoUrl = null;
+function planRepo(localPath, repoName, orgName = getSetting('githubOrg'), providerConfig) {
+  const { type, provider, ctx } = _providerContext(localPath, repoName, orgName, providerConfig);
+  const step = (command, when) => ({ command, cwd: localPath, ...(when && { when }) });
+  const { repo, url } = provider.describe(ctx);
   
-  // Extract persona name from repo name (e.g., "goc-persona-green-open" -> "green-open")
-  const personaName = repoName.replace(/^goc-persona-/, '');
+  return {
+    commands: [
+      step('git init', 'if not already a git repo'),
+      step('git branch -M main', 'if not already a git repo'),
+      ..._authorCommands().map(({ command, when }) => step(command, when)),
+      step('git add .'),
+      step('git commit -m "Initial commit: scaffold persona"'),
+      ...provider.planCreate(ctx).map(({ command, when }) => step(command, when))
+    ],
+    remote: {
+      provider: type,
+      repo,
+      url,
+      visibility: ctx.visibility
+    }
+  };
+}
+
+/**
+ * Initializes the local git repo and makes the initial commit
+ * @param {string} localPath - Local path to the persona directory
+ * @param {string} [message] - Commit message
+ * @param {Object} [options] - { files } commits only these paths (relative to localPath) instead of everything
+ * @returns {{success: boolean, created?: boolean, error?: string}} created is true if .git was made here
+ */
+function initLocalRepo(localPath, message = 'Initial commit: scaffold persona', { files } = {}) {
+  const opts = { cwd: localPath, stdio: CHILD_STDIO };
+  let created = false;
   
   try {
-    // Change to persona directory
-    process.chdir(localPath);
-    
     // Initialize git if not already initialized
     try {
-      execSync('git rev-parse --git-dir', { stdio: 'ignore' });
-      console.log('Git repo already initialized');
+      execFileSync('git', ['rev-parse', '--git-dir'], { cwd: localPath, stdio: 'ignore' });
+      report('Git repo already initialized');
     } catch {
-      execSync('git init', { stdio: 'inherit' });
-      execSync('git branch -M main', { stdio: 'inherit' });
-      console.log('Git initialized');
+      execFileSync('git', ['init'], opts);
+      execFileSync('git', ['branch', '-M', 'main'], opts);
+      created = true;
+      report('Git initialized');
     }
     
-    // Configure git user if not set
+    // Configure git author: always when configured in settings, otherwise only if git has none
+    let hasUser = true;
     try {
-      execSync('git config user.name', { stdio: 'ignore' });
+      execFileSync('git', ['config', 'user.name'], { cwd: localPath, stdio: 'ignore' });
     } catch {
-      execSync('git config user.name "Clawdbot"', { stdio: 'inherit' });
-      execSync('git config user.email "bot@greenclaw.dev"', { stdio: 'inherit' });
+      hasUser = false;
     }
+    _authorCommands()
+      .filter(({ always }) => always || !hasUser)
+      .forEach(({ args }) => execFileSync('git', args, opts));
     
-    // Stage all files
-    execSync('git add .', { stdio: 'inherit' });
+    // Stage all files, or only the given ones so unrelated work in the folder stays uncommitted
+    if (files && files.length === 0) {
+      return { success: true, created };
+    }
+    execFileSync('git', files ? ['add', '--', ...files] : ['add', '.'], opts);
     
     // Create initial commit
     try {
-      execSync('git commit -m "Initial commit: scaffold persona"', { stdio: 'inherit' });
+      execFileSync('git', ['commit', '-m', message, ...(files ? ['--', ...files] : [])], opts);
     } catch {
-      console.log('No changes to commit');
-    }
-    
-    // Create GitHub repo using gh CLI or direct API
-    const githubRepo = `${orgName}/${repoName}`;
-    console.log(`Creating GitHub repo: ${githubRepo}`);
-    
-    try {
-      // Try using gh CLI first
-      execSync(`gh repo create ${githubRepo} --public --source=. --push`, { 
-        stdio: 'inherit',
-        timeout: 30000
-      });
-      repoUrl = `https://github.com/${githubRepo}`;
-    } catch (ghError) {
-      // Fallback: create remote and push manually
-      console.log('Using alternative method for repo creation...');
-      
-      // Add remote
-      try {
-        execSync('git remote get-url origin', { stdio: 'ignore' });
-      } catch {
-        const remoteUrl = `https://github.com/${githubRepo}.git`;
-        execSync(`git remote add origin ${remoteUrl}`, { stdio: 'inherit' });
-        repoUrl = `https://github.com/${githubRepo}`;
-      }
-      
-      // Push to GitHub
-      execSync('git push -u origin main', { stdio: 'inherit', timeout: 30000 });
+      report('No changes to commit');
     }
     
-    // Auto-register the persona after successful GitHub push
-    console.log('Auto-registering persona...');
-    registry.register(personaName, githubRepo, localPath);
-    console.log(`✓ Persona "${personaName}" registered in persona registry`);
-    
-    // Return to original directory
-    process.chdir(cwd);
-    
-    return { success: true, repo: githubRepo };
-    
+    return { success: true, created };
   } catch (error) {
-    process.chdir(cwd);
-    console.error(`Failed to initialize repo for ${repoName}:`, error.message);
-    return { success: false, error: error.message };
+    report(`Failed to initialize git in ${localPath}: ${error.message}`, 'error');
+    return { success: false, created, error: error.message };
+  }
+}
+
+/**
+ * Creates the remote repo through the persona's provider and pushes to it
+ * @param {string} localPath - Local path to the persona directory
+ * @param {string} repoName - Repository name (e.g., goc-persona-green-open)
+ * @param {string} orgName - Organization/owner name
+ * @param {Object|string} [providerConfig] - { type, ...settings } or provider type (default: github)
+ * @returns {Promise<{success: boolean, repo: string, url: string, created?: boolean, remoteAdded?: boolean, error?: string}>}
+ *   created is true if the remote repo was created here; remoteAdded if the origin was added here
+ */
+async function createRemoteRepo(localPath, repoName, orgName = getSetting('githubOrg'), providerConfig) {
+  const { provider, ctx } = _providerContext(localPath, repoName, orgName, providerConfig);
+  const result = await provider.create(ctx);
+  if (!result.success) {
+    report(`Failed to create remote repo ${result.repo}: ${result.error}`, 'error');
+  }
+  return result;
+}
+
+/**
+ * Deletes a remote repo through the persona's provider
+ * @param {string} repoName - Repository name
+ * @param {string} orgName - Organization/owner name
+ * @param {Object|string} [providerConfig] - { type, ...settings } or provider type (default: github)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteRemoteRepo(repoName, orgName = getSetting('githubOrg'), providerConfig) {
+  const { provider, ctx } = _providerContext(null, repoName, orgName, providerConfig);
+  return provider.remove(ctx);
+}
+
+/**
+ * Archives (makes read-only) a remote repo through the persona's provider
+ * @param {string} repoName - Repository name
+ * @param {string} orgName - Organization/owner name
+ * @param {Object|string} [providerConfig] - { type, ...settings } or provider type (default: github)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function archiveRemoteRepo(repoName, orgName = getSetting('githubOrg'), providerConfig) {
+  const { provider, ctx } = _providerContext(null, repoName, orgName, providerConfig);
+  return provider.archive(ctx);
+}
+
+/**
+ * Renames a remote repo through the persona's provider
+ * @param {string} repoName - Current repository name
+ * @param {string} newRepoName - New repository name
+ * @param {string} orgName - Organization/owner name
+ * @param {Object|string} [providerConfig] - { type, ...settings } or provider type (default: github)
+ * @returns {Promise<{success: boolean, repo: string, url: string, cloneUrl: string, error?: string}>}
+ */
+async function renameRemoteRepo(repoName, newRepoName, orgName = getSetting('githubOrg'), providerConfig) {
+  const { provider, ctx } = _providerContext(null, repoName, orgName, providerConfig);
+  const result = await provider.rename(ctx, newRepoName);
+  if (!result.success) {
+    report(`Failed to rename remote repo to ${result.repo}: ${result.error}`, 'error');
+  }
+  return result;
+}
+
+/**
+ * Initializes git repo and creates the remote repo under the organization
+ * @param {string} localPath - Local path to the persona directory
+ * @param {string} repoName - Repository name (e.g., goc-persona-green-open)
+ * @param {string} orgName - Organization/owner name
+ * @param {Object|string} [providerConfig] - { type, ...settings } or provider type (default: github)
+ * @returns {Promise<{success: boolean, repo: string, url: string}>}
+ */
+async function initializeRepo(localPath, repoName, orgName = getSetting('githubOrg'), providerConfig) {
+  const local = initLocalRepo(localPath);
+  if (!local.success) {
+    return { success: false, error: local.error };
   }
+  
+  const remote = await createRemoteRepo(localPath, repoName, orgName, providerConfig);
+  if (!remote.success) {
+    return { success: false, error: remote.error };
+  }
+  
+  return { success: true, repo: remote.repo, url: remote.url };
 }
 
 /**
  * Register an existing persona that was pushed to GitHub manually
  * @param {string} localPath - Local path to the persona directory
  * @param {string} repoName - Repository name (e.g., goc-persona-green-open)
- * @param {string} orgName - GitHub organization name
+ * @param {string} orgName - Organization/owner name
  * @returns {Promise<{success: boolean, repo: string}>}
  */
-async function registerExistingRepo(localPath, repoName, orgName = 'greenclawdbot') {
+async function registerExistingRepo(localPath, repoName, orgName = getSetting('githubOrg')) {
   const githubRepo = `${orgName}/${repoName}`;
   
   // Extract persona name from repo name (e.g., "goc-persona-green-open" -> "green-open")
-  const personaName = repoName.replace(/^goc-persona-/, '');
+  const personaName = personaNameFromRepo(repoName);
   
-  console.log(`Registering existing persona: ${personaName}`);
-  console.log(`Path: ${localPath}`);
-  console.log(`Repo: ${githubRepo}`);
+  report(`Registering existing persona: ${personaName}`);
+  report(`Path: ${localPath}`);
+  report(`Repo: ${githubRepo}`);
   
   // Verify the path exists
   if (!require('fs').existsSync(localPath)) {
-    console.error(`Persona path does not exist: ${localPath}`);
+    report(`Persona path does not exist: ${localPath}`, 'error');
     return { success: false, error: 'Path does not exist' };
   }
   
-  // Register in the persona registry
-  registry.register(personaName, githubRepo, localPath);
+  // Register in the persona registry; the folder's own hooks don't run while it is brought in
+  hooks.withoutPersonaHooks(() => registry.register(personaName, githubRepo, localPath));
   
-  console.log(`✓ Persona "${personaName}" registered successfully!`);
+  report(`✓ Persona "${personaName}" registered successfully!`);
   
   return { success: true, repo: githubRepo };
 }
 
-module.exports = { initializeRepo, registerExistingRepo };
+module.exports = {
+  initializeRepo,
+  initLocalRepo,
+  createRemoteRepo,
+  deleteRemoteRepo,
+  archiveRemoteRepo,
+  renameRemoteRepo,
+  registerExistingRepo,
+  planRepo
+};
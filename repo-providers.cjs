@@ -0,0 +1,441 @@
+/**
+ * Repository Providers
+ * Creates and deletes the remote repository behind a persona
+ *
+ * Every provider implements the same interface:
+ * - describe(ctx): { repo, url, cloneUrl } for display and planning
+ * - planCreate(ctx): Array<{command, when?}> of what create() will run
+ * - create(ctx): Promise<{success, repo, url, created, remoteAdded, error?}>
+ * - remove(ctx): Promise<{success, error?}>
+ * - rename(ctx, newRepoName): Promise<{success, repo, url, cloneUrl, error?}>
+ * - archive(ctx): Promise<{success, error?}> makes the repo read-only
+ *
+ * ctx is { localPath, repoName, owner, visibility, settings } where settings
+ * holds provider-specific options (baseUrl, tokenEnv, path) stored per persona.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { report } = require('./progress.cjs');
+
+const DEFAULT_PROVIDER = 'github';
+const DEFAULT_LOCAL_REMOTES_DIR = path.join(process.env.HOME || process.env.USERPROFILE, '.clawdbot', 'remotes');
+
+// Show git/gh output on stderr, so stdout stays free for command results (--json)
+const CHILD_STDIO = ['inherit', 2, 'inherit'];
+
+/**
+ * Add origin (if missing) and push main
+ * @param {string} localPath - Local path to the persona directory
+ * @param {string} cloneUrl - URL or path to push to
+ * @returns {{remoteAdded: boolean}}
+ */
+function _addOriginAndPush(localPath, cloneUrl) {
+  let remoteAdded = false;
+  try {
+    execFileSync('git', ['remote', 'get-url', 'origin'], { cwd: localPath, stdio: 'ignore' });
+  } catch {
+    execFileSync('git', ['remote', 'add', 'origin', cloneUrl], { cwd: localPath, stdio: CHILD_STDIO });
+    remoteAdded = true;
+  }
+  try {
+    execFileSync('git', ['push', '-u', 'origin', 'main'], { cwd: localPath, stdio: CHILD_STDIO, timeout: 30000 });
+  } catch (error) {
+    error.remoteAdded = remoteAdded;
+    throw error;
+  }
+  return { remoteAdded };
+}
+
+/**
+ * Read the API token for an HTTP provider
+ * @param {Object} settings - Provider settings
+ * @param {string} defaultEnv - Default environment variable name
+ * @returns {string}
+ */
+function _getToken(settings, defaultEnv) {
+  const envName = settings.tokenEnv || defaultEnv;
+  const token = process.env[envName];
+  if (!token) {
+    throw new Error(`API token not set: export ${envName}`);
+  }
+  return token;
+}
+
+/**
+ * Make a JSON request to a provider API
+ * @param {string} url - Request URL
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<Object|null>} Parsed JSON response (null for empty bodies)
+ * @throws {Error} On a non-2xx response, with the HTTP status in error.status
+ */
+async function _request(url, { method = 'GET', headers = {}, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(30000)
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    const error = new Error(`${method} ${url} failed: ${response.status} ${text.slice(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  }
+  return text ? JSON.parse(text) : null;
+}
+
+const github = {
+  describe({ repoName, owner }) {
+    const repo = `${owner}/${repoName}`;
+    return { repo, url: `https://github.com/${repo}`, cloneUrl: `https://github.com/${repo}.git` };
+  },
+
+  planCreate(ctx) {
+    const { repo, cloneUrl } = github.describe(ctx);
+    return [
+      { command: `gh repo create ${repo} --${ctx.visibility} --source=. --push` },
+      { command: `git remote add origin ${cloneUrl}`, when: 'if gh fails and origin is not set' },
+      { command: 'git push -u origin main', when: 'if gh fails' }
+    ];
+  },
+
+  async create(ctx) {
+    const { repo, url, cloneUrl } = github.describe(ctx);
+    report(`Creating GitHub repo: ${repo}`);
+
+    try {
+      // Try using gh CLI first
+      execFileSync('gh', ['repo', 'create', repo, `--${ctx.visibility}`, '--source=.', '--push'], {
+        cwd: ctx.localPath,
+        stdio: CHILD_STDIO,
+        timeout: 30000
+      });
+      return { success: true, repo, url, created: true, remoteAdded: false };
+    } catch {
+      // Fallback: create remote and push manually
+      report('Using alternative method for repo creation...');
+    }
+
+    try {
+      const { remoteAdded } = _addOriginAndPush(ctx.localPath, cloneUrl);
+      return { success: true, repo, url, created: false, remoteAdded };
+    } catch (error) {
+      return { success: false, repo, url, created: false, remoteAdded: Boolean(error.remoteAdded), error: error.message };
+    }
+  },
+
+  async remove(ctx) {
+    const { repo } = github.describe(ctx);
+    try {
+      execFileSync('gh', ['repo', 'delete', repo, '--yes'], { stdio: CHILD_STDIO, timeout: 30000 });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async rename(ctx, newRepoName) {
+    const { repo } = github.describe(ctx);
+    const renamed = github.describe({ ...ctx, repoName: newRepoName });
+    try {
+      execFileSync('gh', ['repo', 'rename', newRepoName, '--repo', repo, '--yes'], { stdio: CHILD_STDIO, timeout: 30000 });
+      return { success: true, ...renamed };
+    } catch (error) {
+      return { success: false, ...renamed, error: error.message };
+    }
+  },
+
+  async archive(ctx) {
+    const { repo } = github.describe(ctx);
+    try {
+      execFileSync('gh', ['repo', 'archive', repo, '--yes'], { stdio: CHILD_STDIO, timeout: 30000 });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+const gitlab = {
+  describe({ repoName, owner, settings }) {
+    const baseUrl = (settings.baseUrl || 'https://gitlab.com').replace(/\/$/, '');
+    const repo = `${owner}/${repoName}`;
+    return { repo, url: `${baseUrl}/${repo}`, cloneUrl: `${baseUrl}/${repo}.git`, baseUrl };
+  },
+
+  planCreate(ctx) {
+    const { baseUrl, cloneUrl } = gitlab.describe(ctx);
+    return [
+      { command: `GET ${baseUrl}/api/v4/namespaces/${encodeURIComponent(ctx.owner)}` },
+      { command: `POST ${baseUrl}/api/v4/projects (path=${ctx.repoName}, visibility=${ctx.visibility})` },
+      { command: `git remote add origin ${cloneUrl}`, when: 'if origin is not set' },
+      { command: 'git push -u origin main' }
+    ];
+  },
+
+  async create(ctx) {
+    const { repo, url, baseUrl } = gitlab.describe(ctx);
+    report(`Creating GitLab project: ${repo} (${baseUrl})`);
+    let created = false;
+
+    try {
+      const headers = { 'PRIVATE-TOKEN': _getToken(ctx.settings, 'GITLAB_TOKEN') };
+      const namespace = await _request(`${baseUrl}/api/v4/namespaces/${encodeURIComponent(ctx.owner)}`, { headers });
+      const project = await _request(`${baseUrl}/api/v4/projects`, {
+        method: 'POST',
+        headers,
+        body: { name: ctx.repoName, path: ctx.repoName, namespace_id: namespace.id, visibility: ctx.visibility }
+      });
+      created = true;
+      const { remoteAdded } = _addOriginAndPush(ctx.localPath, project.http_url_to_repo);
+      return { success: true, repo, url: project.web_url || url, created, remoteAdded };
+    } catch (error) {
+      return { success: false, repo, url, created, remoteAdded: Boolean(error.remoteAdded), error: error.message };
+    }
+  },
+
+  async remove(ctx) {
+    const { repo, baseUrl } = gitlab.describe(ctx);
+    try {
+      const headers = { 'PRIVATE-TOKEN': _getToken(ctx.settings, 'GITLAB_TOKEN') };
+      await _request(`${baseUrl}/api/v4/projects/${encodeURIComponent(repo)}`, { method: 'DELETE', headers });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async rename(ctx, newRepoName) {
+    const { repo, baseUrl } = gitlab.describe(ctx);
+    const renamed = gitlab.describe({ ...ctx, repoName: newRepoName });
+    try {
+      const headers = { 'PRIVATE-TOKEN': _getToken(ctx.settings, 'GITLAB_TOKEN') };
+      const project = await _request(`${baseUrl}/api/v4/projects/${encodeURIComponent(repo)}`, {
+        method: 'PUT',
+        headers,
+        body: { name: newRepoName, path: newRepoName }
+      });
+      return { success: true, ...renamed, url: project?.web_url || renamed.url, cloneUrl: project?.http_url_to_repo || renamed.cloneUrl };
+    } catch (error) {
+      return { success: false, ...renamed, error: error.message };
+    }
+  },
+
+  async archive(ctx) {
+    const { repo, baseUrl } = gitlab.describe(ctx);
+    try {
+      const headers = { 'PRIVATE-TOKEN': _getToken(ctx.settings, 'GITLAB_TOKEN') };
+      await _request(`${baseUrl}/api/v4/projects/${encodeURIComponent(repo)}/archive`, { method: 'POST', headers });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+const gitea = {
+  describe({ repoName, owner, settings }) {
+    const baseUrl = (settings.baseUrl || 'https://gitea.com').replace(/\/$/, '');
+    const repo = `${owner}/${repoName}`;
+    return { repo, url: `${baseUrl}/${repo}`, cloneUrl: `${baseUrl}/${repo}.git`, baseUrl };
+  },
+
+  planCreate(ctx) {
+    const { baseUrl, cloneUrl } = gitea.describe(ctx);
+    const body = `(name=${ctx.repoName}, private=${ctx.visibility !== 'public'})`;
+    return [
+      { command: `GET ${baseUrl}/api/v1/user` },
+      { command: `POST ${baseUrl}/api/v1/user/repos ${body}`, when: `if ${ctx.owner} is the token's user` },
+      { command: `POST ${baseUrl}/api/v1/orgs/${ctx.owner}/repos ${body}`, when: `if ${ctx.owner} is an organization` },
+      { command: `git remote add origin ${cloneUrl}`, when: 'if origin is not set' },
+      { command: 'git push -u origin main' }
+    ];
+  },
+
+  async create(ctx) {
+    const { repo, url, baseUrl } = gitea.describe(ctx);
+    report(`Creating Gitea repo: ${repo} (${baseUrl})`);
+    let created = false;
+
+    try {
+      const headers = { Authorization: `token ${_getToken(ctx.settings, 'GITEA_TOKEN')}` };
+      const request = { method: 'POST', headers, body: { name: ctx.repoName, private: ctx.visibility !== 'public' } };
+      // A token without read:user scope can't look itself up; then a 404 from the org endpoint decides
+      const login = await _request(`${baseUrl}/api/v1/user`, { headers }).then(user => user?.login, () => null);
+      let giteaRepo;
+      if (login && login.toLowerCase() === ctx.owner.toLowerCase()) {
+        giteaRepo = await _request(`${baseUrl}/api/v1/user/repos`, request);
+      } else {
+        try {
+          giteaRepo = await _request(`${baseUrl}/api/v1/orgs/${encodeURIComponent(ctx.owner)}/repos`, request);
+        } catch (error) {
+          if (error.status !== 404) {
+            throw error;
+          }
+          if (login) {
+            throw new Error(`Gitea owner "${ctx.owner}" is not an organization, and the token belongs to "${login}"`);
+          }
+          giteaRepo = await _request(`${baseUrl}/api/v1/user/repos`, request);
+        }
+      }
+      created = true;
+      const { remoteAdded } = _addOriginAndPush(ctx.localPath, giteaRepo.clone_url);
+      return { success: true, repo, url: giteaRepo.html_url || url, created, remoteAdded };
+    } catch (error) {
+      return { success: false, repo, url, created, remoteAdded: Boolean(error.remoteAdded), error: error.message };
+    }
+  },
+
+  async remove(ctx) {
+    const { repo, baseUrl } = gitea.describe(ctx);
+    try {
+      const headers = { Authorization: `token ${_getToken(ctx.settings, 'GITEA_TOKEN')}` };
+      await _request(`${baseUrl}/api/v1/repos/${repo}`, { method: 'DELETE', headers });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async rename(ctx, newRepoName) {
+    const { repo, baseUrl } = gitea.describe(ctx);
+    const renamed = gitea.describe({ ...ctx, repoName: newRepoName });
+    try {
+      const headers = { Authorization: `token ${_getToken(ctx.settings, 'GITEA_TOKEN')}` };
+      const giteaRepo = await _request(`${baseUrl}/api/v1/repos/${repo}`, {
+        method: 'PATCH',
+        headers,
+        body: { name: newRepoName }
+      });
+      return { success: true, ...renamed, url: giteaRepo?.html_url || renamed.url, cloneUrl: giteaRepo?.clone_url || renamed.cloneUrl };
+    } catch (error) {
+      return { success: false, ...renamed, error: error.message };
+    }
+  },
+
+  async archive(ctx) {
+    const { repo, baseUrl } = gitea.describe(ctx);
+    try {
+      const headers = { Authorization: `token ${_getToken(ctx.settings, 'GITEA_TOKEN')}` };
+      await _request(`${baseUrl}/api/v1/repos/${repo}`, { method: 'PATCH', headers, body: { archived: true } });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+const local = {
+  describe({ repoName, owner, settings }) {
+    const baseDir = settings.path || DEFAULT_LOCAL_REMOTES_DIR;
+    const bareRepo = path.join(baseDir, owner, `${repoName}.git`);
+    return { repo: `${owner}/${repoName}`, url: bareRepo, cloneUrl: bareRepo };
+  },
+
+  planCreate(ctx) {
+    const { cloneUrl } = local.describe(ctx);
+    return [
+      { command: `git init --bare ${cloneUrl}`, when: 'if it does not exist' },
+      { command: 'git symbolic-ref HEAD refs/heads/main', when: 'if it does not exist' },
+      { command: `git remote add origin ${cloneUrl}`, when: 'if origin is not set' },
+      { command: 'git push -u origin main' }
+    ];
+  },
+
+  async create(ctx) {
+    const { repo, url, cloneUrl } = local.describe(ctx);
+    report(`Creating local bare repo: ${cloneUrl}`);
+    let created = false;
+
+    try {
+      if (!fs.existsSync(cloneUrl)) {
+        fs.mkdirSync(cloneUrl, { recursive: true });
+        created = true;
+        execFileSync('git', ['init', '--bare'], { cwd: cloneUrl, stdio: 'ignore' });
+        execFileSync('git', ['symbolic-ref', 'HEAD', 'refs/heads/main'], { cwd: cloneUrl, stdio: 'ignore' });
+      }
+      const { remoteAdded } = _addOriginAndPush(ctx.localPath, cloneUrl);
+      return { success: true, repo, url, created, remoteAdded };
+    } catch (error) {
+      return { success: false, repo, url, created, remoteAdded: Boolean(error.remoteAdded), error: error.message };
+    }
+  },
+
+  async remove(ctx) {
+    const { cloneUrl } = local.describe(ctx);
+    fs.rmSync(cloneUrl, { recursive: true, force: true });
+    return { success: true };
+  },
+
+  async rename(ctx, newRepoName) {
+    const { cloneUrl } = local.describe(ctx);
+    const renamed = local.describe({ ...ctx, repoName: newRepoName });
+    try {
+      if (fs.existsSync(renamed.cloneUrl)) {
+        throw new Error(`${renamed.cloneUrl} already exists`);
+      }
+      fs.renameSync(cloneUrl, renamed.cloneUrl);
+      return { success: true, ...renamed };
+    } catch (error) {
+      return { success: false, ...renamed, error: error.message };
+    }
+  },
+
+  async archive(ctx) {
+    // Bare repos have no archived state; a pre-receive hook makes them read-only
+    const { cloneUrl } = local.describe(ctx);
+    try {
+      fs.mkdirSync(path.join(cloneUrl, 'hooks'), { recursive: true });
+      fs.writeFileSync(
+        path.join(cloneUrl, 'hooks', 'pre-receive'),
+        '#!/bin/sh\necho "This persona repo is archived (read-only)." >&2\nexit 1\n',
+        { mode: 0o755 }
+      );
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+const PROVIDERS = { github, gitlab, gitea, local };
+
+/**
+ * Get a provider implementation by type
+ * @param {string} type - Provider type (github, gitlab, gitea, local)
+ * @returns {Object} Provider implementation
+ */
+function getProvider(type = DEFAULT_PROVIDER) {
+  const provider = PROVIDERS[type];
+  if (!provider) {
+    throw new Error(`Unknown repo provider "${type}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Normalize a stored provider config ({ type, ...settings }) into type and settings
+ * @param {Object|string} [providerConfig] - Provider config from the registry or CLI
+ * @returns {{type: string, settings: Object}}
+ */
+function normalizeProviderConfig(providerConfig) {
+  if (!providerConfig) {
+    return { type: DEFAULT_PROVIDER, settings: {} };
+  }
+  if (typeof providerConfig === 'string') {
+    return { type: providerConfig, settings: {} };
+  }
+  const { type = DEFAULT_PROVIDER, ...settings } = providerConfig;
+  return { type, settings };
+}
+
+module.exports = {
+  getProvider,
+  normalizeProviderConfig,
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  DEFAULT_LOCAL_REMOTES_DIR,
+  CHILD_STDIO
+};
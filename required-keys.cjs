@@ -0,0 +1,87 @@
+/**
+ * Required Keys
+ * Works out which keys a persona needs from its config.yaml
+ *
+ * A persona needs:
+ * - the key for the provider of its defaultModel ("openai/gpt-4o" -> openai)
+ * - every key declared by its skills (skills/<skill>/skill.json "keys")
+ * - discord, if config.yaml has a discord block
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readConfig } = require('./config-schema.cjs');
+
+// Providers for model names given without a "provider/" prefix
+const MODEL_PREFIXES = [
+  { pattern: /^(gpt-|o\d|chatgpt-|text-embedding-|dall-e)/i, provider: 'openai' },
+  { pattern: /^claude-/i, provider: 'anthropic' },
+  { pattern: /^(gemini-|gemma-)/i, provider: 'google' },
+  { pattern: /^(mistral-|mixtral-|codestral-)/i, provider: 'mistral' },
+  { pattern: /^minimax-/i, provider: 'minimax' }
+];
+
+/**
+ * Get the key type for a model's provider
+ * @param {string} model - Model id, e.g. "anthropic/claude-sonnet-4" or "gpt-4o"
+ * @returns {string|null} Key type, or null if the provider can't be told
+ */
+function getModelProvider(model) {
+  if (typeof model !== 'string' || !model) {
+    return null;
+  }
+  if (model.includes('/')) {
+    return model.split('/')[0].toLowerCase();
+  }
+  const match = MODEL_PREFIXES.find(({ pattern }) => pattern.test(model));
+  return match ? match.provider : null;
+}
+
+/**
+ * Read the keys a skill declares in its skill.json manifest
+ * @param {string} personaPath - Local path to persona
+ * @param {string} skill - Skill name
+ * @returns {Array<string>} Declared key types (empty if no manifest)
+ */
+function getSkillKeys(personaPath, skill) {
+  const manifestPath = path.join(personaPath, 'skills', skill, 'skill.json');
+  if (!fs.existsSync(manifestPath)) {
+    return [];
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return Array.isArray(manifest.keys) ? manifest.keys.filter(key => typeof key === 'string') : [];
+}
+
+/**
+ * Work out the keys a persona needs from its config.yaml
+ * @param {string} personaPath - Local path to persona
+ * @returns {Array<{keyType: string, reason: string}>} One entry per key, first reason wins
+ * @throws {Error} If config.yaml is missing or can't be parsed
+ */
+function getRequiredKeys(personaPath) {
+  const config = readConfig(personaPath);
+  const required = new Map();
+  const add = (keyType, reason) => {
+    if (keyType && !required.has(keyType)) {
+      required.set(keyType, reason);
+    }
+  };
+
+  add(getModelProvider(config.defaultModel), `defaultModel ${config.defaultModel}`);
+
+  (Array.isArray(config.skills) ? config.skills : []).forEach(skill => {
+    getSkillKeys(personaPath, String(skill)).forEach(keyType => add(keyType, `skill ${skill}`));
+  });
+
+  if (config.discord) {
+    add('discord', 'discord block in config.yaml');
+  }
+
+  return [...required].map(([keyType, reason]) => ({ keyType, reason }));
+}
+
+module.exports = {
+  getRequiredKeys,
+  getModelProvider,
+  getSkillKeys
+};
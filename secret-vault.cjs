@@ -0,0 +1,299 @@
+/**
+ * Secret Vault
+ * Stores persona API keys encrypted at rest under ~/.clawdbot/vault/<name>.json
+ *
+ * Each secret is sealed with AES-256-GCM. The encryption key is derived with
+ * scrypt from either a passphrase (GOC_PERSONA_PASSPHRASE) or a keyfile
+ * (GOC_PERSONA_KEYFILE, default ~/.clawdbot/vault.key, generated on first use).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { assertSafePersonaName } = require('./settings.cjs');
+const { report } = require('./progress.cjs');
+
+const CLAWDBOT_DIR = path.join(process.env.HOME || process.env.USERPROFILE, '.clawdbot');
+const VAULT_DIR = path.join(CLAWDBOT_DIR, 'vault');
+const DEFAULT_KEYFILE = path.join(CLAWDBOT_DIR, 'vault.key');
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+// Key types are stored as object keys and used in AAD strings (openai, discord, my_service, ...)
+const KEY_TYPE_PATTERN = /^[a-z0-9_-]+$/i;
+
+/**
+ * Check a key type
+ * @param {string} keyType - Key type
+ * @returns {string|null} Why it is invalid, or null if it is fine
+ */
+function checkKeyType(keyType) {
+  if (typeof keyType !== 'string' || !KEY_TYPE_PATTERN.test(keyType)) {
+    return `"${keyType}" is not a valid key type: use letters, digits, dashes and underscores`;
+  }
+  if (Object.hasOwn(Object.prototype, keyType)) {
+    return `"${keyType}" is reserved and can't be used as a key type`;
+  }
+  return null;
+}
+
+/**
+ * Throw if a key type is invalid
+ * @param {string} keyType - Key type
+ * @throws {Error}
+ */
+function _assertKeyType(keyType) {
+  const error = checkKeyType(keyType);
+  if (error) {
+    throw new Error(error);
+  }
+}
+
+/**
+ * Get the secret material used to derive vault keys
+ * @returns {{source: string, material: Buffer}}
+ */
+function _getKeyMaterial() {
+  if (process.env.GOC_PERSONA_PASSPHRASE) {
+    return { source: 'passphrase', material: Buffer.from(process.env.GOC_PERSONA_PASSPHRASE, 'utf8') };
+  }
+
+  const keyfile = process.env.GOC_PERSONA_KEYFILE || DEFAULT_KEYFILE;
+  if (!fs.existsSync(keyfile)) {
+    if (process.env.GOC_PERSONA_KEYFILE) {
+      throw new Error(`Vault keyfile not found: ${keyfile}`);
+    }
+    fs.mkdirSync(path.dirname(keyfile), { recursive: true });
+    fs.writeFileSync(keyfile, crypto.randomBytes(KEY_LENGTH).toString('base64'), { mode: 0o600 });
+    report(`Generated vault keyfile: ${keyfile}`);
+  }
+  return { source: 'keyfile', material: fs.readFileSync(keyfile) };
+}
+
+/**
+ * Derive the encryption key for a vault
+ * @param {string} salt - Base64 salt stored in the vault file
+ * @returns {Buffer}
+ */
+function _deriveKey(salt) {
+  const { material } = _getKeyMaterial();
+  return crypto.scryptSync(material, Buffer.from(salt, 'base64'), KEY_LENGTH);
+}
+
+/**
+ * Get the vault file path for a persona
+ * @param {string} name - Persona name
+ * @returns {string}
+ */
+function getVaultPath(name) {
+  assertSafePersonaName(name);
+  return path.join(VAULT_DIR, `${name}.json`);
+}
+
+/**
+ * Read a persona vault, creating an empty one in memory if missing
+ * @param {string} name - Persona name
+ * @returns {Object} Vault data
+ */
+function _readVault(name) {
+  const vaultPath = getVaultPath(name);
+  if (!fs.existsSync(vaultPath)) {
+    return {
+      version: VAULT_VERSION,
+      kdf: 'scrypt',
+      salt: crypto.randomBytes(16).toString('base64'),
+      secrets: {}
+    };
+  }
+  return JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+}
+
+/**
+ * Write a persona vault with owner-only permissions
+ * @param {string} name - Persona name
+ * @param {Object} vault - Vault data
+ */
+function _writeVault(name, vault) {
+  fs.mkdirSync(VAULT_DIR, { recursive: true, mode: 0o700 });
+  const vaultPath = getVaultPath(name);
+  const tmpPath = `${vaultPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(vault, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, vaultPath);
+}
+
+/**
+ * Encrypt a secret value; persona and key type are bound as associated data
+ * @param {Buffer} key - Derived key
+ * @param {string} aad - Associated data
+ * @param {string} value - Plaintext secret
+ * @returns {{iv: string, tag: string, data: string}}
+ */
+function _seal(key, aad, value) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a sealed secret
+ * @param {Buffer} key - Derived key
+ * @param {string} aad - Associated data
+ * @param {Object} entry - Sealed entry
+ * @returns {string} Plaintext secret
+ */
+function _open(key, aad, entry) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(entry.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(entry.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch {
+    throw new Error('Unable to decrypt secret: wrong passphrase/keyfile or tampered vault');
+  }
+}
+
+/**
+ * Store (or replace) a secret for a persona
+ * @param {string} name - Persona name
+ * @param {string} keyType - Key type (e.g., 'openai', 'discord')
+ * @param {string} value - Secret value
+ * @returns {Object} Stored entry metadata
+ */
+function setSecret(name, keyType, value) {
+  _assertKeyType(keyType);
+  if (!value) {
+    throw new Error(`No value provided for key "${keyType}"`);
+  }
+
+  const vault = _readVault(name);
+  const key = _deriveKey(vault.salt);
+  const existing = Object.hasOwn(vault.secrets, keyType) ? vault.secrets[keyType] : null;
+  const now = new Date().toISOString();
+
+  vault.secrets[keyType] = {
+    ..._seal(key, `${name}:${keyType}`, value),
+    createdAt: existing?.createdAt || now,
+    rotatedAt: existing ? now : null
+  };
+
+  _writeVault(name, vault);
+  return { keyType, createdAt: vault.secrets[keyType].createdAt, rotatedAt: vault.secrets[keyType].rotatedAt };
+}
+
+/**
+ * Read a decrypted secret for a persona
+ * @param {string} name - Persona name
+ * @param {string} keyType - Key type
+ * @returns {string|null} Secret value or null if not stored
+ */
+function getSecret(name, keyType) {
+  _assertKeyType(keyType);
+  const vault = _readVault(name);
+  if (!Object.hasOwn(vault.secrets, keyType)) {
+    return null;
+  }
+  return _open(_deriveKey(vault.salt), `${name}:${keyType}`, vault.secrets[keyType]);
+}
+
+/**
+ * Check whether a secret is stored, without decrypting it
+ * @param {string} name - Persona name
+ * @param {string} keyType - Key type
+ * @returns {boolean}
+ */
+function hasSecret(name, keyType) {
+  _assertKeyType(keyType);
+  return Object.hasOwn(_readVault(name).secrets, keyType);
+}
+
+/**
+ * Remove a secret from a persona vault
+ * @param {string} name - Persona name
+ * @param {string} keyType - Key type
+ * @returns {boolean} True if a secret was removed
+ */
+function removeSecret(name, keyType) {
+  _assertKeyType(keyType);
+  const vault = _readVault(name);
+  if (!Object.hasOwn(vault.secrets, keyType)) {
+    return false;
+  }
+  delete vault.secrets[keyType];
+  _writeVault(name, vault);
+  return true;
+}
+
+/**
+ * List stored key types for a persona
+ * @param {string} name - Persona name
+ * @returns {Array} Array of key types
+ */
+function listSecrets(name) {
+  return Object.keys(_readVault(name).secrets);
+}
+
+/**
+ * Delete a persona's vault and every secret in it
+ * @param {string} name - Persona name
+ * @returns {boolean} True if a vault existed
+ */
+function deleteVault(name) {
+  const vaultPath = getVaultPath(name);
+  if (!fs.existsSync(vaultPath)) {
+    return false;
+  }
+  fs.rmSync(vaultPath);
+  return true;
+}
+
+/**
+ * Move a persona's vault to a new name, re-sealing every secret for the new name
+ * @param {string} oldName - Current persona name
+ * @param {string} newName - New persona name
+ * @returns {number} Number of secrets moved
+ */
+function renameVault(oldName, newName) {
+  const oldPath = getVaultPath(oldName);
+  if (!fs.existsSync(oldPath)) {
+    return 0;
+  }
+  if (fs.existsSync(getVaultPath(newName))) {
+    throw new Error(`A vault already exists for "${newName}"`);
+  }
+
+  const vault = _readVault(oldName);
+  const key = _deriveKey(vault.salt);
+  for (const [keyType, entry] of Object.entries(vault.secrets)) {
+    const value = _open(key, `${oldName}:${keyType}`, entry);
+    vault.secrets[keyType] = { ...entry, ..._seal(key, `${newName}:${keyType}`, value) };
+  }
+
+  _writeVault(newName, vault);
+  fs.rmSync(oldPath);
+  return Object.keys(vault.secrets).length;
+}
+
+module.exports = {
+  setSecret,
+  getSecret,
+  hasSecret,
+  removeSecret,
+  listSecrets,
+  checkKeyType,
+  renameVault,
+  deleteVault,
+  getVaultPath,
+  VAULT_DIR,
+  KEY_TYPE_PATTERN
+};
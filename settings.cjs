@@ -0,0 +1,319 @@
+/**
+ * Skill Settings
+ * Manages ~/.clawdbot/goc-persona.json with environment variable overrides
+ *
+ * Resolution order (last wins): built-in default < settings file < environment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HOME = process.env.HOME || process.env.USERPROFILE;
+const SETTINGS_PATH = process.env.GOC_PERSONA_SETTINGS || path.join(HOME, '.clawdbot', 'goc-persona.json');
+
+// Names for new personas (same rule as toPersonaName); entries registered before the rule keep their names
+const PERSONA_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const SETTINGS_SCHEMA = {
+  personasRoot: {
+    env: 'GOC_PERSONA_ROOT',
+    default: path.join(HOME, 'personas'),
+    description: 'Directory that holds persona folders'
+  },
+  githubOrg: {
+    env: 'GOC_PERSONA_ORG',
+    default: 'greenclawdbot',
+    description: 'Organization (or user) that owns persona repos'
+  },
+  repoPrefix: {
+    env: 'GOC_PERSONA_REPO_PREFIX',
+    default: 'goc-persona-',
+    description: 'Prefix for persona repo names'
+  },
+  visibility: {
+    env: 'GOC_PERSONA_VISIBILITY',
+    default: 'private',
+    enum: ['private', 'public', 'internal'],
+    description: 'Default visibility of new persona repos'
+  },
+  provider: {
+    env: 'GOC_PERSONA_PROVIDER',
+    default: 'github',
+    enum: ['github', 'gitlab', 'gitea', 'local'],
+    description: 'Default repo provider'
+  },
+  defaultModel: {
+    env: 'GOC_PERSONA_DEFAULT_MODEL',
+    default: 'minimax/MiniMax-M2.1',
+    description: 'Default model for new personas'
+  },
+  gitAuthorName: {
+    env: 'GOC_PERSONA_GIT_NAME',
+    default: 'Clawdbot',
+    description: 'Git author name for persona commits'
+  },
+  gitAuthorEmail: {
+    env: 'GOC_PERSONA_GIT_EMAIL',
+    default: 'bot@greenclaw.dev',
+    description: 'Git author email for persona commits'
+  },
+  openaiBaseUrl: {
+    env: 'GOC_PERSONA_OPENAI_URL',
+    default: 'https://api.openai.com',
+    description: 'OpenAI API base URL used by verify-keys'
+  },
+  anthropicBaseUrl: {
+    env: 'GOC_PERSONA_ANTHROPIC_URL',
+    default: 'https://api.anthropic.com',
+    description: 'Anthropic API base URL used by verify-keys'
+  },
+  elevenlabsBaseUrl: {
+    env: 'GOC_PERSONA_ELEVENLABS_URL',
+    default: 'https://api.elevenlabs.io',
+    description: 'ElevenLabs API base URL used by verify-keys'
+  },
+  huggingfaceBaseUrl: {
+    env: 'GOC_PERSONA_HUGGINGFACE_URL',
+    default: 'https://huggingface.co',
+    description: 'Hugging Face API base URL used by verify-keys'
+  },
+  discordBaseUrl: {
+    env: 'GOC_PERSONA_DISCORD_URL',
+    default: 'https://discord.com',
+    description: 'Discord API base URL used by verify-keys'
+  },
+  allowPersonaHooks: {
+    env: 'GOC_PERSONA_ALLOW_HOOKS',
+    default: 'false',
+    enum: ['true', 'false'],
+    description: 'Run hooks from persona hooks/ folders (global hooks always run)'
+  }
+};
+
+/**
+ * Read the settings file
+ * @returns {Object} Stored settings (empty if the file does not exist)
+ */
+function _readSettingsFile() {
+  if (!fs.existsSync(SETTINGS_PATH)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid settings file ${SETTINGS_PATH}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the settings file
+ * @param {Object} data - Settings to store
+ */
+function _writeSettingsFile(data) {
+  fs.mkdirSync(path.dirname(SETTINGS_PATH), { recursive: true });
+  fs.writeFileSync(SETTINGS_PATH, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Expand a leading ~ in path settings
+ * @param {string} key - Setting key
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function _expand(key, value) {
+  if (key === 'personasRoot' && typeof value === 'string' && value.startsWith('~')) {
+    return path.join(HOME, value.slice(1));
+  }
+  return value;
+}
+
+/**
+ * Describe every setting with its effective value and where it came from
+ * @returns {Array<{key: string, value: string, source: string, env: string, description: string}>}
+ */
+function describeSettings() {
+  const stored = _readSettingsFile();
+  return Object.entries(SETTINGS_SCHEMA).map(([key, field]) => {
+    let value = field.default;
+    let source = 'default';
+    if (stored[key] !== undefined) {
+      value = stored[key];
+      source = 'file';
+    }
+    if (process.env[field.env]) {
+      value = process.env[field.env];
+      source = 'env';
+    }
+    return { key, value: _expand(key, value), source, env: field.env, description: field.description };
+  });
+}
+
+/**
+ * Get all effective settings
+ * @returns {Object} Settings keyed by name
+ */
+function getSettings() {
+  return Object.fromEntries(describeSettings().map(({ key, value }) => [key, value]));
+}
+
+/**
+ * Get one effective setting
+ * @param {string} key - Setting name
+ * @returns {string}
+ */
+function getSetting(key) {
+  if (!SETTINGS_SCHEMA[key]) {
+    throw new Error(`Unknown setting "${key}". Available: ${Object.keys(SETTINGS_SCHEMA).join(', ')}`);
+  }
+  return getSettings()[key];
+}
+
+/**
+ * Check whether a setting was set explicitly (file or env) rather than defaulted
+ * @param {string} key - Setting name
+ * @returns {boolean}
+ */
+function isSettingExplicit(key) {
+  return describeSettings().find(setting => setting.key === key).source !== 'default';
+}
+
+/**
+ * Store a setting in the settings file
+ * @param {string} key - Setting name
+ * @param {string} value - New value
+ * @returns {string} Stored value
+ */
+function setSetting(key, value) {
+  const field = SETTINGS_SCHEMA[key];
+  if (!field) {
+    throw new Error(`Unknown setting "${key}". Available: ${Object.keys(SETTINGS_SCHEMA).join(', ')}`);
+  }
+  if (value === undefined || value === '') {
+    throw new Error(`A value is required for "${key}"`);
+  }
+  if (field.enum && !field.enum.includes(value)) {
+    throw new Error(`"${key}" must be one of: ${field.enum.join(', ')}`);
+  }
+
+  const stored = _readSettingsFile();
+  stored[key] = value;
+  _writeSettingsFile(stored);
+  return value;
+}
+
+/**
+ * Remove a setting from the settings file, restoring its default
+ * @param {string} key - Setting name
+ * @returns {boolean} True if the setting was stored
+ */
+function unsetSetting(key) {
+  const stored = _readSettingsFile();
+  if (stored[key] === undefined) {
+    return false;
+  }
+  delete stored[key];
+  _writeSettingsFile(stored);
+  return true;
+}
+
+/**
+ * Check the name of a new persona (create, clone, rename target, import)
+ * @param {string} name - Persona name
+ * @returns {string|null} Why the name is invalid, or null if it is fine
+ */
+function checkPersonaName(name) {
+  if (typeof name !== 'string' || !PERSONA_NAME_PATTERN.test(name)) {
+    return `"${name}" is not a valid persona name: use lowercase letters, digits and dashes, starting with a letter or digit`;
+  }
+  return null;
+}
+
+/**
+ * Check that a persona name can be used as one path segment. Looser than checkPersonaName,
+ * so personas registered under older, freer names can still be used, renamed and deleted.
+ * @param {string} name - Persona name
+ * @returns {string|null} Why the name can't be used, or null if it is fine
+ */
+function checkSafePersonaName(name) {
+  if (typeof name !== 'string' || !name || name === '.' || name === '..' || /[/\\\0]/.test(name)) {
+    return `"${name}" can't be used as a persona name: it must not be empty, "." or "..", or contain slashes`;
+  }
+  return null;
+}
+
+/**
+ * Throw if a persona name can't be used in paths and repo names built from it
+ * @param {string} name - Persona name
+ * @throws {Error}
+ */
+function assertSafePersonaName(name) {
+  const error = checkSafePersonaName(name);
+  if (error) {
+    throw new Error(error);
+  }
+}
+
+/**
+ * Read a --limit option (memory, history, audit)
+ * @param {*} value - Requested limit; undefined or null when none was given
+ * @returns {{limit?: number, error?: string}} limit is undefined when none was given
+ */
+function parseLimit(value) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: `Invalid limit "${value}": expected a positive whole number` };
+  }
+  return { limit };
+}
+
+/**
+ * Get the local folder for a persona
+ * @param {string} name - Persona name
+ * @returns {string}
+ */
+function getPersonaPath(name) {
+  assertSafePersonaName(name);
+  return path.join(getSetting('personasRoot'), name);
+}
+
+/**
+ * Get the repo name for a persona (e.g., "green-open" -> "goc-persona-green-open")
+ * @param {string} name - Persona name
+ * @returns {string}
+ */
+function getRepoName(name) {
+  assertSafePersonaName(name);
+  return `${getSetting('repoPrefix')}${name}`;
+}
+
+/**
+ * Get the persona name back from a repo name
+ * @param {string} repoName - Repository name
+ * @returns {string}
+ */
+function personaNameFromRepo(repoName) {
+  const prefix = getSetting('repoPrefix');
+  return repoName.startsWith(prefix) ? repoName.slice(prefix.length) : repoName;
+}
+
+module.exports = {
+  getSettings,
+  getSetting,
+  setSetting,
+  unsetSetting,
+  describeSettings,
+  isSettingExplicit,
+  checkPersonaName,
+  checkSafePersonaName,
+  assertSafePersonaName,
+  parseLimit,
+  getPersonaPath,
+  getRepoName,
+  personaNameFromRepo,
+  SETTINGS_SCHEMA,
+  SETTINGS_PATH,
+  PERSONA_NAME_PATTERN
+};
@@ -0,0 +1,409 @@
+/**
+ * Skill Manager
+ * Installs, removes and updates skills in a persona's skills/ folder and config.yaml skills list
+ *
+ * A skill is a folder with a skill.json manifest:
+ * { name, version?, description?, keys?: ['elevenlabs', ...] }
+ * keys are the key types the skill needs; they count towards the persona's
+ * required keys (see required-keys.cjs).
+ *
+ * Where a skill was installed from is kept in skills/<name>/.skill-source.json
+ * so update-skills can fetch it again:
+ * { type: 'git' | 'path', source, ref?, commit?, installedAt }
+ */
+
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const registry = require('./persona-registry.cjs');
+const { readConfig, writeConfig } = require('./config-schema.cjs');
+const { checkKeyType } = require('./secret-vault.cjs');
+
+const MANIFEST_FILE = 'skill.json';
+const SOURCE_FILE = '.skill-source.json';
+const GIT_TIMEOUT_MS = 120000;
+// Like the config.yaml skills pattern, without "/" so every skill is one folder
+const SKILL_NAME_PATTERN = /^[\w.@-]+$/;
+
+/**
+ * Tell whether a source is a git URL rather than a local folder
+ * @param {string} source - Skill source
+ * @returns {boolean}
+ */
+function _isGitUrl(source) {
+  return /^(https?:\/\/|ssh:\/\/|git:\/\/|git@|file:\/\/)/.test(source) ||
+    (source.endsWith('.git') && !fs.existsSync(source));
+}
+
+/**
+ * Check that a skill name is usable as a folder under skills/
+ * @param {*} skill - Skill name
+ * @returns {boolean}
+ */
+function isValidSkillName(skill) {
+  return typeof skill === 'string' && SKILL_NAME_PATTERN.test(skill) && skill !== '.' && skill !== '..';
+}
+
+/**
+ * Check a skill manifest
+ * @param {*} manifest - Parsed skill.json
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return [`${MANIFEST_FILE} must be a JSON object`];
+  }
+  const problems = [];
+  if (!isValidSkillName(manifest.name)) {
+    problems.push('"name" must be a skill name (letters, digits, ".", "_", "-", "@")');
+  }
+  if (manifest.version !== undefined && typeof manifest.version !== 'string') {
+    problems.push('"version" must be a string');
+  }
+  if (manifest.description !== undefined && typeof manifest.description !== 'string') {
+    problems.push('"description" must be a string');
+  }
+  if (manifest.keys !== undefined &&
+      (!Array.isArray(manifest.keys) || !manifest.keys.every(key => !checkKeyType(key)))) {
+    problems.push('"keys" must be a list of key types such as "openai"');
+  }
+  return problems;
+}
+
+/**
+ * Read and check the manifest in a skill folder
+ * @param {string} dir - Skill folder
+ * @returns {Object} Manifest
+ * @throws {Error} If the manifest is missing or invalid
+ */
+function _readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No ${MANIFEST_FILE} found in the skill source`);
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${MANIFEST_FILE} is not valid JSON: ${error.message}`);
+  }
+  const problems = validateManifest(manifest);
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${MANIFEST_FILE}: ${problems.join('; ')}`);
+  }
+  return manifest;
+}
+
+/**
+ * Fetch a skill into a staging folder
+ * @param {Object} origin - { type, source, ref? }
+ * @returns {{dir: string, commit?: string, cleanup: Function}}
+ * @throws {Error} If the source can't be fetched
+ */
+function _fetch(origin) {
+  const staging = fs.mkdtempSync(path.join(os.tmpdir(), 'goc-skill-'));
+  const cleanup = () => fs.rmSync(staging, { recursive: true, force: true });
+  const dir = path.join(staging, 'skill');
+
+  try {
+    if (origin.type === 'git') {
+      const args = ['clone', '--quiet', '--depth', '1', ...(origin.ref ? ['--branch', origin.ref] : []), '--', origin.source, dir];
+      execFileSync('git', args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: GIT_TIMEOUT_MS });
+      const commit = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: dir }).toString().trim();
+      fs.rmSync(path.join(dir, '.git'), { recursive: true, force: true });
+      return { dir, commit, cleanup };
+    }
+
+    const sourcePath = path.resolve(origin.source);
+    if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isDirectory()) {
+      throw new Error(`${sourcePath} is not a folder`);
+    }
+    fs.cpSync(sourcePath, dir, { recursive: true, filter: src => path.basename(src) !== '.git' });
+    return { dir, cleanup };
+  } catch (error) {
+    cleanup();
+    const detail = error.stderr?.toString().trim() || error.message;
+    throw new Error(`Could not fetch ${origin.source}: ${detail}`);
+  }
+}
+
+/**
+ * Look up a persona for skill changes
+ * @param {string} name - Persona name
+ * @returns {{persona?: Object, config?: Object, error?: string}}
+ */
+function _resolve(name) {
+  const persona = registry.get(name);
+  if (!persona) {
+    return { error: `Persona "${name}" not found` };
+  }
+  try {
+    return { persona, config: readConfig(persona.path) };
+  } catch (error) {
+    return { error: `Could not read config.yaml: ${error.message}` };
+  }
+}
+
+/**
+ * Put the skills list back in config.yaml and re-check readiness
+ * @param {string} name - Persona name
+ * @param {Object} persona - Registry entry
+ * @param {Object} config - Config with the new skills list
+ * @returns {Array<string>} Required keys still missing
+ */
+function _saveSkills(name, persona, config) {
+  writeConfig(persona.path, name, config);
+  registry.refreshStatus(name);
+  return registry.get(name).missingKeys;
+}
+
+/**
+ * Install a skill from a local folder or git URL (append "#<ref>" for a branch or tag)
+ * @param {string} name - Persona name
+ * @param {string} source - Local folder or git URL
+ * @returns {{success: boolean, skill?: Object, missingKeys?: Array<string>, error?: string}}
+ *   skill is the manifest; missingKeys are required keys not yet configured
+ */
+function addSkill(name, source) {
+  const { persona, config, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const [location, ref] = _isGitUrl(source) ? source.split('#') : [source];
+  const origin = _isGitUrl(source)
+    ? { type: 'git', source: location, ...(ref && { ref }) }
+    : { type: 'path', source: path.resolve(location) };
+
+  let fetched;
+  try {
+    fetched = _fetch(origin);
+  } catch (fetchError) {
+    return { success: false, error: fetchError.message };
+  }
+
+  try {
+    const manifest = _readManifest(fetched.dir);
+    const skills = Array.isArray(config.skills) ? config.skills.map(String) : [];
+    const target = path.join(persona.path, 'skills', manifest.name);
+    if (skills.includes(manifest.name) || fs.existsSync(target)) {
+      return { success: false, error: `Skill "${manifest.name}" is already installed; use update-skills to refresh it` };
+    }
+
+    fs.writeFileSync(path.join(fetched.dir, SOURCE_FILE), JSON.stringify({
+      ...origin,
+      ...(fetched.commit && { commit: fetched.commit }),
+      installedAt: new Date().toISOString()
+    }, null, 2) + '\n');
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.cpSync(fetched.dir, target, { recursive: true });
+
+    config.skills = [...skills, manifest.name];
+    return { success: true, skill: manifest, missingKeys: _saveSkills(name, persona, config) };
+  } catch (installError) {
+    return { success: false, error: installError.message };
+  } finally {
+    fetched.cleanup();
+  }
+}
+
+/**
+ * Remove a skill's folder and its entry in the skills list
+ * @param {string} name - Persona name
+ * @param {string} skill - Skill name
+ * @returns {{success: boolean, keys?: Array<string>, error?: string}} keys the skill declared (still in the vault)
+ */
+function removeSkill(name, skill) {
+  const { persona, config, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  const skills = Array.isArray(config.skills) ? config.skills.map(String) : [];
+  const target = path.join(persona.path, 'skills', String(skill));
+  if (!skills.includes(skill) && !(isValidSkillName(skill) && fs.existsSync(target))) {
+    return { success: false, error: `Skill "${skill}" is not installed` };
+  }
+
+  let keys = [];
+  try {
+    keys = _readManifest(target).keys || [];
+  } catch {
+    // A broken skill can still be removed
+  }
+  if (isValidSkillName(skill)) {
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+  config.skills = skills.filter(entry => entry !== skill);
+  _saveSkills(name, persona, config);
+  return { success: true, keys };
+}
+
+/**
+ * List a persona's skills: everything in the skills list or the skills/ folder
+ * @param {string} name - Persona name
+ * @returns {{success: boolean, skills?: Array<Object>, error?: string}}
+ *   Each skill: { name, listed, installed, version?, description?, keys, source?, error? }
+ */
+function listSkills(name) {
+  const { persona, config, error } = _resolve(name);
+  if (error) {
+    return { success: false, error };
+  }
+  const skillsDir = path.join(persona.path, 'skills');
+  const listed = Array.isArray(config.skills) ? config.skills.map(String) : [];
+  const folders = fs.existsSync(skillsDir)
+    ? fs.readdirSync(skillsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && (!entry.name.startsWith('.') || listed.includes(entry.name)))
+      .map(entry => entry.name)
+    : [];
+
+  const skills = [...new Set([...listed, ...folders])].map(skill => {
+    const dir = path.join(skillsDir, skill);
+    const info = { name: skill, listed: listed.includes(skill), installed: fs.existsSync(dir), keys: [] };
+    if (!info.installed) {
+      return info;
+    }
+    try {
+      const manifest = _readManifest(dir);
+      Object.assign(info, { version: manifest.version, description: manifest.description, keys: manifest.keys || [] });
+    } catch (manifestError) {
+      info.error = manifestError.message;
+    }
+    const sourcePath = path.join(dir, SOURCE_FILE);
+    if (fs.existsSync(sourcePath)) {
+      try {
+        info.source = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+      } catch (sourceError) {
+        info.error = [info.error, `Unreadable ${SOURCE_FILE}: ${sourceError.message.replace(/\s+/g, ' ')}`].filter(Boolean).join('; ');
+      }
+    }
+    return info;
+  });
+  return { success: true, skills };
+}
+
+/**
+ * Hash a folder's files to tell whether an update changed anything
+ * @param {string} dir - Folder
+ * @returns {string}
+ */
+function _hashDir(dir) {
+  const hash = crypto.createHash('sha256');
+  const walk = relative => {
+    fs.readdirSync(path.join(dir, relative), { withFileTypes: true })
+      .filter(entry => entry.name !== SOURCE_FILE)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const child = path.join(relative, entry.name);
+        if (entry.isDirectory()) {
+          walk(child);
+        } else {
+          hash.update(child).update(fs.readFileSync(path.join(dir, child)));
+        }
+      });
+  };
+  walk('');
+  return hash.digest('hex');
+}
+
+/**
+ * Replace a skill folder with a copy of another, keeping the old one if the copy fails.
+ * The copy is staged in a hidden sibling folder and renamed into place.
+ * @param {string} sourceDir - Folder to copy
+ * @param {string} target - Installed skill folder
+ */
+function _replaceDir(sourceDir, target) {
+  const staging = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}`);
+  const [incoming, outgoing] = [`${staging}.new`, `${staging}.old`];
+  try {
+    fs.cpSync(sourceDir, incoming, { recursive: true });
+  } catch (copyError) {
+    fs.rmSync(incoming, { recursive: true, force: true });
+    throw copyError;
+  }
+  fs.renameSync(target, outgoing);
+  try {
+    fs.renameSync(incoming, target);
+  } catch (renameError) {
+    fs.renameSync(outgoing, target);
+    fs.rmSync(incoming, { recursive: true, force: true });
+    throw renameError;
+  }
+  fs.rmSync(outgoing, { recursive: true, force: true });
+}
+
+/**
+ * Fetch installed skills again from where they came from
+ * @param {string} name - Persona name
+ * @param {string} [skill] - Only this skill (default: all with a recorded source)
+ * @returns {{success: boolean, results?: Array<Object>, missingKeys?: Array<string>, error?: string}}
+ *   results: { name, status: 'updated' | 'unchanged' | 'skipped' | 'failed', from?, to?, addedKeys?, error? }
+ */
+function updateSkills(name, skill) {
+  const listing = listSkills(name);
+  if (!listing.success) {
+    return listing;
+  }
+  const targets = listing.skills.filter(info => info.installed && (!skill || info.name === skill));
+  if (skill && targets.length === 0) {
+    return { success: false, error: `Skill "${skill}" is not installed` };
+  }
+
+  const { persona } = _resolve(name);
+  const results = targets.map(info => {
+    if (!info.source) {
+      const reason = info.error && info.error.includes(SOURCE_FILE) ? info.error : `no ${SOURCE_FILE}`;
+      return { name: info.name, status: 'skipped', error: `${reason}; reinstall with add-skill to track its source` };
+    }
+
+    let fetched;
+    try {
+      fetched = _fetch(info.source);
+    } catch (fetchError) {
+      return { name: info.name, status: 'failed', error: fetchError.message };
+    }
+    try {
+      const manifest = _readManifest(fetched.dir);
+      if (manifest.name !== info.name) {
+        return { name: info.name, status: 'failed', error: `the source now names the skill "${manifest.name}"` };
+      }
+      const target = path.join(persona.path, 'skills', info.name);
+      if (_hashDir(fetched.dir) === _hashDir(target)) {
+        return { name: info.name, status: 'unchanged', to: manifest.version };
+      }
+
+      fs.writeFileSync(path.join(fetched.dir, SOURCE_FILE), JSON.stringify({
+        ...info.source,
+        ...(fetched.commit && { commit: fetched.commit }),
+        installedAt: new Date().toISOString()
+      }, null, 2) + '\n');
+      _replaceDir(fetched.dir, target);
+      return {
+        name: info.name,
+        status: 'updated',
+        from: info.version,
+        to: manifest.version,
+        addedKeys: (manifest.keys || []).filter(key => !info.keys.includes(key))
+      };
+    } catch (updateError) {
+      return { name: info.name, status: 'failed', error: updateError.message };
+    } finally {
+      fetched.cleanup();
+    }
+  });
+
+  registry.refreshStatus(name);
+  return { success: true, results, missingKeys: registry.get(name).missingKeys };
+}
+
+module.exports = {
+  addSkill,
+  removeSkill,
+  listSkills,
+  updateSkills,
+  validateManifest,
+  isValidSkillName,
+  MANIFEST_FILE
+};
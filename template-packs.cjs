@@ -0,0 +1,217 @@
+/**
+ * Template Packs
+ * Loads persona template packs from the built-in templates/ folder or ~/.clawdbot/templates
+ *
+ * A pack is a directory whose files are copied into the new persona with {var}
+ * substitution. Two files are special:
+ * - pack.json: { description, vars } manifest (vars holds default values), not copied
+ * - config.yaml: overrides merged into the generated config.yaml, not copied
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml.cjs');
+
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, 'templates');
+const USER_TEMPLATES_DIR = path.join(process.env.HOME || process.env.USERPROFILE, '.clawdbot', 'templates');
+const DEFAULT_PACK = 'default';
+
+// Pack names are folder names inside a templates directory, never paths
+const PACK_NAME_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+
+const MANIFEST_FILE = 'pack.json';
+const CONFIG_FILE = 'config.yaml';
+
+/**
+ * Find the directory for a pack; user packs shadow built-in ones
+ * @param {string} packName - Pack name
+ * @returns {{dir: string, source: string}|null}
+ */
+function _resolvePackDir(packName) {
+  if (typeof packName !== 'string' || !PACK_NAME_PATTERN.test(packName)) {
+    return null;
+  }
+  const candidates = [
+    { dir: path.join(USER_TEMPLATES_DIR, packName), source: 'user' },
+    { dir: path.join(BUILTIN_TEMPLATES_DIR, packName), source: 'built-in' }
+  ];
+  return candidates.find(c => fs.existsSync(c.dir) && fs.statSync(c.dir).isDirectory()) || null;
+}
+
+/**
+ * List files in a pack directory recursively
+ * @param {string} dir - Pack directory
+ * @param {string} [prefix=''] - Relative path prefix
+ * @returns {Array<string>} Relative file paths
+ */
+function _listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relativePath = prefix ? path.join(prefix, entry.name) : entry.name;
+    if (entry.isDirectory()) {
+      files.push(..._listFiles(path.join(dir, entry.name), relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Replace {var} placeholders with values; unknown placeholders are left untouched
+ * @param {string} text - Template text
+ * @param {Object} vars - Variable values
+ * @returns {string}
+ */
+function substituteVars(text, vars) {
+  return text.replace(/{(\w+)}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(vars, key) ? String(vars[key]) : match
+  ));
+}
+
+/**
+ * Parse "key=value,key2=value2" CLI input into a vars object
+ * @param {string|Object} input - Raw CLI value or an already-parsed object
+ * @returns {Object}
+ */
+function parseVars(input) {
+  if (!input) {
+    return {};
+  }
+  if (typeof input === 'object') {
+    return { ...input };
+  }
+  const vars = {};
+  input.split(',').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      vars[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    }
+  });
+  return vars;
+}
+
+/**
+ * Load a template pack
+ * @param {string} packName - Pack name
+ * @returns {Object|null} { name, dir, source, description, vars, files } or null if not found
+ * @throws {Error} If the pack's pack.json is not valid JSON
+ */
+function loadPack(packName) {
+  const resolved = _resolvePackDir(packName);
+  if (!resolved) {
+    return null;
+  }
+
+  const manifestPath = path.join(resolved.dir, MANIFEST_FILE);
+  let manifest = {};
+  if (fs.existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${MANIFEST_FILE} in template pack "${packName}" (${manifestPath}): ${error.message}`);
+    }
+  }
+
+  return {
+    name: packName,
+    dir: resolved.dir,
+    source: resolved.source,
+    description: manifest.description || '',
+    vars: manifest.vars || {},
+    files: _listFiles(resolved.dir).filter(file => file !== MANIFEST_FILE)
+  };
+}
+
+/**
+ * List available template packs; packs with an invalid name or pack.json are skipped with a warning
+ * @returns {Array} Array of { name, source, description }
+ */
+function listPacks() {
+  const names = new Set();
+  for (const dir of [BUILTIN_TEMPLATES_DIR, USER_TEMPLATES_DIR]) {
+    if (fs.existsSync(dir)) {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => names.add(entry.name));
+    }
+  }
+  return [...names].sort().flatMap(name => {
+    let pack;
+    try {
+      pack = loadPack(name);
+    } catch (error) {
+      console.warn(`⚠️  Skipping template pack: ${error.message}`);
+      return [];
+    }
+    if (!pack) {
+      console.warn(`⚠️  Skipping template pack "${name}": not a valid pack name`);
+      return [];
+    }
+    return [{ name, source: pack.source, description: pack.description }];
+  });
+}
+
+/**
+ * Render a pack into file contents and config overrides.
+ * Non-default packs are layered over the default pack, so a pack only needs
+ * the files it changes.
+ * @param {string} packName - Pack name
+ * @param {Object} vars - Variable values ({name}, {description}, {model} and CLI vars)
+ * @returns {{files: Array<{relativePath: string, content: string}>, config: Object}}
+ */
+function renderPack(packName = DEFAULT_PACK, vars = {}) {
+  const layers = packName === DEFAULT_PACK ? [DEFAULT_PACK] : [DEFAULT_PACK, packName];
+  const files = new Map();
+  let config = {};
+
+  for (const layer of layers) {
+    const pack = loadPack(layer);
+    if (!pack) {
+      throw new Error(`Template pack "${layer}" not found in ${USER_TEMPLATES_DIR} or ${BUILTIN_TEMPLATES_DIR}`);
+    }
+    const layerVars = { ...pack.vars, ...vars };
+
+    for (const relativePath of pack.files) {
+      const content = substituteVars(fs.readFileSync(path.join(pack.dir, relativePath), 'utf8'), layerVars);
+      if (relativePath === CONFIG_FILE) {
+        config = mergeConfig(config, yaml.parse(content) || {});
+      } else {
+        files.set(relativePath, content);
+      }
+    }
+  }
+
+  return {
+    files: [...files.entries()].map(([relativePath, content]) => ({ relativePath, content })),
+    config
+  };
+}
+
+/**
+ * Deep-merge config overrides; arrays and scalars replace, mappings merge
+ * @param {Object} base - Base config
+ * @param {Object} overrides - Overrides
+ * @returns {Object} New merged config
+ */
+function mergeConfig(base, overrides) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isMapping = value && typeof value === 'object' && !Array.isArray(value);
+    const baseIsMapping = result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]);
+    result[key] = isMapping && baseIsMapping ? mergeConfig(result[key], value) : value;
+  }
+  return result;
+}
+
+module.exports = {
+  loadPack,
+  listPacks,
+  renderPack,
+  mergeConfig,
+  parseVars,
+  substituteVars,
+  BUILTIN_TEMPLATES_DIR,
+  USER_TEMPLATES_DIR,
+  DEFAULT_PACK
+};
@@ -0,0 +1,449 @@
+/**
+ * Minimal YAML
+ * Parses and serializes the YAML subset used by persona config.yaml files:
+ * block mappings and sequences, flow collections on one line, literal blocks,
+ * quoted and plain scalars, and comments. Keeps the line number of every key.
+ */
+
+/**
+ * Error raised for malformed YAML, carrying the 1-based line number
+ */
+class YAMLSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = 'YAMLSyntaxError';
+    this.line = line;
+  }
+}
+
+/**
+ * Split text into significant lines with indentation and line numbers
+ * @param {string} text - YAML source
+ * @returns {Array<{indent: number, content: string, line: number, raw: string}>}
+ */
+function _tokenize(text) {
+  const tokens = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (/^\s*(#.*)?$/.test(raw)) {
+      tokens.push({ blank: true, raw, line: i + 1 });
+      return;
+    }
+    if (/^\t/.test(raw)) {
+      throw new YAMLSyntaxError('tabs are not allowed for indentation', i + 1);
+    }
+    const indent = raw.match(/^ */)[0].length;
+    tokens.push({ indent, content: raw.slice(indent), line: i + 1, raw });
+  });
+  return tokens;
+}
+
+/**
+ * Strip a trailing comment from a scalar, respecting quotes
+ * @param {string} text - Raw value text
+ * @returns {string}
+ */
+function _stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') {
+        i++;
+      } else if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trim();
+    }
+  }
+  return text.trim();
+}
+
+/**
+ * Split a flow collection body on top-level commas
+ * @param {string} body - Text between the brackets
+ * @returns {Array<string>}
+ */
+function _splitFlow(body) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') {
+        current += ch + body[++i];
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+/**
+ * Find the key/value separator in a mapping line
+ * @param {string} content - Line content
+ * @returns {number} Index of the separating colon, or -1
+ */
+function _findKeySeparator(content) {
+  let quote = null;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') {
+        i++;
+      } else if (ch === quote) {
+        quote = null;
+      }
+    } else if ((ch === '"' || ch === "'") && i === 0) {
+      quote = ch;
+    } else if (ch === '#' && i > 0 && /\s/.test(content[i - 1])) {
+      return -1;
+    } else if (ch === ':' && (i === content.length - 1 || content[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Resolve a scalar token to a JavaScript value
+ * @param {string} text - Scalar text (comment already stripped)
+ * @param {number} line - Line number for errors
+ * @returns {*}
+ */
+function _parseScalar(text, line) {
+  if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') {
+    return null;
+  }
+  if (text.startsWith('"')) {
+    if (!text.endsWith('"') || text.length < 2) {
+      throw new YAMLSyntaxError('unterminated double-quoted string', line);
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new YAMLSyntaxError(`invalid double-quoted string ${text}`, line);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) {
+      throw new YAMLSyntaxError('unterminated single-quoted string', line);
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      throw new YAMLSyntaxError('unterminated flow sequence', line);
+    }
+    return _splitFlow(text.slice(1, -1)).map(part => _parseScalar(part, line));
+  }
+  if (text.startsWith('{')) {
+    if (!text.endsWith('}')) {
+      throw new YAMLSyntaxError('unterminated flow mapping', line);
+    }
+    const result = {};
+    _splitFlow(text.slice(1, -1)).forEach(part => {
+      const sep = _findKeySeparator(part);
+      if (sep === -1) {
+        throw new YAMLSyntaxError(`expected "key: value" in flow mapping, got "${part}"`, line);
+      }
+      result[_parseKey(part.slice(0, sep), line)] = _parseScalar(part.slice(sep + 1).trim(), line);
+    });
+    return result;
+  }
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) {
+    const num = Number(text);
+    // Large integers (e.g., Discord snowflakes) stay strings to keep precision
+    return Number.isSafeInteger(num) ? num : text;
+  }
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * Parse a mapping key, unquoting if needed
+ * @param {string} text - Raw key text
+ * @param {number} line - Line number for errors
+ * @returns {string}
+ */
+function _parseKey(text, line) {
+  const key = text.trim();
+  if (key.startsWith('"') || key.startsWith("'")) {
+    return String(_parseScalar(key, line));
+  }
+  return key;
+}
+
+/**
+ * Recursive-descent parser over tokenized lines
+ */
+class Parser {
+  constructor(text) {
+    this.tokens = _tokenize(text);
+    this.pos = 0;
+    this.lines = {};
+  }
+
+  _peek() {
+    while (this.pos < this.tokens.length && this.tokens[this.pos].blank) {
+      this.pos++;
+    }
+    return this.tokens[this.pos];
+  }
+
+  _isSequenceItem(token) {
+    return token.content === '-' || token.content.startsWith('- ');
+  }
+
+  _record(pathKey, line) {
+    if (pathKey) {
+      this.lines[pathKey] = line;
+    }
+  }
+
+  parseDocument() {
+    const first = this._peek();
+    if (!first) {
+      return null;
+    }
+    const value = this._parseBlock(first.indent, '');
+    const rest = this._peek();
+    if (rest) {
+      throw new YAMLSyntaxError('unexpected indentation', rest.line);
+    }
+    return value;
+  }
+
+  _parseBlock(indent, pathKey) {
+    const token = this._peek();
+    if (this._isSequenceItem(token)) {
+      return this._parseSequence(indent, pathKey);
+    }
+    if (_findKeySeparator(token.content) === -1) {
+      this.pos++;
+      return _parseScalar(_stripComment(token.content), token.line);
+    }
+    return this._parseMapping(indent, pathKey);
+  }
+
+  _parseMapping(indent, pathKey) {
+    const result = {};
+    let token = this._peek();
+    while (token && token.indent === indent && !this._isSequenceItem(token)) {
+      const sep = _findKeySeparator(token.content);
+      if (sep === -1) {
+        throw new YAMLSyntaxError(`expected "key: value", got "${token.content.trim()}"`, token.line);
+      }
+      const key = _parseKey(token.content.slice(0, sep), token.line);
+      const childPath = pathKey ? `${pathKey}.${key}` : key;
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw new YAMLSyntaxError(`duplicate key "${key}"`, token.line);
+      }
+      this._record(childPath, token.line);
+      const rest = _stripComment(token.content.slice(sep + 1));
+      this.pos++;
+      result[key] = this._parseValue(rest, indent, childPath, token.line);
+      token = this._peek();
+    }
+    if (token && token.indent > indent) {
+      throw new YAMLSyntaxError('unexpected indentation', token.line);
+    }
+    return result;
+  }
+
+  _parseSequence(indent, pathKey) {
+    const result = [];
+    let token = this._peek();
+    while (token && token.indent === indent && this._isSequenceItem(token)) {
+      const childPath = `${pathKey}[${result.length}]`;
+      this._record(childPath, token.line);
+      const item = token.content === '-' ? '' : token.content.slice(2);
+      const itemOffset = token.content.length - token.content.slice(1).trimStart().length;
+      if (item.trim() && !/^["'[{]/.test(item.trim()) && _findKeySeparator(item.trim()) !== -1) {
+        // "- key: value" starts a mapping nested at the item's column
+        this.tokens[this.pos] = { indent: indent + itemOffset, content: item.trimStart(), line: token.line, raw: token.raw };
+        result.push(this._parseMapping(indent + itemOffset, childPath));
+      } else if (item.trim().startsWith('- ')) {
+        this.tokens[this.pos] = { indent: indent + itemOffset, content: item.trimStart(), line: token.line, raw: token.raw };
+        result.push(this._parseSequence(indent + itemOffset, childPath));
+      } else {
+        this.pos++;
+        result.push(this._parseValue(_stripComment(item), indent, childPath, token.line));
+      }
+      token = this._peek();
+    }
+    if (token && token.indent > indent) {
+      throw new YAMLSyntaxError('unexpected indentation', token.line);
+    }
+    return result;
+  }
+
+  _parseValue(rest, indent, pathKey, line) {
+    if (rest === '|' || rest === '|-' || rest === '>' || rest === '>-') {
+      return this._parseBlockScalar(rest, indent);
+    }
+    if (rest !== '') {
+      return _parseScalar(rest, line);
+    }
+    const next = this._peek();
+    if (next && next.indent > indent) {
+      return this._parseBlock(next.indent, pathKey);
+    }
+    if (next && next.indent === indent && this._isSequenceItem(next) && !pathKey.endsWith(']')) {
+      // Sequences may sit at the same indentation as their parent key
+      return this._parseSequence(indent, pathKey);
+    }
+    return null;
+  }
+
+  _parseBlockScalar(indicator, indent) {
+    const collected = [];
+    let blockIndent = null;
+    while (this.pos < this.tokens.length) {
+      const token = this.tokens[this.pos];
+      const rawIndent = token.raw.match(/^ */)[0].length;
+      if (token.raw.trim() !== '' && rawIndent <= indent) {
+        break;
+      }
+      if (token.raw.trim() !== '' && blockIndent === null) {
+        blockIndent = rawIndent;
+      }
+      collected.push(token.raw);
+      this.pos++;
+    }
+    while (collected.length && collected[collected.length - 1].trim() === '') {
+      collected.pop();
+    }
+    const lines = collected.map(raw => raw.slice(blockIndent || 0));
+    const text = indicator.startsWith('>')
+      ? lines.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+      : lines.join('\n');
+    return indicator.endsWith('-') ? text : `${text}\n`;
+  }
+}
+
+/**
+ * Parse YAML text and keep a map of value paths to line numbers
+ * @param {string} text - YAML source
+ * @returns {{data: *, lines: Object<string, number>}}
+ */
+function parseDocument(text) {
+  const parser = new Parser(text);
+  const data = parser.parseDocument();
+  return { data, lines: parser.lines };
+}
+
+/**
+ * Parse YAML text
+ * @param {string} text - YAML source
+ * @returns {*}
+ */
+function parse(text) {
+  return parseDocument(text).data;
+}
+
+/**
+ * Format a scalar for output, quoting when a plain scalar would be ambiguous
+ * @param {*} value - Scalar value
+ * @returns {string}
+ */
+function _formatScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'boolean' || typeof value === 'number') {
+    return String(value);
+  }
+  const text = String(value);
+  const needsQuotes = text === ''
+    || text !== text.trim()
+    || /[\n\r\t]/.test(text)
+    || /^[-?:,[\]{}#&*!|>'"%@`]/.test(text)
+    || /:(\s|$)|\s#/.test(text)
+    || /^(true|false|null|~|yes|no|on|off)$/i.test(text)
+    || /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text);
+  return needsQuotes ? JSON.stringify(text) : text;
+}
+
+/**
+ * Check whether a value serializes inline
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function _isInline(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  if (value && typeof value === 'object') return Object.keys(value).length === 0;
+  return true;
+}
+
+/**
+ * Format an inline value (scalar or empty collection)
+ * @param {*} value - Value to format
+ * @returns {string}
+ */
+function _formatInline(value) {
+  if (Array.isArray(value)) return '[]';
+  if (value && typeof value === 'object') return '{}';
+  return _formatScalar(value);
+}
+
+/**
+ * Serialize a value to YAML
+ * @param {*} value - Value to serialize
+ * @param {number} [indent=0] - Indentation in spaces
+ * @returns {string} YAML text ending in a newline
+ */
+function stringify(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+
+  if (_isInline(value)) {
+    return `${pad}${_formatInline(value)}\n`;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (_isInline(item)) {
+        return `${pad}- ${_formatInline(item)}\n`;
+      }
+      // Nested collections start on the dash line, continuing at indent + 2
+      const nested = stringify(item, indent + 2);
+      return `${pad}- ${nested.slice(indent + 2)}`;
+    }).join('');
+  }
+
+  return Object.entries(value)
+    .filter(([, v]) => v !== undefined)
+    .map(([key, v]) => {
+      const formattedKey = _formatScalar(key);
+      if (_isInline(v)) {
+        return `${pad}${formattedKey}: ${_formatInline(v)}\n`;
+      }
+      return `${pad}${formattedKey}:\n${stringify(v, indent + 2)}`;
+    })
+    .join('');
+}
+
+module.exports = { parse, parseDocument, stringify, YAMLSyntaxError };